@@ -35,10 +35,6 @@ export default function App() {
             require('./assets/grass-background.jpeg'),
             require('./assets/ball/MainBall.png'),
             require('./assets/Logo_NoBackground.jpg'),
-            require('./assets/swingBars/ios/tones/Tones_76BPM.mov'),
-            require('./assets/swingBars/ios/beats/Beats_76BPM.mov'),
-            require('./assets/swingBars/ios/wind/Wind_76BPM.mov'),
-            require('./assets/swingBars/ios/detect/Tones_Detect_76BPM.mov'), // Silent detect video
             require('./assets/icons/minus.png'),
             require('./assets/icons/plus.png'),
             require('./assets/icons/musical-note.png'),
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Polyline, Circle, Line, Text as SvgText } from 'react-native-svg';
+
+const PADDING = { top: 10, right: 8, bottom: 18, left: 34 };
+
+/**
+ * Simple line chart for progress over time
+ * Points with null values are skipped and break the line (no practice that period)
+ *
+ * @param {Object} props
+ * @param {string} props.title - Chart title
+ * @param {Array<{label: string, value: number|null}>} props.data - Points, oldest first
+ * @param {string} props.color - Line color
+ * @param {Function} props.formatValue - Formats axis values
+ * @param {number} props.height - Chart height
+ * @param {number} props.minValue - Lower bound of the value axis (defaults to 0)
+ * @param {number} props.maxValue - Upper bound of the value axis (defaults to data max)
+ */
+const ProgressChart = ({
+  title,
+  data = [],
+  color = '#2e7d32',
+  formatValue = (v) => `${Math.round(v)}`,
+  height = 140,
+  minValue = 0,
+  maxValue,
+}) => {
+  const [width, setWidth] = useState(0);
+
+  const values = data.map(d => d.value).filter(v => v !== null && v !== undefined);
+  const dataMax = values.length > 0 ? Math.max(...values) : 1;
+  const yMax = maxValue ?? (dataMax > minValue ? dataMax : minValue + 1);
+  const plotWidth = Math.max(0, width - PADDING.left - PADDING.right);
+  const plotHeight = Math.max(0, height - PADDING.top - PADDING.bottom);
+
+  const xFor = (index) => PADDING.left + (data.length > 1 ? (index / (data.length - 1)) * plotWidth : plotWidth / 2);
+  const yFor = (value) => PADDING.top + plotHeight - ((value - minValue) / (yMax - minValue)) * plotHeight;
+
+  // Split into continuous segments so gaps show as breaks in the line
+  const segments = [];
+  let current = [];
+  data.forEach((point, index) => {
+    if (point.value === null || point.value === undefined) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${xFor(index)},${yFor(point.value)}`);
+    }
+  });
+  if (current.length > 0) segments.push(current);
+
+  const firstLabel = data.length > 0 ? data[0].label : '';
+  const lastLabel = data.length > 0 ? data[data.length - 1].label : '';
+
+  return (
+    <View style={styles.container} onLayout={(e) => setWidth(e.nativeEvent.layout.width)}>
+      <Text style={styles.title}>{title}</Text>
+      {width > 0 && (
+        <Svg width={width} height={height}>
+          {/* Axes */}
+          <Line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} stroke="#ccc" strokeWidth={1} />
+          <Line x1={PADDING.left} y1={PADDING.top + plotHeight} x2={PADDING.left + plotWidth} y2={PADDING.top + plotHeight} stroke="#ccc" strokeWidth={1} />
+
+          {/* Value axis labels */}
+          <SvgText x={PADDING.left - 4} y={PADDING.top + 4} fontSize="9" fill="#777" textAnchor="end">
+            {formatValue(yMax)}
+          </SvgText>
+          <SvgText x={PADDING.left - 4} y={PADDING.top + plotHeight} fontSize="9" fill="#777" textAnchor="end">
+            {formatValue(minValue)}
+          </SvgText>
+
+          {/* Time axis labels */}
+          <SvgText x={PADDING.left} y={height - 4} fontSize="9" fill="#777" textAnchor="start">
+            {firstLabel}
+          </SvgText>
+          <SvgText x={PADDING.left + plotWidth} y={height - 4} fontSize="9" fill="#777" textAnchor="end">
+            {lastLabel}
+          </SvgText>
+
+          {segments.map((segment, i) => (
+            <Polyline
+              key={`line-${i}`}
+              points={segment.join(' ')}
+              fill="none"
+              stroke={color}
+              strokeWidth={2}
+            />
+          ))}
+
+          {data.map((point, index) => (
+            point.value === null || point.value === undefined ? null : (
+              <Circle
+                key={`point-${index}`}
+                cx={xFor(index)}
+                cy={yFor(point.value)}
+                r={2.5}
+                fill={color}
+              />
+            )
+          ))}
+        </Svg>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  title: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 2,
+  },
+});
+
+export default ProgressChart;
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  useFrameCallback,
+  interpolate,
+} from 'react-native-reanimated';
+
+const MARKER_SIZE = 22;
+
+/**
+ * Rendered swing bar driven by a SwingLoopPlayer (replaces the swing bar videos)
+ *
+ * Impact is the center of the bar. The marker rests at address, takes the
+ * putter back to the right from the ready cue to the back cue, returns through
+ * impact on the target beat and follows through to the left by the end of the loop.
+ * Backswing and downswing durations follow the player's stroke ratio.
+ *
+ * @param {Object} props
+ * @param {Object} props.player - SwingLoopPlayer instance
+ */
+export default function SwingTimingBar({ player }) {
+  const [containerWidth, setContainerWidth] = useState(0);
+
+  // Shared values (UI thread reads these every frame)
+  const isPlayingSV = useSharedValue(false);
+  const loopStartSV = useSharedValue(0);      // Date.now() time of loop position 0
+  const loopDurationSV = useSharedValue(1);   // Loop length in ms
+  const positionSV = useSharedValue(0);       // Loop position 0-1
+  const takeawaySV = useSharedValue(0.25);    // Stroke cue positions (0-1 of loop)
+  const topSV = useSharedValue(0.5);
+  const impactSV = useSharedValue(0.75);
+  const widthSV = useSharedValue(0);
+
+  useEffect(() => {
+    widthSV.value = containerWidth;
+  }, [containerWidth]);
+
+  // Anchor the UI-thread clock to the player whenever playback starts/stops
+  useEffect(() => {
+    if (!player) return;
+
+    const syncFromPlayer = () => {
+      const durationMs = player.duration * 1000;
+      loopDurationSV.value = durationMs > 0 ? durationMs : 1;
+
+      const timing = player.getStrokeTiming();
+      takeawaySV.value = Math.max(0.001, timing.takeawayMs / timing.loopMs); // Keep interpolate input increasing
+      topSV.value = timing.topMs / timing.loopMs;
+      impactSV.value = timing.impactMs / timing.loopMs;
+
+      loopStartSV.value = Date.now() - player.getElapsedMs();
+      positionSV.value = Math.max(0, Math.min(1, player.getElapsedMs() / loopDurationSV.value));
+      isPlayingSV.value = player.isPlaying;
+    };
+
+    syncFromPlayer();
+    const playingSubscription = player.addListener('playingChange', syncFromPlayer);
+    const sourceSubscription = player.addListener('sourceChange', syncFromPlayer);
+
+    return () => {
+      playingSubscription.remove();
+      sourceSubscription.remove();
+    };
+  }, [player]);
+
+  useFrameCallback(() => {
+    'worklet';
+    if (!isPlayingSV.value) return;
+
+    const elapsed = Date.now() - loopStartSV.value;
+    positionSV.value = Math.max(0, Math.min(1, elapsed / loopDurationSV.value));
+  }, true);
+
+  const markerStyle = useAnimatedStyle(() => {
+    // Bar fraction: 0.5 = impact, 1 = top of backswing, 0 = end of follow-through
+    const barFraction = interpolate(
+      positionSV.value,
+      [0, takeawaySV.value, topSV.value, impactSV.value, 1],
+      [0.5, 0.5, 1, 0.5, 0]
+    );
+
+    return {
+      transform: [
+        { translateX: barFraction * (widthSV.value - MARKER_SIZE) },
+      ],
+    };
+  });
+
+  return (
+    <View
+      style={styles.container}
+      onLayout={(e) => setContainerWidth(e.nativeEvent.layout.width)}
+    >
+      {/* Swing path */}
+      <View style={styles.track} />
+
+      {/* Impact line (target beat) */}
+      <View style={styles.impactLine} />
+
+      {/* Moving marker */}
+      <Animated.View style={[styles.marker, markerStyle]} />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    height: '100%',
+    justifyContent: 'center',
+  },
+  track: {
+    position: 'absolute',
+    left: MARKER_SIZE / 2,
+    right: MARKER_SIZE / 2,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: 'rgba(255, 255, 255, 0.5)',
+  },
+  impactLine: {
+    position: 'absolute',
+    left: '50%',
+    marginLeft: -1.5,
+    top: 4,
+    bottom: 4,
+    width: 3,
+    borderRadius: 1.5,
+    backgroundColor: '#fff',
+  },
+  marker: {
+    position: 'absolute',
+    left: 0,
+    width: MARKER_SIZE,
+    height: MARKER_SIZE,
+    borderRadius: MARKER_SIZE / 2,
+    backgroundColor: '#fff',
+    borderWidth: 3,
+    borderColor: '#2E7D32',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.3,
+    shadowRadius: 2,
+    elevation: 3,
+  },
+});
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { SwingLoopPlayer } from '../services/audio/SwingLoopPlayer';
+
+/**
+ * Generated swing loop player hook (drop-in for expo-video's useVideoPlayer)
+ *
+ * Creates one SwingLoopPlayer for the component's lifetime, loads its audio,
+ * and reconfigures it when tempo, sound, stroke ratio or cycle layout changes.
+ *
+ * @param {Object} options
+ * @param {number} options.bpm - Beats per minute (fractional allowed)
+ * @param {string} options.soundType - 'tone', 'beat', 'wind' or 'detect' (no impact beat)
+ * @param {string} options.strokeRatio - Backswing:downswing ratio id
+ * @param {number} options.beatsPerCycle - Beats in one loop
+ * @param {number} options.targetBeat - 1-based count impact lands on
+ * @returns {SwingLoopPlayer} Player instance
+ */
+export function useSwingLoopPlayer({ bpm, soundType, strokeRatio, beatsPerCycle, targetBeat }) {
+  const [player] = useState(() => new SwingLoopPlayer({ bpm, soundType, strokeRatio, beatsPerCycle, targetBeat }));
+
+  useEffect(() => {
+    player.load();
+
+    return () => {
+      player.release();
+    };
+  }, [player]);
+
+  useEffect(() => {
+    player.configure({ bpm, soundType, strokeRatio, beatsPerCycle, targetBeat });
+  }, [player, bpm, soundType, strokeRatio, beatsPerCycle, targetBeat]);
+
+  return player;
+}
+
+export default useSwingLoopPlayer;
@@ -1,7 +1,14 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
 import { Platform, Alert } from 'react-native';
 import { Audio } from 'expo-av';
-import { VideoSyncDetectorV2 } from '../services/dsp/VideoSyncDetectorV2';
+import { VideoSyncDetectorV2, SCORED_HIT_TYPES } from '../services/dsp/VideoSyncDetectorV2';
+import { shareDetectorCapture } from '../services/dsp/CaptureExporter';
+import { DEFAULT_STRIKE_CLASSIFIER_ID } from '../services/dsp/StrikeClassifiers';
+import {
+  DEFAULT_STROKE_RATIO_ID,
+  DEFAULT_BEATS_PER_CYCLE,
+  DEFAULT_TARGET_BEAT,
+} from '../src/audio/strokeRatios';
 
 /**
  * Video-synchronized putter detection hook
@@ -11,9 +18,15 @@ import { VideoSyncDetectorV2 } from '../services/dsp/VideoSyncDetectorV2';
  * without custom native modules.
  *
  * @param {Object} options - Configuration options
- * @param {number} options.bpm - Beats per minute (70-80)
- * @param {Object} options.videoPlayer - Video player instance from expo-video
- * @param {Function} options.onHitDetected - Callback when hit is detected
+ * @param {number} options.bpm - Beats per minute (60-100, fractional allowed)
+ * @param {Object} options.videoPlayer - Loop position source: expo-video player or SwingLoopPlayer
+ * @param {string} options.strokeRatio - Backswing:downswing ratio id (see src/audio/strokeRatios)
+ * @param {number} options.beatsPerCycle - Beats in one loop (3-5)
+ * @param {number} options.targetBeat - 1-based beat impact should land on
+ * @param {number|null} options.windowOpenMs - Open listening this long before the target (null = after listenDelayMs)
+ * @param {number|null} options.windowCloseMs - Close listening this long after the target (null = end of loop)
+ * @param {Object|null} options.scoringBands - { perfect, great, good, ok } ms limits (see services/sessions/AccuracyBands)
+ * @param {Function} options.onHitDetected - Callback for each classified event (hitEvent.type, see HIT_TYPES)
  * @param {number} options.listenDelayMs - Delay after Beat 3 before listening (ms)
  * @param {number} options.micGain - Software gain multiplier applied to microphone signal
  * @param {number} options.spikeHoldFrames - Consecutive frames above threshold required to register a hit
@@ -24,12 +37,24 @@ import { VideoSyncDetectorV2 } from '../services/dsp/VideoSyncDetectorV2';
  * @param {number} options.listeningTailMs - Time to keep window open after exit
  * @param {number} options.hitProcessingDelayMs - Delay before processing captured hits
  * @param {number} options.audioLatencyMs - Compensation applied when mapping to UI
+ * @param {number} options.captureSeconds - Keep the last N seconds of mic audio for bug reports (0 = off)
+ * @param {boolean} options.spectralGate - Reject spikes that don't match the enabled putter profile
+ * @param {number} options.spectralGateThreshold - Minimum similarity to the putter profile (0-1)
+ * @param {string} options.strikeClassifier - Strike classifier id (see services/dsp/StrikeClassifiers)
+ * @param {string|null} options.putterId - Active putter (see services/profiles/PutterService)
+ * @param {boolean} options.adaptiveProfile - Fold confirmed strikes into the putter profile
  * @returns {Object} Hook state and methods
  */
 export function useVideoSyncDetector(options = {}) {
   const {
     bpm = 70,
     videoPlayer = null,
+    strokeRatio = DEFAULT_STROKE_RATIO_ID,
+    beatsPerCycle = DEFAULT_BEATS_PER_CYCLE,
+    targetBeat = DEFAULT_TARGET_BEAT,
+    windowOpenMs = null,
+    windowCloseMs = null,
+    scoringBands = null,
     onHitDetected = () => {},
     onAudioLevel = () => {},
     debugMode = false,
@@ -44,6 +69,12 @@ export function useVideoSyncDetector(options = {}) {
     hitProcessingDelayMs = 0,
     audioLatencyMs = 180,
     listeningEntryGuardMs = 100,
+    captureSeconds = 0,
+    spectralGate = false,
+    spectralGateThreshold = 0.85,
+    strikeClassifier = DEFAULT_STRIKE_CLASSIFIER_ID,
+    putterId = null,
+    adaptiveProfile = false,
   } = options;
 
   // State management
@@ -70,7 +101,12 @@ export function useVideoSyncDetector(options = {}) {
         const detectorOptions = {
           bpm,
           videoPlayer,
-          beatsInVideo: 4,            // 4 beats per video
+          beatsInVideo: beatsPerCycle,
+          targetBeat,
+          strokeRatio,
+          windowOpenMs,
+          windowCloseMs,
+          scoringBands,
           energyThreshold,
           baselineWindow,             // Frames for baseline averaging
           baselineSettleMs,
@@ -83,6 +119,12 @@ export function useVideoSyncDetector(options = {}) {
           listeningEntryGuardMs: Math.max(0, listeningEntryGuardMs),
           hitProcessingDelayMs: Math.max(0, hitProcessingDelayMs),
           audioLatencyMs: Math.max(0, audioLatencyMs),
+          captureSeconds,
+          spectralGate,
+          spectralGateThreshold,
+          strikeClassifier,
+          putterId,
+          adaptiveProfile,
 
           debugMode,
 
@@ -94,7 +136,15 @@ export function useVideoSyncDetector(options = {}) {
 
           onHitDetected: (hitEvent) => {
             if (mounted) {
+              // Late noise and practice strokes go to the callback but aren't hits
+              if (!SCORED_HIT_TYPES.includes(hitEvent.type)) {
+                console.log(`⚡ ${hitEvent.type} in hook`);
+                onHitDetected(hitEvent);
+                return;
+              }
+
               console.log('⚡ Hit detected in hook:', {
+                type: hitEvent.type,
                 accuracy: (hitEvent.accuracy * 100).toFixed(0) + '%',
                 errorMs: hitEvent.errorMs.toFixed(0) + 'ms',
                 energy: hitEvent.ratio.toFixed(1) + 'x'
@@ -148,6 +198,36 @@ export function useVideoSyncDetector(options = {}) {
     }
   }, [bpm]);
 
+  // Update stroke ratio when it changes (moves the Beat 3 listening anchor)
+  useEffect(() => {
+    if (detectorRef.current) {
+      detectorRef.current.opts.strokeRatio = strokeRatio;
+    }
+  }, [strokeRatio]);
+
+  // Update cycle layout when it changes (moves the target beat)
+  useEffect(() => {
+    if (detectorRef.current) {
+      detectorRef.current.opts.beatsInVideo = beatsPerCycle;
+      detectorRef.current.opts.targetBeat = targetBeat;
+    }
+  }, [beatsPerCycle, targetBeat]);
+
+  // Update listening window overrides when they change
+  useEffect(() => {
+    if (detectorRef.current) {
+      detectorRef.current.opts.windowOpenMs = windowOpenMs;
+      detectorRef.current.opts.windowCloseMs = windowCloseMs;
+    }
+  }, [windowOpenMs, windowCloseMs]);
+
+  // Update scoring bands when the difficulty changes
+  useEffect(() => {
+    if (detectorRef.current) {
+      detectorRef.current.opts.scoringBands = scoringBands;
+    }
+  }, [scoringBands]);
+
   // Update listen delay when it changes
   useEffect(() => {
     if (detectorRef.current) {
@@ -229,6 +309,41 @@ export function useVideoSyncDetector(options = {}) {
     }
   }, [audioLatencyMs]);
 
+  // Enable, resize or drop the bug-report capture when it changes
+  useEffect(() => {
+    if (detectorRef.current) {
+      detectorRef.current.setCaptureSeconds(captureSeconds);
+    }
+  }, [captureSeconds]);
+
+  // Update putter profile gating when it changes
+  useEffect(() => {
+    if (detectorRef.current) {
+      detectorRef.current.updateParams({ spectralGate, spectralGateThreshold });
+    }
+  }, [spectralGate, spectralGateThreshold]);
+
+  // Swap the strike classifier when it changes
+  useEffect(() => {
+    if (detectorRef.current) {
+      detectorRef.current.setStrikeClassifier(strikeClassifier);
+    }
+  }, [strikeClassifier]);
+
+  // Follow the active putter
+  useEffect(() => {
+    if (detectorRef.current) {
+      detectorRef.current.setPutter(putterId);
+    }
+  }, [putterId]);
+
+  // Toggle adaptive profile refinement
+  useEffect(() => {
+    if (detectorRef.current) {
+      detectorRef.current.updateParams({ adaptiveProfile });
+    }
+  }, [adaptiveProfile]);
+
   // Update video player reference when it changes
   useEffect(() => {
     if (detectorRef.current) {
@@ -460,6 +575,37 @@ export function useVideoSyncDetector(options = {}) {
     };
   }, [lastHit]);
 
+  /**
+   * Share the captured audio + detector state (WAV + labels JSON)
+   * @param {string} description - What looked wrong
+   * @returns {Promise<boolean>} True if a capture was shared
+   */
+  const shareCapture = useCallback(async (description = '') => {
+    const detector = detectorRef.current;
+
+    if (!detector?.capture) {
+      Alert.alert(
+        'Capture Unavailable',
+        'Audio capture needs the native audio stream, which is not available in this build.'
+      );
+      return false;
+    }
+
+    if (!detector.hasCapture()) {
+      Alert.alert('Nothing Captured Yet', 'Start Listen Mode and putt a few balls first.');
+      return false;
+    }
+
+    try {
+      const result = await shareDetectorCapture(detector, { description });
+      return !!result;
+    } catch (error) {
+      console.error('Failed to share detector capture:', error);
+      Alert.alert('Error', 'Could not export the capture: ' + error.message);
+      return false;
+    }
+  }, []);
+
   return {
     // State
     isInitialized,
@@ -476,7 +622,8 @@ export function useVideoSyncDetector(options = {}) {
     stop,
     updateSensitivity,
     resetCalibration,
-    getTimingAccuracy
+    getTimingAccuracy,
+    shareCapture
   };
 }
 
@@ -1,10 +1,29 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { StyleSheet, Text, View, TouchableOpacity, ImageBackground, Image, Dimensions, Platform, Modal, ScrollView, ActivityIndicator } from 'react-native';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, ImageBackground, Image, Dimensions, Platform, Modal, ScrollView, ActivityIndicator, Alert } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
-import { VideoView, useVideoPlayer } from 'expo-video';
 import { useVideoSyncDetector } from '../hooks/useVideoSyncDetector';
-import { loadBpmPreferences, saveBpmPreference } from '../services/auth';
+import { HIT_TYPES } from '../services/dsp/VideoSyncDetectorV2';
+import { useSwingLoopPlayer } from '../hooks/useSwingLoopPlayer';
+import { loadBpmPreferences, saveBpmPreference, incrementUserStats, loadUserSetting, saveUserSetting, loadLatencyCalibration, saveLatencyCalibration, getDeviceId, MIN_BPM, MAX_BPM } from '../services/auth';
+import { profileManager } from '../services/profiles/ProfileManager';
+import { putterService, getPutterName } from '../services/profiles/PutterService';
+import { profileHealth } from '../services/profiles/ProfileHealth';
+import { shareProfileFile, pickProfileFile } from '../services/profiles/ProfileFile';
+import { DEFAULT_AUDIO_LATENCY_MS, CALIBRATION_STRIKES, estimateStrikeLatency } from '../services/audio/LatencyCalibrator';
+import { DEFAULT_STROKE_RATIO_ID, DEFAULT_BEATS_PER_CYCLE, DEFAULT_TARGET_BEAT } from '../src/audio/strokeRatios';
+import { DEFAULT_SCORING_SETTINGS, getScoringBands, getLabelStyle } from '../services/sessions/AccuracyBands';
+import { DEFAULT_CAPTURE_SECONDS } from '../services/dsp/AudioCaptureBuffer';
+import { DEFAULT_STRIKE_CLASSIFIER_ID } from '../services/dsp/StrikeClassifiers';
+import { sessionService } from '../services/sessions/SessionService';
 import { infoDocumentContent } from '../src/content/infoDocument';
+import SessionSummaryScreen from './SessionSummaryScreen';
+import StatsScreen from './StatsScreen';
+import ProgressScreen from './ProgressScreen';
+import PracticeSettingsScreen from './PracticeSettingsScreen';
+import LatencyCalibrationScreen from './LatencyCalibrationScreen';
+import PuttersScreen from './PuttersScreen';
+import PutterCalibrationScreen from './PutterCalibrationScreen';
+import SwingTimingBar from '../components/SwingTimingBar';
 
 // Dynamic sizing calculations
 const CONTROL_BARS_BOTTOM = 10; // Distance from screen bottom to control bars container
@@ -17,187 +36,67 @@ const VIDEO_BORDER = 0; // No border for transparent videos
 const BALL_TOP_GAP = 0; // Gap between video bar and ball (ball image has built-in padding)
 const BALL_BOTTOM_GAP = 35; // Gap between ball and BPM bar top
 
+// Listen Mode drill layout: impact on beat 4 of 4, window from the back cue to the end of the loop
+const DEFAULT_CYCLE_SETTINGS = {
+  beatsPerCycle: DEFAULT_BEATS_PER_CYCLE,
+  targetBeat: DEFAULT_TARGET_BEAT,
+  windowOpenMs: null,
+  windowCloseMs: null,
+};
+
 export default function HomeScreen({ user, onReady = () => {} }) {
   const [soundType, setSoundType] = useState('tone'); // 'tone', 'beat', 'wind'
-  const [bpm, setBpm] = useState(76); // BPM range: 70-80
+  const [bpm, setBpm] = useState(76); // BPM range: MIN_BPM-MAX_BPM (60-100)
   const [isPlaying, setIsPlaying] = useState(false);
-  const [videoKey, setVideoKey] = useState('tone-76'); // Track video key for re-rendering
   const [restartTimeout, setRestartTimeout] = useState(null); // Track restart timer
   const [bpmPreferences, setBpmPreferences] = useState({ tone: 76, beat: 76, wind: 76, detect: 76 }); // Store BPM for each type
   const [preferencesLoaded, setPreferencesLoaded] = useState(false);
+  const [strokeRatio, setStrokeRatio] = useState(DEFAULT_STROKE_RATIO_ID); // Backswing:downswing ratio id
+  const [cycleSettings, setCycleSettings] = useState(DEFAULT_CYCLE_SETTINGS); // Beats per cycle, target beat, listening window
+  const [scoringSettings, setScoringSettings] = useState(DEFAULT_SCORING_SETTINGS); // Difficulty preset or custom bands
+  const scoringBands = useMemo(() => getScoringBands(scoringSettings), [scoringSettings]);
+  const [latencyCalibration, setLatencyCalibration] = useState(null); // This device model's calibration, if any
+  const audioLatencyMs = latencyCalibration?.latencyMs ?? DEFAULT_AUDIO_LATENCY_MS;
+  const [captureAudio, setCaptureAudio] = useState(false); // Keep recent Listen Mode audio for bug reports
+  const [spectralGate, setSpectralGate] = useState(false); // Only accept strikes that match the putter profile
+  const [adaptiveProfile, setAdaptiveProfile] = useState(false); // Refine the putter profile from confirmed strikes
+  const [strikeClassifier, setStrikeClassifier] = useState(DEFAULT_STRIKE_CLASSIFIER_ID); // Listen Mode strike detection
+  const [putters, setPutters] = useState([]); // The user's putters (PutterService)
+  const [activePutterId, setActivePutterId] = useState(null); // Putter in use: profile matching and session stats
 
   // Listen mode state
   const [listenMode, setListenMode] = useState(false);
   const [hitPosition, setHitPosition] = useState(null); // Position of detected hit (0-1)
   const [hitFeedback, setHitFeedback] = useState(null); // Colored feedback bar data
+  const [strikeNotice, setStrikeNotice] = useState(null); // "Double hit" / "Practice stroke" for this loop
   const [liveAudioLevel, setLiveAudioLevel] = useState(null); // Live audio level display
 
-  // Video loading state
-  const [videoLoading, setVideoLoading] = useState(true); // True when video is loading
-  const [videoReady, setVideoReady] = useState(false); // True when video is ready to play
-  const [videoError, setVideoError] = useState(null); // Error message if video fails to load
+  // Swing loop loading state
+  const [loopLoading, setLoopLoading] = useState(true); // True while loop audio is loading
+  const [loopReady, setLoopReady] = useState(false); // True when the loop is ready to play
+  const [loopError, setLoopError] = useState(null); // Error message if loop audio fails to load
 
   const [infoVisible, setInfoVisible] = useState(false);
   const [infoContent, setInfoContent] = useState('');
   const [infoLoading, setInfoLoading] = useState(false);
   const [infoError, setInfoError] = useState(null);
+  const [summarySession, setSummarySession] = useState(null); // Completed session shown in summary
+  const [statsVisible, setStatsVisible] = useState(false);
+  const [progressVisible, setProgressVisible] = useState(false);
+  const [settingsVisible, setSettingsVisible] = useState(false);
+  const [calibrationVisible, setCalibrationVisible] = useState(false);
+  const [strikeOutcome, setStrikeOutcome] = useState(null); // Finished strike latency run, shown in the wizard
+  const [puttersVisible, setPuttersVisible] = useState(false);
+  const [calibratingPutter, setCalibratingPutter] = useState(null); // Putter whose sound is being calibrated
+  const [profileVersions, setProfileVersions] = useState({}); // putterId -> profile template versions
+  const [profileReports, setProfileReports] = useState({}); // putterId -> profile health report
+  const [recalibrationPrompt, setRecalibrationPrompt] = useState(null); // Health report asking for recalibration
   const hasSignalledReadyRef = useRef(false);
-
-  // Get hit color based on millisecond error from 4th beat (target at 100%)
-  const getHitColor = (accuracy, errorMs, position) => {
-    const absErrorMs = Math.abs(errorMs);
-
-    // Map error to color zones based on milliseconds from target
-    if (absErrorMs <= 50) { // Within 50ms = PERFECT
-      return {
-        color: '#00FF00',
-        glow: 'rgba(0, 255, 0, 0.8)',
-        shadowRadius: 12,
-        barWidth: 10,
-        label: 'PERFECT!'
-      };
-    } else if (absErrorMs <= 100) { // 50-100ms = Great
-      return {
-        color: '#4CD964',
-        glow: 'rgba(76, 217, 100, 0.5)',
-        shadowRadius: 8,
-        barWidth: 8,
-        label: 'Great'
-      };
-    } else if (absErrorMs <= 150) { // 100-150ms = Good
-      return {
-        color: '#FFCC00',
-        glow: 'rgba(255, 204, 0, 0.4)',
-        shadowRadius: 6,
-        barWidth: 6,
-        label: 'Good'
-      };
-    } else if (absErrorMs <= 200) { // 150-200ms = OK
-      return {
-        color: '#FF9500',
-        glow: 'rgba(255, 149, 0, 0.3)',
-        shadowRadius: 4,
-        barWidth: 6,
-        label: 'OK'
-      };
-    } else { // 200ms+ = Too early/late
-      return {
-        color: '#FF3B30',
-        glow: 'rgba(255, 59, 48, 0.2)',
-        shadowRadius: 3,
-        barWidth: 4,
-        label: errorMs < 0 ? 'Too Early' : 'Too Late' // Based on timing error sign
-      };
-    }
-  };
-
-  // Video maps for BPM 70-80
-  // Regular videos: Tones/Beats/Wind with audio
-  // Detect videos: Silent metronome for listen mode (iOS only for now)
-  const videoMapIOS = {
-    // Tone videos (70-80 BPM)
-    'tone-70': require('../assets/swingBars/ios/tones/Tones_70BPM.mov'),
-    'tone-71': require('../assets/swingBars/ios/tones/Tones_71BPM.mov'),
-    'tone-72': require('../assets/swingBars/ios/tones/Tones_72BPM.mov'),
-    'tone-73': require('../assets/swingBars/ios/tones/Tones_73BPM.mov'),
-    'tone-74': require('../assets/swingBars/ios/tones/Tones_74BPM.mov'),
-    'tone-75': require('../assets/swingBars/ios/tones/Tones_75BPM.mov'),
-    'tone-76': require('../assets/swingBars/ios/tones/Tones_76BPM.mov'),
-    'tone-77': require('../assets/swingBars/ios/tones/Tones_77BPM.mov'),
-    'tone-78': require('../assets/swingBars/ios/tones/Tones_78BPM.mov'),
-    'tone-79': require('../assets/swingBars/ios/tones/Tones_79BPM.mov'),
-    'tone-80': require('../assets/swingBars/ios/tones/Tones_80BPM.mov'),
-    // Beat videos (70-80 BPM)
-    'beat-70': require('../assets/swingBars/ios/beats/Beats_70BPM.mov'),
-    'beat-71': require('../assets/swingBars/ios/beats/Beats_71BPM.mov'),
-    'beat-72': require('../assets/swingBars/ios/beats/Beats_72BPM.mov'),
-    'beat-73': require('../assets/swingBars/ios/beats/Beats_73BPM.mov'),
-    'beat-74': require('../assets/swingBars/ios/beats/Beats_74BPM.mov'),
-    'beat-75': require('../assets/swingBars/ios/beats/Beats_75BPM.mov'),
-    'beat-76': require('../assets/swingBars/ios/beats/Beats_76BPM.mov'),
-    'beat-77': require('../assets/swingBars/ios/beats/Beats_77BPM.mov'),
-    'beat-78': require('../assets/swingBars/ios/beats/Beats_78BPM.mov'),
-    'beat-79': require('../assets/swingBars/ios/beats/Beats_79BPM.mov'),
-    'beat-80': require('../assets/swingBars/ios/beats/Beats_80BPM.mov'),
-    // Wind videos (70-80 BPM)
-    'wind-70': require('../assets/swingBars/ios/wind/Wind_70BPM.mov'),
-    'wind-71': require('../assets/swingBars/ios/wind/Wind_71BPM.mov'),
-    'wind-72': require('../assets/swingBars/ios/wind/Wind_72BPM.mov'),
-    'wind-73': require('../assets/swingBars/ios/wind/Wind_73BPM.mov'),
-    'wind-74': require('../assets/swingBars/ios/wind/Wind_74BPM.mov'),
-    'wind-75': require('../assets/swingBars/ios/wind/Wind_75BPM.mov'),
-    'wind-76': require('../assets/swingBars/ios/wind/Wind_76BPM.mov'),
-    'wind-77': require('../assets/swingBars/ios/wind/Wind_77BPM.mov'),
-    'wind-78': require('../assets/swingBars/ios/wind/Wind_78BPM.mov'),
-    'wind-79': require('../assets/swingBars/ios/wind/Wind_79BPM.mov'),
-    'wind-80': require('../assets/swingBars/ios/wind/Wind_80BPM.mov'),
-    // Detect videos for listen mode (70-80 BPM)
-    'detect-70': require('../assets/swingBars/ios/detect/Tones_Detect_70BPM.mov'),
-    'detect-71': require('../assets/swingBars/ios/detect/Tones_Detect_71BPM.mov'),
-    'detect-72': require('../assets/swingBars/ios/detect/Tones_Detect_72BPM.mov'),
-    'detect-73': require('../assets/swingBars/ios/detect/Tones_Detect_73BPM.mov'),
-    'detect-74': require('../assets/swingBars/ios/detect/Tones_Detect_74BPM.mov'),
-    'detect-75': require('../assets/swingBars/ios/detect/Tones_Detect_75BPM.mov'),
-    'detect-76': require('../assets/swingBars/ios/detect/Tones_Detect_76BPM.mov'),
-    'detect-77': require('../assets/swingBars/ios/detect/Tones_Detect_77BPM.mov'),
-    'detect-78': require('../assets/swingBars/ios/detect/Tones_Detect_78BPM.mov'),
-    'detect-79': require('../assets/swingBars/ios/detect/Tones_Detect_79BPM.mov'),
-    'detect-80': require('../assets/swingBars/ios/detect/Tones_Detect_80BPM.mov'),
-  };
-
-  const videoMapAndroid = {
-    // Tone videos (70 BPM .webm, 71-80 use iOS .mov temporarily)
-    'tone-70': require('../assets/swingBars/android/tones/Tones_70BPM.webm'),
-    'tone-71': require('../assets/swingBars/ios/tones/Tones_71BPM.mov'),
-    'tone-72': require('../assets/swingBars/ios/tones/Tones_72BPM.mov'),
-    'tone-73': require('../assets/swingBars/ios/tones/Tones_73BPM.mov'),
-    'tone-74': require('../assets/swingBars/ios/tones/Tones_74BPM.mov'),
-    'tone-75': require('../assets/swingBars/ios/tones/Tones_75BPM.mov'),
-    'tone-76': require('../assets/swingBars/ios/tones/Tones_76BPM.mov'),
-    'tone-77': require('../assets/swingBars/ios/tones/Tones_77BPM.mov'),
-    'tone-78': require('../assets/swingBars/ios/tones/Tones_78BPM.mov'),
-    'tone-79': require('../assets/swingBars/ios/tones/Tones_79BPM.mov'),
-    'tone-80': require('../assets/swingBars/ios/tones/Tones_80BPM.mov'),
-    // Beat videos (70 BPM .webm, 71-80 use iOS .mov temporarily)
-    'beat-70': require('../assets/swingBars/android/beats/Beats_70BPM.webm'),
-    'beat-71': require('../assets/swingBars/ios/beats/Beats_71BPM.mov'),
-    'beat-72': require('../assets/swingBars/ios/beats/Beats_72BPM.mov'),
-    'beat-73': require('../assets/swingBars/ios/beats/Beats_73BPM.mov'),
-    'beat-74': require('../assets/swingBars/ios/beats/Beats_74BPM.mov'),
-    'beat-75': require('../assets/swingBars/ios/beats/Beats_75BPM.mov'),
-    'beat-76': require('../assets/swingBars/ios/beats/Beats_76BPM.mov'),
-    'beat-77': require('../assets/swingBars/ios/beats/Beats_77BPM.mov'),
-    'beat-78': require('../assets/swingBars/ios/beats/Beats_78BPM.mov'),
-    'beat-79': require('../assets/swingBars/ios/beats/Beats_79BPM.mov'),
-    'beat-80': require('../assets/swingBars/ios/beats/Beats_80BPM.mov'),
-    // Wind videos (70 BPM .webm, 71-80 use iOS .mov temporarily)
-    'wind-70': require('../assets/swingBars/android/wind/Wind_70BPM.webm'),
-    'wind-71': require('../assets/swingBars/ios/wind/Wind_71BPM.mov'),
-    'wind-72': require('../assets/swingBars/ios/wind/Wind_72BPM.mov'),
-    'wind-73': require('../assets/swingBars/ios/wind/Wind_73BPM.mov'),
-    'wind-74': require('../assets/swingBars/ios/wind/Wind_74BPM.mov'),
-    'wind-75': require('../assets/swingBars/ios/wind/Wind_75BPM.mov'),
-    'wind-76': require('../assets/swingBars/ios/wind/Wind_76BPM.mov'),
-    'wind-77': require('../assets/swingBars/ios/wind/Wind_77BPM.mov'),
-    'wind-78': require('../assets/swingBars/ios/wind/Wind_78BPM.mov'),
-    'wind-79': require('../assets/swingBars/ios/wind/Wind_79BPM.mov'),
-    'wind-80': require('../assets/swingBars/ios/wind/Wind_80BPM.mov'),
-    // Detect videos (using iOS .mov temporarily until .webm created) (70-80 BPM)
-    'detect-70': require('../assets/swingBars/ios/detect/Tones_Detect_70BPM.mov'),
-    'detect-71': require('../assets/swingBars/ios/detect/Tones_Detect_71BPM.mov'),
-    'detect-72': require('../assets/swingBars/ios/detect/Tones_Detect_72BPM.mov'),
-    'detect-73': require('../assets/swingBars/ios/detect/Tones_Detect_73BPM.mov'),
-    'detect-74': require('../assets/swingBars/ios/detect/Tones_Detect_74BPM.mov'),
-    'detect-75': require('../assets/swingBars/ios/detect/Tones_Detect_75BPM.mov'),
-    'detect-76': require('../assets/swingBars/ios/detect/Tones_Detect_76BPM.mov'),
-    'detect-77': require('../assets/swingBars/ios/detect/Tones_Detect_77BPM.mov'),
-    'detect-78': require('../assets/swingBars/ios/detect/Tones_Detect_78BPM.mov'),
-    'detect-79': require('../assets/swingBars/ios/detect/Tones_Detect_79BPM.mov'),
-    'detect-80': require('../assets/swingBars/ios/detect/Tones_Detect_80BPM.mov'),
-  };
-
-  // Select the appropriate video map based on platform
-  const videoMap = Platform.OS === 'ios' ? videoMapIOS : videoMapAndroid;
+  const playStartedAtRef = useRef(null); // Wall-clock start of current play, for practice time
+  const perfectStreakRef = useRef(0); // Consecutive PERFECT hits in current play
+  const playStatsRef = useRef({ totalHits: 0, perfectHits: 0, streak: 0 }); // Lifetime stats gathered this play, written on stop
+  const latencyStrikesRef = useRef(null); // Strikes collected for latency calibration (null when not calibrating)
+  const calibrationPlayRef = useRef(false); // Current play is a strike latency run, not a practice session
 
   // Load BPM preferences on mount
   useEffect(() => {
@@ -208,6 +107,18 @@ export default function HomeScreen({ user, onReady = () => {} }) {
           setBpmPreferences(preferences);
           setBpm(preferences.tone);
         }
+
+        setStrokeRatio(await loadUserSetting('strokeRatio', DEFAULT_STROKE_RATIO_ID));
+        const savedCycleSettings = await loadUserSetting('cycleSettings', DEFAULT_CYCLE_SETTINGS);
+        setCycleSettings({ ...DEFAULT_CYCLE_SETTINGS, ...savedCycleSettings });
+        const savedScoringSettings = await loadUserSetting('scoringSettings', DEFAULT_SCORING_SETTINGS);
+        setScoringSettings({ ...DEFAULT_SCORING_SETTINGS, ...savedScoringSettings });
+        setLatencyCalibration(await loadLatencyCalibration());
+        setCaptureAudio(!!(await loadUserSetting('captureAudio', false)));
+        setSpectralGate(!!(await loadUserSetting('spectralGate', false)));
+        setAdaptiveProfile(!!(await loadUserSetting('adaptiveProfile', false)));
+        setStrikeClassifier(await loadUserSetting('strikeClassifier', DEFAULT_STRIKE_CLASSIFIER_ID));
+        setActivePutterId(await loadUserSetting('activePutterId', null));
       } catch (prefError) {
         console.warn('Failed to load BPM preferences, using defaults:', prefError);
       } finally {
@@ -239,63 +150,34 @@ export default function HomeScreen({ user, onReady = () => {} }) {
     }
   }, [listenMode, bpmPreferences, soundType]);
 
-  // Get video source based on sound type, BPM, and listen mode
-  const getVideoSource = (type, bpmValue, listenModeActive) => {
-    // In listen mode, use detect video (silent metronome)
-    if (listenModeActive) {
-      const detectKey = `detect-${bpmValue}`;
-      const video = videoMap[detectKey];
-      // Fallback to 70 BPM if video not found
-      return video || videoMap['detect-70'];
-    }
-
-    // Regular mode: use sound-specific video
-    const key = `${type}-${bpmValue}`;
-    const video = videoMap[key];
-    // Fallback to 70 BPM if video not found
-    return video || videoMap[`${type}-70`];
-  };
-
-  // Get current video source (updates when soundType or listenMode changes)
-  const currentVideoSource = getVideoSource(soundType, bpm, listenMode);
-
-  // Create video player with current source - key forces re-mount when video changes
-  const player = useVideoPlayer(currentVideoSource, player => {
-    player.loop = false; // Manual looping with 2-second gap
+  // Generated swing loop (timing bar + scheduled audio) for the current tempo and sound
+  // Listen mode drops the impact beat so the metronome doesn't trigger the detector
+  const player = useSwingLoopPlayer({
+    bpm,
+    soundType: listenMode ? 'detect' : soundType,
+    strokeRatio,
+    beatsPerCycle: cycleSettings.beatsPerCycle,
+    targetBeat: cycleSettings.targetBeat,
   });
 
-  // Update player source when video changes (BPM, sound type, or listen mode)
-  useEffect(() => {
-    if (player && currentVideoSource) {
-      // Replace video source (use replaceAsync on iOS for better performance)
-      if (Platform.OS === 'ios') {
-        player.replaceAsync(currentVideoSource).catch(err => {
-          console.error('Failed to replace video source:', err);
-        });
-      } else {
-        player.replace(currentVideoSource);
-      }
-    }
-  }, [currentVideoSource, player, videoKey]);
-
-  // Track video loading status
+  // Track swing loop loading status
   useEffect(() => {
     if (!player) return;
 
-    // Check initial status immediately (in case video is already loaded from cache)
+    // Check initial status immediately (in case audio finished loading before this effect)
     const checkInitialStatus = () => {
       if (player.status === 'readyToPlay') {
-        setVideoLoading(false);
-        setVideoReady(true);
-        setVideoError(null);
+        setLoopLoading(false);
+        setLoopReady(true);
+        setLoopError(null);
       } else if (player.status === 'loading') {
-        setVideoLoading(true);
-        setVideoReady(false);
-        setVideoError(null);
+        setLoopLoading(true);
+        setLoopReady(false);
+        setLoopError(null);
       } else if (player.status === 'error') {
-        setVideoLoading(false);
-        setVideoReady(false);
-        setVideoError('Video failed to load');
+        setLoopLoading(false);
+        setLoopReady(false);
+        setLoopError('Audio failed to load');
       }
     };
 
@@ -306,45 +188,235 @@ export default function HomeScreen({ user, onReady = () => {} }) {
     const subscription = player.addListener('statusChange', ({ status, error }) => {
       switch (status) {
         case 'loading':
-          setVideoLoading(true);
-          setVideoReady(false);
-          setVideoError(null);
+          setLoopLoading(true);
+          setLoopReady(false);
+          setLoopError(null);
           break;
 
         case 'readyToPlay':
-          setVideoLoading(false);
-          setVideoReady(true);
-          setVideoError(null);
+          setLoopLoading(false);
+          setLoopReady(true);
+          setLoopError(null);
           break;
 
         case 'error':
-          setVideoLoading(false);
-          setVideoReady(false);
-          setVideoError(error?.message || 'Video failed to load');
-          console.error('❌ Video error:', error);
+          setLoopLoading(false);
+          setLoopReady(false);
+          setLoopError(error?.message || 'Audio failed to load');
+          console.error('❌ Swing loop error:', error);
           break;
 
         case 'idle':
-          setVideoLoading(false);
-          setVideoReady(false);
+          setLoopLoading(false);
+          setLoopReady(false);
           break;
       }
     });
 
     return () => subscription.remove();
-  }, [player, videoKey]);
+  }, [player]);
 
   useEffect(() => {
-    if (!hasSignalledReadyRef.current && preferencesLoaded && (videoReady || videoError)) {
+    if (!hasSignalledReadyRef.current && preferencesLoaded && (loopReady || loopError)) {
       hasSignalledReadyRef.current = true;
       onReady();
     }
-  }, [preferencesLoaded, videoReady, videoError, onReady]);
+  }, [preferencesLoaded, loopReady, loopError, onReady]);
+
+  // Load putter profiles for the sound filter and adaptive refinement (same device-scoped profiles as the profile manager)
+  useEffect(() => {
+    if (!(spectralGate || adaptiveProfile) || profileManager.initialized) return;
+
+    const loadProfiles = async () => {
+      try {
+        await profileManager.initialize(await getDeviceId());
+      } catch (profileError) {
+        console.warn('Putter profiles unavailable, sound filter disabled:', profileError);
+      }
+    };
+
+    loadProfiles();
+  }, [spectralGate, adaptiveProfile]);
+
+  // Load putters (device-scoped, like the profiles they own)
+  useEffect(() => {
+    const loadPutters = async () => {
+      try {
+        setPutters(await putterService.loadPutters(await getDeviceId()));
+      } catch (putterError) {
+        console.warn('Failed to load putters:', putterError);
+      }
+    };
+
+    loadPutters();
+  }, []);
+
+  // Only the active putter's profiles are matched
+  useEffect(() => {
+    const putter = putters.find(p => p.id === activePutterId);
+    profileManager.setActivePutter(activePutterId, putter?.profileId);
+  }, [activePutterId, putters]);
+
+  const selectPutter = (putterId) => {
+    setActivePutterId(putterId);
+    saveUserSetting('activePutterId', putterId);
+  };
+
+  const addPutter = async (fields) => {
+    const putter = await putterService.savePutter(await getDeviceId(), fields);
+    setPutters([...putterService.putters]);
+    selectPutter(putter.id);
+  };
+
+  const deletePutter = async (putterId) => {
+    await putterService.deletePutter(await getDeviceId(), putterId);
+    setPutters([...putterService.putters]);
+    if (putterId === activePutterId) {
+      selectPutter(null);
+    }
+
+    // Its profiles no longer belong to anyone: keep them out of matching
+    try {
+      await loadProfileManager();
+      await profileManager.retirePutterProfiles(putterId);
+    } catch (profileError) {
+      console.warn('Failed to retire the removed putter\'s profiles:', profileError);
+    }
+  };
+
+  // Calibration and profile files go through the profile manager, so it must be loaded
+  const loadProfileManager = async () => {
+    if (!profileManager.initialized) {
+      await profileManager.initialize(await getDeviceId());
+    }
+  };
+
+  const calibratePutter = async (putter) => {
+    try {
+      await loadProfileManager();
+      setPuttersVisible(false);
+      setCalibratingPutter(putter);
+    } catch (profileError) {
+      console.warn('Putter profiles unavailable, cannot calibrate:', profileError);
+    }
+  };
+
+  // The new calibration replaces the putter's previous profile
+  const handlePutterCalibrated = async (profile) => {
+    if (!calibratingPutter || !profile) return;
+
+    await putterService.savePutter(await getDeviceId(), { ...calibratingPutter, profileId: profile.id });
+    setPutters([...putterService.putters]);
+
+    if (calibratingPutter.profileId && calibratingPutter.profileId !== profile.id) {
+      try {
+        await profileManager.retireProfile(calibratingPutter.profileId);
+      } catch (profileError) {
+        console.warn('Failed to retire the previous putter profile:', profileError);
+      }
+    }
+  };
+
+  const exportPutterProfile = async (putter) => {
+    try {
+      await loadProfileManager();
+      const profile = profileManager.getProfile(putter.profileId);
+      if (!profile) {
+        throw new Error('This putter\'s profile hasn\'t loaded yet');
+      }
+      await shareProfileFile(profile);
+    } catch (profileError) {
+      console.warn('Failed to export putter profile:', profileError);
+      Alert.alert('Export Failed', profileError.message);
+    }
+  };
+
+  // A coach's or backed-up profile replaces the putter's calibration
+  const importPutterProfile = async (putter) => {
+    try {
+      await loadProfileManager();
+      const profile = await pickProfileFile();
+      if (!profile) return;
+
+      const imported = await profileManager.importProfile(profile, putter.id, putter.profileId);
+      await putterService.savePutter(await getDeviceId(), { ...putter, profileId: imported.id });
+      setPutters([...putterService.putters]);
+    } catch (profileError) {
+      console.warn('Failed to import putter profile:', profileError);
+      Alert.alert('Import Failed', profileError.message);
+    }
+  };
+
+  // Template versions (for rollback) and health of each putter's calibrated profile
+  useEffect(() => {
+    if (!puttersVisible) return;
+
+    const versions = {};
+    const reports = {};
+    putters.forEach(putter => {
+      if (!putter.profileId) return;
+      const info = profileManager.getProfileVersions(putter.profileId);
+      const report = profileManager.getProfileHealth(putter.profileId);
+      if (info) versions[putter.id] = info;
+      if (report) reports[putter.id] = report;
+    });
+    setProfileVersions(versions);
+    setProfileReports(reports);
+  }, [puttersVisible, putters]);
+
+  const restoreProfileVersion = async (putter, version) => {
+    try {
+      await profileManager.rollbackProfile(putter.profileId, version);
+      setProfileVersions({
+        ...profileVersions,
+        [putter.id]: profileManager.getProfileVersions(putter.profileId),
+      });
+      setProfileReports({
+        ...profileReports,
+        [putter.id]: profileManager.getProfileHealth(putter.profileId),
+      });
+    } catch (profileError) {
+      console.warn('Failed to restore putter profile version:', profileError);
+    }
+  };
+
+  const activePutter = putters.find(putter => putter.id === activePutterId) || null;
+
+  // Ask to recalibrate once the session summary is out of the way
+  useEffect(() => {
+    if (!recalibrationPrompt || summarySession) return;
+
+    const report = recalibrationPrompt;
+    const putter = putters.find(p => p.profileId === report.profileId) || activePutter;
+    setRecalibrationPrompt(null);
+
+    const notNow = () => {
+      profileHealth.dismissPrompt(report.profileId);
+      profileHealth.save();
+    };
 
-  // Initialize VideoSyncDetector with video player reference
+    Alert.alert(
+      'Recalibrate Putter Sound?',
+      report.reason,
+      putter
+        ? [
+          { text: 'Not Now', style: 'cancel', onPress: notNow },
+          { text: 'Recalibrate', onPress: () => calibratePutter(putter) },
+        ]
+        : [{ text: 'OK', onPress: notNow }]
+    );
+  }, [recalibrationPrompt, summarySession]);
+
+  // Initialize VideoSyncDetector with the swing loop as its position source
   const detector = useVideoSyncDetector({
     bpm,
     videoPlayer: player,
+    strokeRatio,
+    beatsPerCycle: cycleSettings.beatsPerCycle,
+    targetBeat: cycleSettings.targetBeat,
+    windowOpenMs: cycleSettings.windowOpenMs,
+    windowCloseMs: cycleSettings.windowCloseMs,
+    scoringBands,
     debugMode: true, // Enable verbose logging for diagnostics
     listenDelayMs: 500,
     micGain: 3.0,
@@ -353,14 +425,54 @@ export default function HomeScreen({ user, onReady = () => {} }) {
     singleFrameBypassRatio: 2.2,
     listeningTailMs: 240,
     hitProcessingDelayMs: 0,
-    audioLatencyMs: 180,
+    audioLatencyMs, // Per-device calibration (DEFAULT_AUDIO_LATENCY_MS until calibrated)
     listeningEntryGuardMs: 100,
+    captureSeconds: captureAudio ? DEFAULT_CAPTURE_SECONDS : 0, // Opt-in bug-report capture
+    spectralGate, // Putter profile filter (no-op until profiles are loaded)
+    strikeClassifier, // Multi-band needs the native audio stream; falls back to energy on metering
+    putterId: activePutterId,
+    adaptiveProfile, // Refine the putter profile from confirmed strikes
     onAudioLevel: (audioData) => {
       // Update live audio display every frame
       setLiveAudioLevel(audioData);
     },
     onHitDetected: (hitEvent) => {
+      if (hitEvent.type === HIT_TYPES.PRACTICE_STROKE) {
+        console.log('🏌️ Practice stroke (no impact this loop)');
+        setStrikeNotice('Practice stroke');
+        return;
+      }
+
+      if (hitEvent.type === HIT_TYPES.LATE_NOISE) {
+        console.log('🔈 Late noise after strike, ignored');
+        return;
+      }
+
+      // Latency calibration strikes are measured, not scored
+      const calibrationStrikes = latencyStrikesRef.current;
+      if (calibrationStrikes) {
+        if (hitEvent.type === HIT_TYPES.STRIKE) {
+          calibrationStrikes.push(hitEvent);
+          setStrikeNotice(`Calibrating · ${calibrationStrikes.length}/${CALIBRATION_STRIKES} strikes`);
+        }
+        if (calibrationStrikes.length >= CALIBRATION_STRIKES) {
+          latencyStrikesRef.current = null;
+          setStrikeOutcome({ result: estimateStrikeLatency(calibrationStrikes) });
+        }
+        return;
+      }
+
+      const isDoubleHit = hitEvent.type === HIT_TYPES.DOUBLE_HIT;
+      const quality = hitEvent.strikeQuality;
+      const hasSolidness = typeof quality?.solidness === 'number';
+      if (isDoubleHit) {
+        setStrikeNotice('Double hit');
+      } else if (hasSolidness) {
+        setStrikeNotice(`${quality.contact} · ${Math.round(quality.solidness * 100)}% solid`);
+      }
+
       console.log('🎯 Hit detected!', {
+        type: hitEvent.type,
         position: (hitEvent.position * 100).toFixed(1) + '%',
         accuracy: (hitEvent.accuracy * 100).toFixed(0) + '%',
         errorMs: hitEvent.errorMs.toFixed(0) + 'ms',
@@ -368,8 +480,8 @@ export default function HomeScreen({ user, onReady = () => {} }) {
         distanceFromCenter: ((hitEvent.distanceFromCenter || 0) * 100).toFixed(1) + '%'
       });
 
-      // Calculate color based on error in milliseconds
-      const colorData = getHitColor(hitEvent.accuracy, hitEvent.errorMs, hitEvent.position);
+      // Color from the band the detector scored (shared AccuracyBands thresholds)
+      const colorData = getLabelStyle(hitEvent.band);
 
       // Set feedback data for colored vertical bar
       setHitFeedback({
@@ -381,32 +493,42 @@ export default function HomeScreen({ user, onReady = () => {} }) {
         timestamp: Date.now()
       });
 
-      // Bar will remain visible until video ends, then cleared automatically
-      // (No timeout needed - cleared in video end listener)
-    }
-  });
+      // Record strike in the active practice session
+      sessionService.recordStrike({
+        errorMs: hitEvent.errorMs,
+        accuracy: hitEvent.accuracy,
+        label: colorData.label,
+        type: hitEvent.type,
+        solidness: hasSolidness ? quality.solidness : null,
+        contact: hasSolidness ? quality.contact : null
+      });
 
-  // Update video key when sound type, BPM, or listen mode changes (only when stopped)
-  useEffect(() => {
-    if (!isPlaying) {
-      const prefix = listenMode ? 'detect' : soundType;
-      const newKey = `${prefix}-${bpm}`;
-      setVideoKey(newKey);
+      // Count toward lifetime stats (a double hit is never perfect)
+      const isPerfect = !isDoubleHit && colorData.label === 'PERFECT!';
+      perfectStreakRef.current = isPerfect ? perfectStreakRef.current + 1 : 0;
+      const playStats = playStatsRef.current;
+      playStats.totalHits += 1;
+      playStats.perfectHits += isPerfect ? 1 : 0;
+      playStats.streak = Math.max(playStats.streak, perfectStreakRef.current);
+
+      // Bar will remain visible until the loop ends, then cleared automatically
+      // (No timeout needed - cleared in loop end listener)
     }
-  }, [soundType, bpm, listenMode, isPlaying]);
+  });
 
-  // Handle video end and restart with 2-second gap
+  // Handle loop end and restart with 2-second gap
   useEffect(() => {
     if (!player) return;
 
     const subscription = player.addListener('playingChange', (event) => {
-      // When video stops playing and we're at the end
+      // When the loop stops playing and we're at the end
       if (!event.isPlaying && isPlaying && player.currentTime >= player.duration - 0.1) {
         // Wait 2 seconds, then clear feedback and restart from beginning
         const timeout = setTimeout(() => {
           if (isPlaying) {
             // Clear hit feedback when new loop starts (after 2-second gap)
             setHitFeedback(null);
+            setStrikeNotice(null);
             setHitPosition(null);
             player.replay();
           }
@@ -423,8 +545,8 @@ export default function HomeScreen({ user, onReady = () => {} }) {
 
   // Toggle play/pause when ball is clicked
   const handleBallPress = async () => {
-    // Prevent interaction while video is loading/errored/not ready
-    if (videoLoading || videoError || (!videoReady && !isPlaying)) {
+    // Prevent interaction while the loop is loading/errored/not ready
+    if (loopLoading || loopError || (!loopReady && !isPlaying)) {
       return;
     }
 
@@ -441,12 +563,54 @@ export default function HomeScreen({ user, onReady = () => {} }) {
       if (listenMode && detector && detector.isRunning) {
         detector.pause();
       }
+
+      // Write this play's lifetime stats in one update (calibration runs aren't practice)
+      if (playStartedAtRef.current && !calibrationPlayRef.current) {
+        incrementUserStats({
+          sessions: 1,
+          ...playStatsRef.current,
+          practiceTime: (Date.now() - playStartedAtRef.current) / 1000,
+        });
+      }
+      playStartedAtRef.current = null;
+      calibrationPlayRef.current = false;
+
+      // Persist the practice session and show its summary (no-op if none was started)
+      const completedSession = await sessionService.endSession();
+      if (completedSession && completedSession.strikes.length > 0) {
+        setSummarySession(completedSession);
+      }
+
+      // Save this session's profile refinements as a template version, and check
+      // whether live strikes still match the putter profile
+      if (profileManager.initialized) {
+        profileManager.flushRefinements().catch(profileError => {
+          console.warn('Failed to save putter profile refinements:', profileError);
+        });
+        profileHealth.save();
+        setRecalibrationPrompt(profileManager.getRecalibrationPrompt());
+      }
     } else {
       player.play();
       setIsPlaying(true);
 
+      playStartedAtRef.current = Date.now();
+      perfectStreakRef.current = 0;
+      playStatsRef.current = { totalHits: 0, perfectHits: 0, streak: 0 };
+      calibrationPlayRef.current = !!latencyStrikesRef.current;
+
       // Start or resume detector if listen mode active
       if (listenMode && detector && detector.isInitialized) {
+        // A strike latency run records no practice session
+        if (!calibrationPlayRef.current) {
+          await sessionService.startSession({
+            userId: user?.uid,
+            bpm,
+            soundType: 'detect',
+            putterId: activePutterId,
+          });
+        }
+
         if (!detector.isRunning) {
           await detector.start();
         } else {
@@ -456,6 +620,28 @@ export default function HomeScreen({ user, onReady = () => {} }) {
     }
   };
 
+  // Strike latency run: Listen Mode strikes on the target beat feed estimateStrikeLatency
+  const startStrikeCalibration = async () => {
+    // End (and record) a practice play in progress; the run starts from a fresh play
+    if (isPlaying) {
+      await handleBallPress();
+    }
+    setCalibrationVisible(false);
+    setStrikeOutcome(null);
+    latencyStrikesRef.current = [];
+    setListenMode(true);
+    setStrikeNotice(`Calibrating · strike on the target beat (0/${CALIBRATION_STRIKES})`);
+  };
+
+  // A finished strike run stops the loop and shows its result in the wizard
+  useEffect(() => {
+    if (!strikeOutcome) return;
+    if (isPlaying) {
+      handleBallPress();
+    }
+    setCalibrationVisible(true);
+  }, [strikeOutcome]);
+
   // Hit detection is now handled in the onHitDetected callback above
 
   const insets = useSafeAreaInsets();
@@ -502,20 +688,14 @@ export default function HomeScreen({ user, onReady = () => {} }) {
       style={styles.backgroundImage}
       resizeMode="cover"
     >
-      {/* Tone Bar Video - At top of screen (outside safe area to stick to physical top) */}
+      {/* Swing Timing Bar - At top of screen (outside safe area to stick to physical top) */}
       <View style={styles.videoContainer}>
-        <VideoView
-          key={videoKey}
-          player={player}
-          style={styles.video}
-          contentFit="contain"
-          nativeControls={false}
-        />
+        <SwingTimingBar player={player} />
 
         {/* Error Overlay */}
-        {videoError && (
+        {loopError && (
           <View style={styles.errorOverlay}>
-            <Text style={styles.errorText}>⚠️ {videoError}</Text>
+            <Text style={styles.errorText}>⚠️ {loopError}</Text>
             <Text style={styles.errorSubtext}>Please try again</Text>
           </View>
         )}
@@ -538,6 +718,13 @@ export default function HomeScreen({ user, onReady = () => {} }) {
             ]}
           />
         )}
+
+        {/* Loop notice (double hit, practice stroke, strike solidness) */}
+        {strikeNotice && listenMode && (
+          <View style={styles.strikeNotice} pointerEvents="none">
+            <Text style={styles.strikeNoticeText}>{strikeNotice}</Text>
+          </View>
+        )}
       </View>
       <SafeAreaView style={styles.safeContainer} edges={['left','right','bottom']}>
 
@@ -553,29 +740,29 @@ export default function HomeScreen({ user, onReady = () => {} }) {
               style={[
                 styles.golfBall,
                 { width: golfBallSize, height: golfBallSize },
-                videoLoading && { opacity: 0.5 }
+                loopLoading && { opacity: 0.5 }
               ]}
               resizeMode="contain"
             />
             <View style={styles.ballTextContainer}>
               <Text style={styles.ballText}>
-                {videoLoading ? 'LOADING...' : (isPlaying ? 'STOP' : 'START')}
+                {loopLoading ? 'LOADING...' : (isPlaying ? 'STOP' : 'START')}
               </Text>
             </View>
           </TouchableOpacity>
 
           {/* Control Bars - Fixed at bottom center */}
           <View style={styles.controlBarsContainer}>
-            {/* BPM Bar - Top (Range: 70-80 BPM) */}
+            {/* BPM Bar - Top (Range: 60-100 BPM) */}
             <View style={styles.bpmBar}>
               <TouchableOpacity
                 style={styles.barSection}
-                disabled={videoLoading || isPlaying}
+                disabled={loopLoading || isPlaying}
                 onPress={async () => {
                   if (isPlaying) {
                     handleBallPress(); // Stop playback first
                   } else {
-                    const newBpm = Math.max(70, bpm - 1);
+                    const newBpm = Math.max(MIN_BPM, bpm - 1);
                     setBpm(newBpm);
 
                     // Save to Firebase/cache (saves to ALL modes)
@@ -589,7 +776,7 @@ export default function HomeScreen({ user, onReady = () => {} }) {
               >
                 <Image
                   source={require('../assets/icons/minus.png')}
-                  style={[styles.iconImage, { opacity: (bpm <= 70 || isPlaying || videoLoading) ? 0.3 : 1.0 }]}
+                  style={[styles.iconImage, { opacity: (bpm <= MIN_BPM || isPlaying || loopLoading) ? 0.3 : 1.0 }]}
                   resizeMode="contain"
                 />
               </TouchableOpacity>
@@ -604,12 +791,12 @@ export default function HomeScreen({ user, onReady = () => {} }) {
 
               <TouchableOpacity
                 style={styles.barSection}
-                disabled={videoLoading || isPlaying}
+                disabled={loopLoading || isPlaying}
                 onPress={async () => {
                   if (isPlaying) {
                     handleBallPress(); // Stop playback first
                   } else {
-                    const newBpm = Math.min(80, bpm + 1);
+                    const newBpm = Math.min(MAX_BPM, bpm + 1);
                     setBpm(newBpm);
 
                     // Save to Firebase/cache (saves to ALL modes)
@@ -623,7 +810,7 @@ export default function HomeScreen({ user, onReady = () => {} }) {
               >
                 <Image
                   source={require('../assets/icons/plus.png')}
-                  style={[styles.iconImage, { opacity: (bpm >= 80 || isPlaying || videoLoading) ? 0.3 : 1.0 }]}
+                  style={[styles.iconImage, { opacity: (bpm >= MAX_BPM || isPlaying || loopLoading) ? 0.3 : 1.0 }]}
                   resizeMode="contain"
                 />
               </TouchableOpacity>
@@ -737,6 +924,55 @@ export default function HomeScreen({ user, onReady = () => {} }) {
             </View>
           </TouchableOpacity>
 
+          {/* Lifetime Stats Button - Bottom Right (left of info) */}
+          <TouchableOpacity
+            style={styles.statsButton}
+            onPress={() => setStatsVisible(true)}
+            activeOpacity={0.9}
+            accessibilityRole="button"
+            accessibilityLabel="Open lifetime stats"
+          >
+            <View style={styles.infoButtonCircle}>
+              <Text style={styles.statsButtonLabel}>📊</Text>
+            </View>
+          </TouchableOpacity>
+
+          {/* Practice Settings Button - Bottom Right (left of stats) */}
+          <TouchableOpacity
+            style={styles.settingsButton}
+            onPress={() => {
+              if (isPlaying) {
+                handleBallPress(); // Stop playback before changing stroke timing
+              }
+              setSettingsVisible(true);
+            }}
+            activeOpacity={0.9}
+            accessibilityRole="button"
+            accessibilityLabel="Open practice settings"
+          >
+            <View style={styles.infoButtonCircle}>
+              <Text style={styles.statsButtonLabel}>⚙️</Text>
+            </View>
+          </TouchableOpacity>
+
+          {/* Active Putter Button - Bottom Left (right of listen mode) */}
+          <TouchableOpacity
+            style={styles.putterButton}
+            onPress={() => {
+              if (isPlaying) {
+                handleBallPress(); // Stop playback before switching putters
+              }
+              setPuttersVisible(true);
+            }}
+            activeOpacity={0.9}
+            accessibilityRole="button"
+            accessibilityLabel="Choose putter"
+          >
+            <Text style={styles.putterButtonText} numberOfLines={1}>
+              {activePutter ? getPutterName(activePutter) : 'Choose putter'}
+            </Text>
+          </TouchableOpacity>
+
           {/* Listen Mode Toggle Button - Bottom Left */}
           <TouchableOpacity
             style={styles.listenModeButton}
@@ -746,6 +982,7 @@ export default function HomeScreen({ user, onReady = () => {} }) {
               }
               setListenMode(!listenMode);
               setHitPosition(null); // Clear any previous hit indicator
+              latencyStrikesRef.current = null; // Leaving Listen Mode cancels a strike latency run
             }}
             activeOpacity={0.8}
           >
@@ -816,6 +1053,121 @@ export default function HomeScreen({ user, onReady = () => {} }) {
           </View>
         </View>
       </Modal>
+
+      <SessionSummaryScreen
+        visible={!!summarySession}
+        session={summarySession}
+        onClose={() => setSummarySession(null)}
+      />
+
+      <StatsScreen
+        visible={statsVisible}
+        onClose={() => setStatsVisible(false)}
+        onShowProgress={() => {
+          setStatsVisible(false);
+          setProgressVisible(true);
+        }}
+      />
+
+      <ProgressScreen
+        visible={progressVisible}
+        userId={user?.uid}
+        putters={putters}
+        onClose={() => setProgressVisible(false)}
+      />
+
+      <PracticeSettingsScreen
+        visible={settingsVisible}
+        bpm={bpm}
+        strokeRatio={strokeRatio}
+        onChangeStrokeRatio={(ratioId) => {
+          setStrokeRatio(ratioId);
+          saveUserSetting('strokeRatio', ratioId);
+        }}
+        cycleSettings={cycleSettings}
+        onChangeCycleSettings={(settings) => {
+          setCycleSettings(settings);
+          saveUserSetting('cycleSettings', settings);
+        }}
+        scoringSettings={scoringSettings}
+        onChangeScoringSettings={(settings) => {
+          setScoringSettings(settings);
+          saveUserSetting('scoringSettings', settings);
+        }}
+        audioLatencyMs={audioLatencyMs}
+        latencyCalibrated={!!latencyCalibration}
+        latencyMethod={latencyCalibration?.method ?? 'tap'}
+        onCalibrateLatency={() => {
+          setSettingsVisible(false);
+          setCalibrationVisible(true);
+        }}
+        strikeClassifier={strikeClassifier}
+        onChangeStrikeClassifier={(id) => {
+          setStrikeClassifier(id);
+          saveUserSetting('strikeClassifier', id);
+        }}
+        spectralGate={spectralGate}
+        onChangeSpectralGate={(enabled) => {
+          setSpectralGate(enabled);
+          saveUserSetting('spectralGate', enabled);
+        }}
+        adaptiveProfile={adaptiveProfile}
+        onChangeAdaptiveProfile={(enabled) => {
+          setAdaptiveProfile(enabled);
+          saveUserSetting('adaptiveProfile', enabled);
+        }}
+        captureAudio={captureAudio}
+        onChangeCaptureAudio={(enabled) => {
+          setCaptureAudio(enabled);
+          saveUserSetting('captureAudio', enabled);
+        }}
+        onShareCapture={() => detector.shareCapture()}
+        onClose={() => setSettingsVisible(false)}
+      />
+
+      <LatencyCalibrationScreen
+        visible={calibrationVisible}
+        currentLatencyMs={audioLatencyMs}
+        strikeOutcome={strikeOutcome}
+        onStartStrikes={startStrikeCalibration}
+        onSave={(calibration) => {
+          setLatencyCalibration(calibration);
+          saveLatencyCalibration(calibration);
+        }}
+        onClose={() => {
+          setCalibrationVisible(false);
+          setStrikeOutcome(null);
+        }}
+      />
+
+      <PuttersScreen
+        visible={puttersVisible}
+        putters={putters}
+        activePutterId={activePutterId}
+        onSelectPutter={selectPutter}
+        onAddPutter={addPutter}
+        onDeletePutter={deletePutter}
+        onCalibratePutter={calibratePutter}
+        onExportProfile={exportPutterProfile}
+        onImportProfile={importPutterProfile}
+        profileVersions={profileVersions}
+        profileReports={profileReports}
+        onRestoreVersion={restoreProfileVersion}
+        onClose={() => setPuttersVisible(false)}
+      />
+
+      <Modal
+        visible={!!calibratingPutter}
+        animationType="slide"
+        presentationStyle="fullScreen"
+      >
+        {calibratingPutter && (
+          <PutterCalibrationScreen
+            navigation={{ goBack: () => setCalibratingPutter(null) }}
+            route={{ params: { putter: calibratingPutter, onComplete: handlePutterCalibrated } }}
+          />
+        )}
+      </Modal>
     </ImageBackground>
   );
 }
@@ -968,17 +1320,30 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
-  video: {
-    width: '100%',
-    height: VIDEO_HEIGHT,
-    backgroundColor: 'transparent',
-  },
   listenModeButton: {
     position: 'absolute',
     left: 20,
     bottom: 20,
     zIndex: 10,
   },
+  putterButton: {
+    position: 'absolute',
+    left: 90,
+    bottom: 36,
+    maxWidth: 180,
+    paddingHorizontal: 12,
+    paddingVertical: 5,
+    borderRadius: 14,
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    borderWidth: 2,
+    borderColor: '#333',
+    zIndex: 10,
+  },
+  putterButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#333',
+  },
   listenModeCircle: {
     width: 60,
     height: 60,
@@ -1017,6 +1382,21 @@ const styles = StyleSheet.create({
     elevation: 8, // Android shadow
     opacity: 0.9,
   },
+  strikeNotice: {
+    position: 'absolute',
+    bottom: 4,
+    alignSelf: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 2,
+    borderRadius: 8,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    zIndex: 101,
+  },
+  strikeNoticeText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   errorOverlay: {
     position: 'absolute',
     top: 0,
@@ -1045,6 +1425,21 @@ const styles = StyleSheet.create({
     bottom: 20,
     zIndex: 10,
   },
+  statsButton: {
+    position: 'absolute',
+    right: 60,
+    bottom: 20,
+    zIndex: 10,
+  },
+  settingsButton: {
+    position: 'absolute',
+    right: 100,
+    bottom: 20,
+    zIndex: 10,
+  },
+  statsButtonLabel: {
+    fontSize: 14,
+  },
   infoButtonCircle: {
     width: 30,
     height: 30,
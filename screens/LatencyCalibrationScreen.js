@@ -0,0 +1,374 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, Pressable, ActivityIndicator } from 'react-native';
+import { nowMs } from '../src/audio/scheduler';
+import {
+  LatencyCalibrator,
+  CALIBRATION_BEATS,
+  CALIBRATION_STRIKES,
+  COUNT_IN_BEATS,
+  LATENCY_METHODS,
+  MIN_VALID_STRIKES,
+  MIN_VALID_TAPS,
+} from '../services/audio/LatencyCalibrator';
+
+/**
+ * Latency calibration wizard
+ * Tap mode: the user taps along with a steady tone; the average delay between
+ * each scheduled beat and the tap is the tap latency (speaker only).
+ * Strike mode: the user strikes on the target beat of the swing loop in Listen
+ * Mode (run by the caller), so the offset also covers microphone input.
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the wizard is shown
+ * @param {number} props.currentLatencyMs - Offset currently in use
+ * @param {Object|null} props.strikeOutcome - { result } from a finished strike run (see estimateStrikeLatency)
+ * @param {Function} props.onStartStrikes - Closes the wizard and starts a strike run
+ * @param {Function} props.onSave - Called with { latencyMs, stdDevMs, sampleCount, method }
+ * @param {Function} props.onClose - Called when the wizard is dismissed
+ */
+export default function LatencyCalibrationScreen({ visible, currentLatencyMs, strikeOutcome, onStartStrikes, onSave, onClose }) {
+  const [phase, setPhase] = useState('intro'); // 'intro', 'loading', 'running', 'result', 'failed'
+  const [method, setMethod] = useState(LATENCY_METHODS.STRIKE);
+  const [tapCount, setTapCount] = useState(0);
+  const [result, setResult] = useState(null);
+  const calibratorRef = useRef(null);
+
+  // Fresh calibrator per visit (or the strike run's result); release audio when hidden
+  useEffect(() => {
+    if (!visible) return;
+
+    setTapCount(0);
+    if (strikeOutcome) {
+      setMethod(LATENCY_METHODS.STRIKE);
+      setResult(strikeOutcome.result);
+      setPhase(strikeOutcome.result ? 'result' : 'failed');
+    } else {
+      setResult(null);
+      setPhase('intro');
+    }
+    calibratorRef.current = new LatencyCalibrator();
+
+    return () => {
+      calibratorRef.current?.release();
+      calibratorRef.current = null;
+    };
+  }, [visible]);
+
+  const handleStart = async () => {
+    if (method === LATENCY_METHODS.STRIKE) {
+      onStartStrikes();
+      return;
+    }
+
+    const calibrator = calibratorRef.current;
+    if (!calibrator) return;
+
+    try {
+      setPhase('loading');
+      await calibrator.load();
+      if (calibratorRef.current !== calibrator) return;
+
+      setTapCount(0);
+      setResult(null);
+      setPhase('running');
+      calibrator.start(() => {
+        const estimate = calibrator.getResult();
+        setResult(estimate);
+        setPhase(estimate ? 'result' : 'failed');
+      });
+    } catch (error) {
+      console.error('❌ Latency calibration failed to start:', error);
+      setPhase('failed');
+    }
+  };
+
+  const handleTap = () => {
+    const timestamp = nowMs();
+    if (phase !== 'running') return;
+
+    calibratorRef.current?.recordTap(timestamp);
+    setTapCount(count => count + 1);
+  };
+
+  const handleSave = () => {
+    if (!result) return;
+    onSave({
+      latencyMs: result.latencyMs,
+      stdDevMs: result.stdDevMs,
+      sampleCount: result.sampleCount,
+      method,
+    });
+    onClose();
+  };
+
+  const renderOption = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.option, selected && styles.optionActive]}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityState={{ selected }}
+    >
+      <Text style={[styles.optionText, selected && styles.optionTextActive]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const isStrike = method === LATENCY_METHODS.STRIKE;
+
+  const handleClose = () => {
+    calibratorRef.current?.stop();
+    onClose();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={handleClose}
+      supportedOrientations={['landscape-left', 'landscape-right']}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity
+          style={styles.backdrop}
+          onPress={handleClose}
+          activeOpacity={1}
+        />
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Latency Calibration</Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={handleClose}
+              accessibilityRole="button"
+            >
+              <Text style={styles.closeText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+
+          {phase === 'intro' && (
+            <>
+              <View style={styles.optionRow}>
+                {renderOption(LATENCY_METHODS.STRIKE, 'Strike', isStrike, () => setMethod(LATENCY_METHODS.STRIKE))}
+                {renderOption(LATENCY_METHODS.TAP, 'Tap', !isStrike, () => setMethod(LATENCY_METHODS.TAP))}
+              </View>
+              {isStrike ? (
+                <Text style={styles.bodyText}>
+                  The swing loop plays in Listen Mode: press play and strike the ball exactly on
+                  the target beat {CALIBRATION_STRIKES} times. Strikes go through the microphone and
+                  detector, so this measures the full delay Listen Mode has to correct for.
+                </Text>
+              ) : (
+                <Text style={styles.bodyText}>
+                  After {COUNT_IN_BEATS} quiet count-in beats, tap the pad exactly on each of the
+                  next {CALIBRATION_BEATS} tones. This measures tap latency: how late sound reaches
+                  you, without the microphone delay strike detection also has.
+                </Text>
+              )}
+              <Text style={styles.caption}>Current offset: {currentLatencyMs}ms</Text>
+              <TouchableOpacity style={styles.primaryButton} onPress={handleStart} accessibilityRole="button">
+                <Text style={styles.primaryButtonText}>Start</Text>
+              </TouchableOpacity>
+            </>
+          )}
+
+          {phase === 'loading' && (
+            <ActivityIndicator size="large" color="#2e7d32" style={styles.loading} />
+          )}
+
+          {phase === 'running' && (
+            <Pressable
+              style={({ pressed }) => [styles.tapPad, pressed && styles.tapPadPressed]}
+              onPressIn={handleTap}
+              accessibilityRole="button"
+              accessibilityLabel="Tap on the beat"
+            >
+              <Text style={styles.tapPadText}>TAP</Text>
+              <Text style={styles.caption}>{tapCount} taps</Text>
+            </Pressable>
+          )}
+
+          {phase === 'result' && result && (
+            <>
+              <Text style={styles.resultValue}>{result.latencyMs}ms</Text>
+              <Text style={styles.caption}>
+                {isStrike ? 'Strike' : 'Tap'} latency from {result.sampleCount} {isStrike ? 'strikes' : 'taps'} · consistency ±{result.stdDevMs}ms (was {currentLatencyMs}ms)
+              </Text>
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={styles.secondaryButton} onPress={handleStart} accessibilityRole="button">
+                  <Text style={styles.secondaryButtonText}>Try Again</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.primaryButton} onPress={handleSave} accessibilityRole="button">
+                  <Text style={styles.primaryButtonText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+
+          {phase === 'failed' && (
+            <>
+              <Text style={styles.bodyText}>
+                {isStrike
+                  ? `Not enough strikes landed near the target beat (at least ${MIN_VALID_STRIKES} are needed). Strike once per loop, on the beat, and try again.`
+                  : `Not enough taps landed near the beat (at least ${MIN_VALID_TAPS} are needed). Tap once on each tone and try again.`}
+              </Text>
+              <TouchableOpacity style={styles.primaryButton} onPress={handleStart} accessibilityRole="button">
+                <Text style={styles.primaryButtonText}>Try Again</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  backdrop: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+    right: 0,
+  },
+  content: {
+    width: '75%',
+    maxWidth: 640,
+    maxHeight: '90%',
+    marginVertical: 20,
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    paddingHorizontal: 24,
+    paddingVertical: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.35,
+    shadowRadius: 12,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#333',
+  },
+  closeButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  closeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  bodyText: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#444',
+    marginBottom: 12,
+  },
+  caption: {
+    fontSize: 12,
+    color: '#777',
+    marginBottom: 12,
+  },
+  loading: {
+    marginVertical: 40,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  optionActive: {
+    backgroundColor: '#e8f5e9',
+    borderColor: '#2e7d32',
+  },
+  optionText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  optionTextActive: {
+    color: '#2e7d32',
+    fontWeight: '700',
+  },
+  tapPad: {
+    height: 160,
+    borderRadius: 16,
+    backgroundColor: '#e8f5e9',
+    borderWidth: 2,
+    borderColor: '#2e7d32',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  tapPadPressed: {
+    backgroundColor: '#c8e6c9',
+  },
+  tapPadText: {
+    fontSize: 32,
+    fontWeight: '800',
+    color: '#2e7d32',
+    marginBottom: 4,
+  },
+  resultValue: {
+    fontSize: 40,
+    fontWeight: '800',
+    color: '#2e7d32',
+    textAlign: 'center',
+    marginVertical: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  primaryButton: {
+    alignSelf: 'flex-end',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: '#2e7d32',
+  },
+  primaryButtonText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  secondaryButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    marginRight: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+});
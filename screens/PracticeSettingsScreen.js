@@ -0,0 +1,438 @@
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, ScrollView } from 'react-native';
+import {
+  STROKE_RATIOS,
+  BEATS_PER_CYCLE_OPTIONS,
+  getStrokeTiming,
+  normalizeCycle,
+} from '../src/audio/strokeRatios';
+import {
+  SCORING_PRESETS,
+  CUSTOM_PRESET_ID,
+  getScoringBands,
+  normalizeBands,
+} from '../services/sessions/AccuracyBands';
+import { DEFAULT_CAPTURE_SECONDS } from '../services/dsp/AudioCaptureBuffer';
+import { STRIKE_CLASSIFIERS } from '../services/dsp/StrikeClassifiers';
+
+// Listening window presets (ms either side of the target beat; null = default)
+const WINDOW_OPEN_OPTIONS = [null, 100, 200, 300];
+const WINDOW_CLOSE_OPTIONS = [null, 100, 200, 300];
+
+// Custom accuracy band editor rows (upper limit of each band)
+const BAND_FIELDS = [
+  { key: 'perfect', label: 'Perfect' },
+  { key: 'great', label: 'Great' },
+  { key: 'good', label: 'Good' },
+  { key: 'ok', label: 'OK' },
+];
+const BAND_STEP_MS = 10;
+
+/**
+ * Practice settings (stroke timing options)
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the panel is shown
+ * @param {number} props.bpm - Current tempo, used to preview stroke durations
+ * @param {string} props.strokeRatio - Selected stroke ratio id
+ * @param {Function} props.onChangeStrokeRatio - Called with the new ratio id
+ * @param {Object} props.cycleSettings - { beatsPerCycle, targetBeat, windowOpenMs, windowCloseMs }
+ * @param {Function} props.onChangeCycleSettings - Called with the full updated cycle settings
+ * @param {Object} props.scoringSettings - { preset, customBands } accuracy difficulty
+ * @param {Function} props.onChangeScoringSettings - Called with the full updated scoring settings
+ * @param {number} props.audioLatencyMs - Detector latency offset for this device
+ * @param {boolean} props.latencyCalibrated - Whether the offset came from a calibration
+ * @param {string} props.latencyMethod - How it was calibrated: 'tap' or 'strike' (LATENCY_METHODS)
+ * @param {Function} props.onCalibrateLatency - Opens the latency calibration wizard
+ * @param {string} props.strikeClassifier - Listen Mode strike classifier id
+ * @param {Function} props.onChangeStrikeClassifier - Called with the new classifier id
+ * @param {boolean} props.spectralGate - Whether Listen Mode only accepts strikes that match the putter profile
+ * @param {Function} props.onChangeSpectralGate - Called with the new filter setting
+ * @param {boolean} props.adaptiveProfile - Whether confirmed strikes refine the putter profile
+ * @param {Function} props.onChangeAdaptiveProfile - Called with the new adaptive setting
+ * @param {boolean} props.captureAudio - Whether Listen Mode keeps recent audio for bug reports
+ * @param {Function} props.onChangeCaptureAudio - Called with the new capture setting
+ * @param {Function} props.onShareCapture - Exports the captured audio + detector state
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ */
+export default function PracticeSettingsScreen({
+  visible,
+  bpm,
+  strokeRatio,
+  onChangeStrokeRatio,
+  cycleSettings,
+  onChangeCycleSettings,
+  scoringSettings,
+  onChangeScoringSettings,
+  audioLatencyMs,
+  latencyCalibrated,
+  latencyMethod,
+  onCalibrateLatency,
+  strikeClassifier,
+  onChangeStrikeClassifier,
+  spectralGate,
+  onChangeSpectralGate,
+  adaptiveProfile,
+  onChangeAdaptiveProfile,
+  captureAudio,
+  onChangeCaptureAudio,
+  onShareCapture,
+  onClose,
+}) {
+  const { beatsPerCycle, targetBeat } = normalizeCycle(cycleSettings);
+  const timing = getStrokeTiming(bpm, strokeRatio, { beatsPerCycle, targetBeat });
+  const targetBeatOptions = Array.from({ length: beatsPerCycle - 1 }, (_, i) => i + 2);
+
+  // Keep the target on a beat that exists when the cycle gets shorter
+  const updateCycle = (changes) => {
+    const next = { ...cycleSettings, ...changes };
+    onChangeCycleSettings({ ...next, ...normalizeCycle(next) });
+  };
+
+  const scoringBands = getScoringBands(scoringSettings);
+  const scoringPreset = scoringSettings?.preset;
+
+  // Custom bands start from whatever is currently in use
+  const selectScoringPreset = (preset) => {
+    onChangeScoringSettings({
+      ...scoringSettings,
+      preset,
+      customBands: preset === CUSTOM_PRESET_ID ? scoringBands : scoringSettings?.customBands ?? null,
+    });
+  };
+
+  const adjustBand = (key, deltaMs) => {
+    onChangeScoringSettings({
+      ...scoringSettings,
+      preset: CUSTOM_PRESET_ID,
+      customBands: normalizeBands({ ...scoringBands, [key]: scoringBands[key] + deltaMs }),
+    });
+  };
+
+  const renderOption = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.option, selected && styles.optionActive]}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityState={{ selected }}
+    >
+      <Text style={[styles.optionText, selected && styles.optionTextActive]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+      supportedOrientations={['landscape-left', 'landscape-right']}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity
+          style={styles.backdrop}
+          onPress={onClose}
+          activeOpacity={1}
+        />
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Practice Settings</Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={onClose}
+              accessibilityRole="button"
+            >
+              <Text style={styles.closeText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.body}>
+            {/* Stroke ratio */}
+            <Text style={styles.sectionTitle}>Stroke Ratio (backswing : downswing)</Text>
+            <View style={styles.optionRow}>
+              {STROKE_RATIOS.map(ratio => renderOption(
+                ratio.id,
+                ratio.label,
+                strokeRatio === ratio.id,
+                () => onChangeStrokeRatio(ratio.id)
+              ))}
+            </View>
+            <Text style={styles.caption}>
+              Backswing {Math.round(timing.backswingMs)}ms · Downswing {Math.round(timing.downswingMs)}ms at {bpm} BPM
+            </Text>
+
+            {/* Cycle layout */}
+            <Text style={styles.sectionTitle}>Beats per Cycle</Text>
+            <View style={styles.optionRow}>
+              {BEATS_PER_CYCLE_OPTIONS.map(beats => renderOption(
+                beats,
+                `${beats}`,
+                beatsPerCycle === beats,
+                () => updateCycle({ beatsPerCycle: beats })
+              ))}
+            </View>
+
+            <Text style={styles.sectionTitle}>Impact on Beat</Text>
+            <View style={styles.optionRow}>
+              {targetBeatOptions.map(beat => renderOption(
+                beat,
+                `${beat}`,
+                targetBeat === beat,
+                () => updateCycle({ targetBeat: beat })
+              ))}
+            </View>
+            <Text style={styles.caption}>
+              Impact lands on beat {targetBeat} of {beatsPerCycle} ({Math.round(timing.impactMs)}ms into the loop)
+            </Text>
+
+            {/* Listen Mode window */}
+            <Text style={styles.sectionTitle}>Listening Window Opens</Text>
+            <View style={styles.optionRow}>
+              {WINDOW_OPEN_OPTIONS.map(ms => renderOption(
+                `${ms}`,
+                ms === null ? 'After back cue' : `${ms}ms before`,
+                (cycleSettings?.windowOpenMs ?? null) === ms,
+                () => updateCycle({ windowOpenMs: ms })
+              ))}
+            </View>
+
+            <Text style={styles.sectionTitle}>Listening Window Closes</Text>
+            <View style={styles.optionRow}>
+              {WINDOW_CLOSE_OPTIONS.map(ms => renderOption(
+                `${ms}`,
+                ms === null ? 'End of loop' : `${ms}ms after`,
+                (cycleSettings?.windowCloseMs ?? null) === ms,
+                () => updateCycle({ windowCloseMs: ms })
+              ))}
+            </View>
+            <Text style={styles.caption}>
+              Listen Mode only hears strikes inside this window around the impact beat
+            </Text>
+
+            {/* Accuracy scoring */}
+            <Text style={styles.sectionTitle}>Scoring Difficulty</Text>
+            <View style={styles.optionRow}>
+              {SCORING_PRESETS.map(preset => renderOption(
+                preset.id,
+                preset.label,
+                scoringPreset === preset.id,
+                () => selectScoringPreset(preset.id)
+              ))}
+              {renderOption(
+                CUSTOM_PRESET_ID,
+                'Custom',
+                scoringPreset === CUSTOM_PRESET_ID,
+                () => selectScoringPreset(CUSTOM_PRESET_ID)
+              )}
+            </View>
+            {scoringPreset === CUSTOM_PRESET_ID && BAND_FIELDS.map(field => (
+              <View key={field.key} style={styles.stepperRow}>
+                <Text style={styles.stepperLabel}>{field.label}</Text>
+                <TouchableOpacity
+                  style={styles.stepperButton}
+                  onPress={() => adjustBand(field.key, -BAND_STEP_MS)}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Decrease ${field.label} band`}
+                >
+                  <Text style={styles.optionText}>−</Text>
+                </TouchableOpacity>
+                <Text style={styles.stepperValue}>±{scoringBands[field.key]}ms</Text>
+                <TouchableOpacity
+                  style={styles.stepperButton}
+                  onPress={() => adjustBand(field.key, BAND_STEP_MS)}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Increase ${field.label} band`}
+                >
+                  <Text style={styles.optionText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+            <Text style={styles.caption}>
+              Perfect ±{scoringBands.perfect}ms · Great ±{scoringBands.great}ms · Good ±{scoringBands.good}ms · OK ±{scoringBands.ok}ms
+            </Text>
+
+            {/* Device latency */}
+            <Text style={styles.sectionTitle}>Audio Latency</Text>
+            <View style={styles.stepperRow}>
+              <Text style={styles.stepperValue}>{audioLatencyMs}ms</Text>
+              {renderOption('calibrate', 'Calibrate…', false, onCalibrateLatency)}
+            </View>
+            <Text style={styles.caption}>
+              {!latencyCalibrated
+                ? 'Default offset - calibrate for more accurate strike timing'
+                : latencyMethod === 'strike'
+                  ? 'Calibrated from strikes on this device'
+                  : 'Tap latency for this device (no microphone delay) - calibrate with strikes for Listen Mode timing'}
+            </Text>
+
+            {/* Strike classifier */}
+            <Text style={styles.sectionTitle}>Strike Detection</Text>
+            <View style={styles.optionRow}>
+              {STRIKE_CLASSIFIERS.map(classifier => renderOption(
+                classifier.id,
+                classifier.label,
+                classifier.id === strikeClassifier,
+                () => onChangeStrikeClassifier(classifier.id)
+              ))}
+            </View>
+            <Text style={styles.caption}>
+              {STRIKE_CLASSIFIERS.find(classifier => classifier.id === strikeClassifier)?.description}
+            </Text>
+
+            {/* Putter profile filter */}
+            <Text style={styles.sectionTitle}>Putter Sound Filter</Text>
+            <View style={styles.optionRow}>
+              {renderOption('gate-off', 'Off', !spectralGate, () => onChangeSpectralGate(false))}
+              {renderOption('gate-on', 'On', !!spectralGate, () => onChangeSpectralGate(true))}
+            </View>
+            <Text style={styles.caption}>
+              Ignores claps, coughs and the ball dropping in the cup by comparing each strike with your saved putter profile
+            </Text>
+
+            {/* Adaptive putter profile */}
+            <Text style={styles.sectionTitle}>Adapt Putter Profile</Text>
+            <View style={styles.optionRow}>
+              {renderOption('adapt-off', 'Off', !adaptiveProfile, () => onChangeAdaptiveProfile(false))}
+              {renderOption('adapt-on', 'On', !!adaptiveProfile, () => onChangeAdaptiveProfile(true))}
+            </View>
+            <Text style={styles.caption}>
+              Strikes that closely match your putter profile slowly update it as you practice. Earlier versions can be restored from Putters
+            </Text>
+
+            {/* Detection bug reports */}
+            <Text style={styles.sectionTitle}>Record Audio for Bug Reports</Text>
+            <View style={styles.optionRow}>
+              {renderOption('capture-off', 'Off', !captureAudio, () => onChangeCaptureAudio(false))}
+              {renderOption('capture-on', `Last ${DEFAULT_CAPTURE_SECONDS}s`, !!captureAudio, () => onChangeCaptureAudio(true))}
+              {captureAudio && renderOption('capture-share', 'Share…', false, onShareCapture)}
+            </View>
+            <Text style={styles.caption}>
+              When a detection looks wrong, share the recent Listen Mode audio and detector trace so it can be replayed
+            </Text>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  backdrop: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+    right: 0,
+  },
+  content: {
+    width: '75%',
+    maxWidth: 640,
+    maxHeight: '90%',
+    marginVertical: 20,
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    paddingHorizontal: 24,
+    paddingVertical: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.35,
+    shadowRadius: 12,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#333',
+  },
+  closeButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  closeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  body: {
+    paddingBottom: 4,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#333',
+    marginBottom: 8,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  optionActive: {
+    backgroundColor: '#e8f5e9',
+    borderColor: '#2e7d32',
+  },
+  optionText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  optionTextActive: {
+    color: '#2e7d32',
+    fontWeight: '700',
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  stepperLabel: {
+    width: 70,
+    fontSize: 13,
+    color: '#555',
+  },
+  stepperButton: {
+    width: 32,
+    paddingVertical: 4,
+    alignItems: 'center',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  stepperValue: {
+    width: 80,
+    textAlign: 'center',
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#333',
+  },
+  caption: {
+    fontSize: 12,
+    color: '#777',
+    marginBottom: 12,
+  },
+});
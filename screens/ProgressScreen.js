@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, ActivityIndicator } from 'react-native';
+import ProgressChart from '../components/ProgressChart';
+import { sessionService } from '../services/sessions/SessionService';
+import { computeProgress } from '../services/sessions/SessionStats';
+import { getPutterName } from '../services/profiles/PutterService';
+
+// Chart ranges: 30 days or 12 weeks
+const PERIODS = {
+  day: { count: 30, label: 'Daily' },
+  week: { count: 12, label: 'Weekly' },
+};
+
+const formatPeriodLabel = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getDate()}/${date.getMonth() + 1}`;
+};
+
+/**
+ * Progress history: timing error, PERFECT rate, strike solidness and practice time
+ * over days or weeks
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the screen is shown
+ * @param {string} props.userId - User whose sessions are charted
+ * @param {Array} props.putters - Putters to filter by (see PutterService)
+ * @param {Function} props.onClose - Called when the screen is dismissed
+ */
+export default function ProgressScreen({ visible, userId, putters = [], onClose }) {
+  const [period, setPeriod] = useState('day');
+  const [putterId, setPutterId] = useState(null); // null = all putters
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    // Signed out: nothing stored to chart, show the empty state
+    if (!userId) {
+      setSessions([]);
+      return;
+    }
+
+    let mounted = true;
+    setSessions(null);
+    sessionService.loadSessions(userId).then(loaded => {
+      if (mounted) setSessions(loaded);
+    });
+
+    return () => {
+      mounted = false;
+    };
+  }, [visible, userId]);
+
+  const progress = sessions
+    ? computeProgress(sessions, { period, count: PERIODS[period].count, putterId })
+    : [];
+  const toChartData = (key, scale = 1) => progress.map(point => ({
+    label: formatPeriodLabel(point.start),
+    value: point[key] === null ? null : point[key] * scale,
+  }));
+  const hasPractice = progress.some(point => point.sessionCount > 0);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+      supportedOrientations={['landscape-left', 'landscape-right']}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity
+          style={styles.backdrop}
+          onPress={onClose}
+          activeOpacity={1}
+        />
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Progress</Text>
+            <View style={styles.periodToggle}>
+              {Object.keys(PERIODS).map(key => (
+                <TouchableOpacity
+                  key={key}
+                  style={[styles.periodOption, period === key && styles.periodOptionActive]}
+                  onPress={() => setPeriod(key)}
+                >
+                  <Text style={[styles.periodText, period === key && styles.periodTextActive]}>
+                    {PERIODS[key].label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={onClose}
+              accessibilityRole="button"
+            >
+              <Text style={styles.closeText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+
+          {putters.length > 0 && (
+            <View style={styles.putterFilter}>
+              {[null, ...putters.map(putter => putter.id)].map(id => (
+                <TouchableOpacity
+                  key={id ?? 'all'}
+                  style={[styles.periodOption, putterId === id && styles.periodOptionActive]}
+                  onPress={() => setPutterId(id)}
+                >
+                  <Text style={[styles.periodText, putterId === id && styles.periodTextActive]}>
+                    {id ? getPutterName(putters.find(putter => putter.id === id)) : 'All putters'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {!sessions ? (
+            <ActivityIndicator size="large" color="#333" />
+          ) : !hasPractice ? (
+            <Text style={styles.emptyText}>
+              No Listen Mode sessions in this range yet. Practice with Listen Mode on to track your progress.
+            </Text>
+          ) : (
+            <View style={styles.chartRow}>
+              <ProgressChart
+                title="Avg Timing Error"
+                data={toChartData('meanAbsErrorMs')}
+                color="#FF9500"
+                formatValue={(v) => `${Math.round(v)}ms`}
+              />
+              <ProgressChart
+                title="PERFECT Hits"
+                data={toChartData('perfectRate', 100)}
+                color="#2e7d32"
+                formatValue={(v) => `${Math.round(v)}%`}
+                maxValue={100}
+              />
+              <ProgressChart
+                title="Solid Strikes"
+                data={toChartData('meanSolidness', 100)}
+                color="#8E44AD"
+                formatValue={(v) => `${Math.round(v)}%`}
+                maxValue={100}
+              />
+              <ProgressChart
+                title="Practice Time"
+                data={toChartData('practiceMinutes')}
+                color="#007AFF"
+                formatValue={(v) => `${Math.round(v)}m`}
+              />
+            </View>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  backdrop: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+    right: 0,
+  },
+  content: {
+    width: '85%',
+    maxWidth: 760,
+    marginVertical: 20,
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    paddingHorizontal: 24,
+    paddingVertical: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.35,
+    shadowRadius: 12,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#333',
+  },
+  periodToggle: {
+    flexDirection: 'row',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    overflow: 'hidden',
+  },
+  putterFilter: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  periodOption: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  periodOptionActive: {
+    backgroundColor: '#e8f5e9',
+  },
+  periodText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  periodTextActive: {
+    color: '#2e7d32',
+    fontWeight: '700',
+  },
+  closeButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  closeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  chartRow: {
+    flexDirection: 'row',
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#555',
+    textAlign: 'center',
+    paddingVertical: 30,
+  },
+});
@@ -18,6 +18,7 @@ import { recordingManager } from '../services/audio/RecordingManager';
 import { profileBuilder } from '../services/profiles/ProfileBuilder';
 import { profileManager } from '../services/profiles/ProfileManager';
 import { spectralAnalysis } from '../services/dsp/SpectralAnalysis';
+import { getPutterName } from '../services/profiles/PutterService';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 const isSmallScreen = screenWidth < 375;
@@ -31,7 +32,7 @@ export default function PutterCalibrationScreen({ navigation, route }) {
     console.log('✅ Guaranteed capture of all 10 putts');
   }, []);
   
-  const { onComplete } = route.params || {};
+  const { onComplete, putter } = route.params || {};
   
   // State
   const [isCalibrating, setIsCalibrating] = useState(false);
@@ -291,8 +292,9 @@ export default function PutterCalibrationScreen({ navigation, route }) {
           spectralFeatures: r.features.spectralFeatures || r.features.impactWindow,
           audioData: r.audioData
         })),
-        name: 'My Putter (Countdown)',
+        name: putter ? getPutterName(putter) : 'My Putter (Countdown)',
         kind: 'target',
+        putterId: putter?.id ?? null,
         threshold: 0.85,  // Higher threshold to prevent false matches
         metadata: {
           calibrationPutts: recordingsRef.current.length,
@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, ScrollView, TextInput } from 'react-native';
+import { INSERT_TYPES, DEFAULT_INSERT_TYPE_ID, getPutterName } from '../services/profiles/PutterService';
+import { PROFILE_HEALTH } from '../services/profiles/ProfileHealth';
+
+const EMPTY_FORM = { make: '', model: '', insertType: DEFAULT_INSERT_TYPE_ID };
+
+/**
+ * Putter picker: switch the active putter, add putters and calibrate their sound
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the panel is shown
+ * @param {Array} props.putters - Putters from PutterService
+ * @param {string|null} props.activePutterId - Selected putter id
+ * @param {Function} props.onSelectPutter - Called with the new active putter id (null = none)
+ * @param {Function} props.onAddPutter - Called with { make, model, insertType }
+ * @param {Function} props.onDeletePutter - Called with a putter id
+ * @param {Function} props.onCalibratePutter - Opens the sound calibration for a putter
+ * @param {Function} props.onExportProfile - Shares a putter's profile as a file
+ * @param {Function} props.onImportProfile - Replaces a putter's profile with one from a file
+ * @param {Object} props.profileVersions - putterId -> ProfileManager.getProfileVersions result
+ * @param {Object} props.profileReports - putterId -> ProfileManager.getProfileHealth result
+ * @param {Function} props.onRestoreVersion - Called with (putter, version) to roll its profile back
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ */
+export default function PuttersScreen({
+  visible,
+  putters = [],
+  activePutterId,
+  onSelectPutter,
+  onAddPutter,
+  onDeletePutter,
+  onCalibratePutter,
+  onExportProfile,
+  onImportProfile,
+  profileVersions = {},
+  profileReports = {},
+  onRestoreVersion,
+  onClose,
+}) {
+  const [form, setForm] = useState(null); // Add-putter form values (null = hidden)
+
+  const canSave = form && (form.make.trim() || form.model.trim());
+
+  const savePutter = () => {
+    if (!canSave) return;
+    onAddPutter({ make: form.make.trim(), model: form.model.trim(), insertType: form.insertType });
+    setForm(null);
+  };
+
+  const renderOption = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.option, selected && styles.optionActive]}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityState={{ selected }}
+    >
+      <Text style={[styles.optionText, selected && styles.optionTextActive]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+      supportedOrientations={['landscape-left', 'landscape-right']}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity
+          style={styles.backdrop}
+          onPress={onClose}
+          activeOpacity={1}
+        />
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Putters</Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={onClose}
+              accessibilityRole="button"
+            >
+              <Text style={styles.closeText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.body}>
+            {putters.length === 0 && (
+              <Text style={styles.caption}>
+                Add the putters you practice with. Each one gets its own sound profile and stats.
+              </Text>
+            )}
+
+            {putters.map(putter => {
+              const insert = INSERT_TYPES.find(type => type.id === putter.insertType);
+              const calibrated = !!putter.profileId;
+              const versions = profileVersions[putter.id];
+              const report = profileReports[putter.id];
+              return (
+                <View key={putter.id} style={styles.putterRow}>
+                  {renderOption(
+                    putter.id,
+                    getPutterName(putter),
+                    putter.id === activePutterId,
+                    () => onSelectPutter(putter.id)
+                  )}
+                  <Text style={styles.putterDetail}>
+                    {insert?.label} · {calibrated ? 'Calibrated' : 'Not calibrated'}
+                  </Text>
+                  {renderOption(`calibrate-${putter.id}`, calibrated ? 'Recalibrate…' : 'Calibrate…', false, () => onCalibratePutter(putter))}
+                  {calibrated && renderOption(`export-${putter.id}`, 'Export…', false, () => onExportProfile(putter))}
+                  {renderOption(`import-${putter.id}`, 'Import…', false, () => onImportProfile(putter))}
+                  {renderOption(`delete-${putter.id}`, 'Remove', false, () => onDeletePutter(putter.id))}
+                  {report && (
+                    <View style={styles.versionRow}>
+                      <Text style={[styles.putterDetail, report.status === PROFILE_HEALTH.NEEDS_RECALIBRATION && styles.healthWarning]}>
+                        {describeHealth(report)}
+                      </Text>
+                    </View>
+                  )}
+                  {versions && versions.version > 1 && (
+                    <View style={styles.versionRow}>
+                      <Text style={styles.putterDetail}>
+                        Profile v{versions.version} ({versions.source}) · {versions.refinedStrikes + versions.pendingStrikes} strikes learned
+                      </Text>
+                      {versions.history.map(entry => renderOption(
+                        `restore-${putter.id}-${entry.version}`,
+                        `Restore v${entry.version}`,
+                        false,
+                        () => onRestoreVersion(putter, entry.version)
+                      ))}
+                    </View>
+                  )}
+                </View>
+              );
+            })}
+
+            {form ? (
+              <View style={styles.form}>
+                <Text style={styles.sectionTitle}>New Putter</Text>
+                <View style={styles.inputRow}>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Make (e.g. Scotty Cameron)"
+                    value={form.make}
+                    onChangeText={(make) => setForm({ ...form, make })}
+                  />
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Model (e.g. Newport 2)"
+                    value={form.model}
+                    onChangeText={(model) => setForm({ ...form, model })}
+                  />
+                </View>
+                <View style={styles.optionRow}>
+                  {INSERT_TYPES.map(type => renderOption(
+                    type.id,
+                    type.label,
+                    form.insertType === type.id,
+                    () => setForm({ ...form, insertType: type.id })
+                  ))}
+                </View>
+                <View style={styles.optionRow}>
+                  {renderOption('save', 'Save', !!canSave, savePutter)}
+                  {renderOption('cancel', 'Cancel', false, () => setForm(null))}
+                </View>
+              </View>
+            ) : (
+              <View style={styles.optionRow}>
+                {renderOption('add', '+ Add Putter', false, () => setForm(EMPTY_FORM))}
+                {activePutterId && renderOption('none', 'No putter', false, () => onSelectPutter(null))}
+              </View>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+/**
+ * Profile quality report: calibration consistency and live match, or why to recalibrate
+ * @param {Object} report - ProfileManager.getProfileHealth result
+ * @returns {string} Summary for the putter row
+ */
+function describeHealth(report) {
+  if (report.status === PROFILE_HEALTH.NEEDS_RECALIBRATION) {
+    return report.reason;
+  }
+
+  const parts = [];
+  if (report.calibrationConsistency !== null) {
+    parts.push(`Calibration ${Math.round(report.calibrationConsistency * 100)}% consistent (${report.calibrationConfidence})`);
+  }
+
+  if (report.status === PROFILE_HEALTH.UNKNOWN) {
+    parts.push(`${report.matches} strikes matched so far`);
+  } else {
+    parts.push(`Strikes match ${Math.round(report.medianSimilarity * 100)}% (needs ${Math.round(report.threshold * 100)}%)`);
+  }
+
+  return parts.join(' · ');
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  backdrop: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+    right: 0,
+  },
+  content: {
+    width: '75%',
+    maxWidth: 640,
+    maxHeight: '90%',
+    marginVertical: 20,
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    paddingHorizontal: 24,
+    paddingVertical: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.35,
+    shadowRadius: 12,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#333',
+  },
+  closeButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  closeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  body: {
+    paddingBottom: 4,
+  },
+  putterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  putterDetail: {
+    flex: 1,
+    fontSize: 12,
+    color: '#777',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  versionRow: {
+    width: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    paddingLeft: 12,
+  },
+  healthWarning: {
+    color: '#c62828',
+  },
+  form: {
+    marginTop: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#333',
+    marginBottom: 8,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  input: {
+    flex: 1,
+    marginRight: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    fontSize: 13,
+    color: '#333',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  optionActive: {
+    backgroundColor: '#e8f5e9',
+    borderColor: '#2e7d32',
+  },
+  optionText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  optionTextActive: {
+    color: '#2e7d32',
+    fontWeight: '700',
+  },
+  caption: {
+    fontSize: 12,
+    color: '#777',
+    marginBottom: 12,
+  },
+});
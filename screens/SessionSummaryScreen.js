@@ -0,0 +1,242 @@
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, ScrollView } from 'react-native';
+import { computeSessionStats, ACCURACY_BANDS } from '../services/sessions/SessionStats';
+
+// Band colors (match HomeScreen hit feedback colors)
+const BAND_COLORS = {
+  'PERFECT!': '#00C000',
+  'Great': '#4CD964',
+  'Good': '#FFCC00',
+  'OK': '#FF9500',
+  'Too Early': '#FF3B30',
+  'Too Late': '#FF3B30',
+};
+
+const formatMs = (ms) => `${ms > 0 ? '+' : ''}${Math.round(ms)}ms`;
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Session summary shown after stopping a Listen Mode run
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the summary is shown
+ * @param {Object} props.session - Completed session from SessionService
+ * @param {Function} props.onClose - Called when the summary is dismissed
+ */
+export default function SessionSummaryScreen({ visible, session, onClose }) {
+  const stats = computeSessionStats(session);
+
+  const tendencyText = !stats ? '' :
+    stats.bias.tendency === 'early' ? `Tending early (${formatMs(stats.meanErrorMs)} average)` :
+    stats.bias.tendency === 'late' ? `Tending late (${formatMs(stats.meanErrorMs)} average)` :
+    'No early/late tendency';
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+      supportedOrientations={['landscape-left', 'landscape-right']}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity
+          style={styles.backdrop}
+          onPress={onClose}
+          activeOpacity={1}
+        />
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Session Summary</Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={onClose}
+              accessibilityRole="button"
+            >
+              <Text style={styles.closeText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+
+          {stats && (
+            <ScrollView contentContainerStyle={styles.body}>
+              {/* Headline numbers */}
+              <View style={styles.statRow}>
+                <View style={styles.statBox}>
+                  <Text style={styles.statValue}>{stats.count}</Text>
+                  <Text style={styles.statLabel}>Strikes</Text>
+                </View>
+                <View style={styles.statBox}>
+                  <Text style={styles.statValue}>{formatMs(stats.meanErrorMs)}</Text>
+                  <Text style={styles.statLabel}>Mean Error</Text>
+                </View>
+                <View style={styles.statBox}>
+                  <Text style={styles.statValue}>±{Math.round(stats.stdDevMs)}ms</Text>
+                  <Text style={styles.statLabel}>Consistency (SD)</Text>
+                </View>
+                <View style={styles.statBox}>
+                  <Text style={styles.statValue}>{stats.longestPerfectStreak}</Text>
+                  <Text style={styles.statLabel}>Best PERFECT Streak</Text>
+                </View>
+                {stats.meanSolidness !== null && (
+                  <View style={styles.statBox}>
+                    <Text style={styles.statValue}>{Math.round(stats.meanSolidness * 100)}%</Text>
+                    <Text style={styles.statLabel}>Strike Solidness</Text>
+                  </View>
+                )}
+              </View>
+
+              {/* Accuracy band breakdown */}
+              <View style={styles.bandList}>
+                {ACCURACY_BANDS.map(band => (
+                  <View key={band} style={styles.bandRow}>
+                    <Text style={styles.bandLabel}>{band}</Text>
+                    <View style={styles.bandTrack}>
+                      <View
+                        style={[
+                          styles.bandFill,
+                          {
+                            width: `${stats.bandRates[band] * 100}%`,
+                            backgroundColor: BAND_COLORS[band],
+                          }
+                        ]}
+                      />
+                    </View>
+                    <Text style={styles.bandValue}>
+                      {Math.round(stats.bandRates[band] * 100)}% ({stats.bandCounts[band]})
+                    </Text>
+                  </View>
+                ))}
+              </View>
+
+              {/* Early vs late bias */}
+              <Text style={styles.biasText}>
+                {tendencyText} · {stats.bias.earlyCount} early / {stats.bias.lateCount} late · {stats.bpm} BPM · {formatDuration(stats.durationMs)}
+              </Text>
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  backdrop: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+    right: 0,
+  },
+  content: {
+    width: '75%',
+    maxWidth: 640,
+    marginVertical: 20,
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    paddingHorizontal: 24,
+    paddingVertical: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.35,
+    shadowRadius: 12,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#333',
+  },
+  closeButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  closeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  body: {
+    paddingBottom: 4,
+  },
+  statRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  statBox: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    backgroundColor: '#e8f5e9',
+    borderRadius: 10,
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2e7d32',
+  },
+  statLabel: {
+    fontSize: 11,
+    color: '#555',
+    marginTop: 2,
+  },
+  bandList: {
+    marginBottom: 10,
+  },
+  bandRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 2,
+  },
+  bandLabel: {
+    width: 80,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#333',
+  },
+  bandTrack: {
+    flex: 1,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#eee',
+    overflow: 'hidden',
+  },
+  bandFill: {
+    height: '100%',
+    borderRadius: 5,
+  },
+  bandValue: {
+    width: 70,
+    fontSize: 12,
+    color: '#555',
+    textAlign: 'right',
+  },
+  biasText: {
+    fontSize: 13,
+    color: '#555',
+    textAlign: 'center',
+  },
+});
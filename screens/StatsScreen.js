@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, ActivityIndicator } from 'react-native';
+import { loadUserStats } from '../services/auth';
+
+const formatPracticeTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+/**
+ * Lifetime stats panel (totals kept in the user's stats block)
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the panel is shown
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ * @param {Function} props.onShowProgress - Called to open the progress history
+ */
+export default function StatsScreen({ visible, onClose, onShowProgress }) {
+  const [stats, setStats] = useState(null);
+
+  // Reload each time the panel opens so it reflects the latest practice
+  useEffect(() => {
+    if (!visible) return;
+
+    let mounted = true;
+    setStats(null);
+    loadUserStats().then(loaded => {
+      if (mounted) setStats(loaded);
+    });
+
+    return () => {
+      mounted = false;
+    };
+  }, [visible]);
+
+  const perfectRate = stats && stats.totalHits > 0
+    ? Math.round((stats.perfectHits / stats.totalHits) * 100)
+    : 0;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+      supportedOrientations={['landscape-left', 'landscape-right']}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity
+          style={styles.backdrop}
+          onPress={onClose}
+          activeOpacity={1}
+        />
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Lifetime Stats</Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={onClose}
+              accessibilityRole="button"
+            >
+              <Text style={styles.closeText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+
+          {!stats ? (
+            <ActivityIndicator size="large" color="#333" />
+          ) : (
+            <View style={styles.statGrid}>
+              <View style={styles.statBox}>
+                <Text style={styles.statValue}>{stats.totalSessions}</Text>
+                <Text style={styles.statLabel}>Sessions</Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statValue}>{formatPracticeTime(stats.practiceTime)}</Text>
+                <Text style={styles.statLabel}>Practice Time</Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statValue}>{stats.totalHits}</Text>
+                <Text style={styles.statLabel}>Strikes</Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statValue}>{stats.perfectHits}</Text>
+                <Text style={styles.statLabel}>PERFECT ({perfectRate}%)</Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statValue}>{stats.bestStreak}</Text>
+                <Text style={styles.statLabel}>Best Streak</Text>
+              </View>
+            </View>
+          )}
+
+          {onShowProgress && (
+            <TouchableOpacity
+              style={styles.progressButton}
+              onPress={onShowProgress}
+              accessibilityRole="button"
+            >
+              <Text style={styles.progressButtonText}>View Progress</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  backdrop: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+    right: 0,
+  },
+  content: {
+    width: '75%',
+    maxWidth: 640,
+    marginVertical: 20,
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    paddingHorizontal: 24,
+    paddingVertical: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.35,
+    shadowRadius: 12,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#333',
+  },
+  closeButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  closeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  statGrid: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  statBox: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 12,
+    marginHorizontal: 4,
+    backgroundColor: '#e8f5e9',
+    borderRadius: 10,
+  },
+  statValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#2e7d32',
+  },
+  statLabel: {
+    fontSize: 11,
+    color: '#555',
+    marginTop: 2,
+    textAlign: 'center',
+  },
+  progressButton: {
+    alignSelf: 'center',
+    marginTop: 16,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#333',
+  },
+  progressButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+});
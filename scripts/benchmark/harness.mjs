@@ -0,0 +1,365 @@
+/**
+ * Shared benchmark plumbing: virtual clock, detector adapters, scoring and tables
+ *
+ * Import after registering ./loader.mjs (the detectors pull in app modules).
+ */
+import { AudioSimulator } from '../../services/dsp/AudioSimulator.js';
+
+// Detectors read performance.now(); drive it from the audio position instead
+export const clock = { now: 0 };
+Object.defineProperty(globalThis, 'performance', {
+  value: { now: () => clock.now },
+  configurable: true,
+  writable: true,
+});
+
+let verbose = false;
+
+export function setVerbose(value) {
+  verbose = !!value;
+}
+
+export async function withConsoleSilenced(fn) {
+  if (verbose) return fn();
+
+  const saved = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  const noop = () => {};
+  Object.assign(console, { log: noop, info: noop, warn: noop, error: noop });
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+// Detectors log that the native audio stream is missing when loaded; expected here
+const {
+  PutterDetector,
+  PutterDetectorExpo,
+  PutterDetectorAcoustic,
+  VideoSyncDetectorV2,
+  SCORED_HIT_TYPES,
+} = await withConsoleSilenced(async () => ({
+  ...(await import('../../services/dsp/PutterDetector.js')),
+  ...(await import('../../services/dsp/PutterDetectorExpo.js')),
+  ...(await import('../../services/dsp/PutterDetectorAcoustic.js')),
+  ...(await import('../../services/dsp/VideoSyncDetectorV2.js')),
+}));
+
+/**
+ * Detector adapters
+ *
+ * frameSize/deliveryMs mirror how audio reaches each detector in the app:
+ * frames are delivered when the native chunk that contains them completes.
+ * replayMethod is the entry point recorded audio is replayed into.
+ *
+ * create({ ticks, timeline, session, onHit }) returns
+ *   feed(frame)  - one synthetic frame ({ float32, int16 })
+ *   target       - object implementing replayMethod
+ */
+export const DETECTORS = [
+  {
+    id: 'acoustic',
+    label: 'PutterDetectorAcoustic',
+    sampleRate: 44100,
+    frameSize: 256,
+    deliveryMs: 100,
+    replayMethod: 'handleAudioData',
+    create: ({ ticks, session, onHit }) => {
+      const detector = new PutterDetectorAcoustic({
+        getUpcomingTicks: () => ticks,
+        getBpm: () => session?.bpm ?? 30,
+        onStrike: onHit,
+        debugMode: false,
+      });
+
+      // Same state start() sets up, minus the microphone
+      detector.isRunning = true;
+      detector.frameCount = 0;
+      detector.processingTimeTotal = 0;
+      detector.threshold.reset();
+      detector.detectingDisabledUntil = clock.now + detector.opts.baselineSettleMs;
+      detector.lastBaselineResetAt = clock.now;
+
+      return { feed: (frame) => detector.processFrame(frame.float32), target: detector };
+    },
+  },
+  {
+    id: 'expo',
+    label: 'PutterDetectorExpo',
+    sampleRate: 16000,
+    frameSize: 1600,
+    deliveryMs: 100,
+    replayMethod: 'handleAudioData',
+    create: ({ ticks, session, onHit }) => {
+      const detector = new PutterDetectorExpo({
+        getUpcomingTicks: () => ticks,
+        getBpm: () => session?.bpm ?? 30,
+        useProfiles: false,
+        onStrike: onHit,
+      });
+      detector.isRunning = true;
+
+      return { feed: (frame) => detector.handleFrame(frame.int16), target: detector };
+    },
+  },
+  {
+    id: 'voice',
+    label: 'PutterDetector',
+    sampleRate: 16000,
+    frameSize: 256,
+    deliveryMs: 0,
+    replayMethod: 'handleFrame',
+    create: ({ ticks, onHit }) => {
+      const detector = new PutterDetector({
+        getUpcomingTicks: () => ticks,
+        onStrike: onHit,
+      });
+      detector.isRunning = true;
+
+      return { feed: (frame) => detector.handleFrame(frame.int16), target: detector };
+    },
+  },
+  createVideoSyncAdapter({
+    id: 'videosync',
+    label: 'VideoSyncDetectorV2 (metering)',
+    sampleRate: 16000,
+    strikeClassifier: 'energy',
+  }),
+  createVideoSyncAdapter({
+    id: 'videosync-multiband',
+    label: 'VideoSyncDetectorV2 (multi-band)',
+    sampleRate: 44100,
+    strikeClassifier: 'multiband',
+  }),
+];
+
+/**
+ * VideoSyncDetectorV2 fed 100ms native stream chunks, with a given strike classifier
+ */
+function createVideoSyncAdapter({ id, label, sampleRate, strikeClassifier }) {
+  return {
+    id,
+    label,
+    sampleRate,
+    frameSize: sampleRate / 10,
+    deliveryMs: 100,
+    replayMethod: 'handleAudioStreamData',
+    requiresLoops: true,
+    create: ({ timeline, session, onHit }) => {
+      const player = createLoopPlayer(timeline);
+
+      // HomeScreen's settings, with no output latency to compensate for
+      const detector = new VideoSyncDetectorV2({
+        bpm: session.bpm,
+        videoPlayer: player,
+        sampleRate,
+        beatsInVideo: session.beatsPerCycle,
+        targetBeat: session.targetBeat,
+        strokeRatio: session.strokeRatio,
+        strikeClassifier,
+        listenDelayMs: 500,
+        micGain: 3.0,
+        spikeHoldFrames: 2,
+        energyThreshold: 1.2,
+        singleFrameBypassRatio: 2.2,
+        listeningTailMs: 240,
+        hitProcessingDelayMs: 0,
+        audioLatencyMs: 0,
+        listeningEntryGuardMs: 100,
+        debugMode: false,
+        // Score where the strike landed in its loop (what the timing bar shows);
+        // late noise and practice strokes aren't detections
+        onHitDetected: (hit) => {
+          if (SCORED_HIT_TYPES.includes(hit.type)) {
+            onHit({ ...hit, timestamp: loopTimeOf(timeline, hit) });
+          }
+        },
+      });
+
+      // Same state start() sets up, minus recording and timers
+      detector.isRunning = true;
+      detector.isPaused = false;
+      detector.startTime = clock.now;
+      detector.strikeClassifier?.reset();
+      detector.resetBaseline('start');
+
+      // Stand-in for the playingChange listener and the 100ms position monitor
+      let wasPlaying = false;
+      const tick = () => {
+        if (player.playing !== wasPlaying) {
+          wasPlaying = player.playing;
+          detector.handlePlayingChange({ isPlaying: wasPlaying });
+        }
+        detector.monitorPosition();
+      };
+
+      return {
+        feed: (frame) => {
+          tick();
+          detector.processStreamSamples(frame.int16, clock.now);
+        },
+        target: {
+          handleAudioStreamData: (payload) => {
+            tick();
+            detector.handleAudioStreamData(payload);
+          },
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Scenario time of a VideoSync hit from its loop position
+ * @param {Object} timeline - { loops: [{ startMs, endMs }], loopMs }
+ * @param {Object} hit - Hit event ({ timestamp, position })
+ * @returns {number} Start of the hit's loop plus its position (ms)
+ */
+function loopTimeOf(timeline, hit) {
+  const loop = [...timeline.loops].reverse().find(candidate => candidate.startMs <= hit.timestamp);
+  return loop ? loop.startMs + hit.position * timeline.loopMs : hit.timestamp;
+}
+
+/**
+ * Minimal stand-in for SwingLoopPlayer: position follows the virtual clock,
+ * holding at the end of the loop through each gap
+ * @param {Object} timeline - { loops: [{ startMs, endMs }], loopMs }
+ */
+export function createLoopPlayer(timeline) {
+  const currentLoop = () => {
+    let loop = null;
+    for (const candidate of timeline.loops) {
+      if (candidate.startMs <= clock.now) loop = candidate;
+    }
+    return loop;
+  };
+
+  return {
+    duration: timeline.loopMs / 1000,
+    get playing() {
+      const loop = currentLoop();
+      return !!loop && clock.now < loop.endMs;
+    },
+    get currentTime() {
+      const loop = currentLoop();
+      if (!loop) return 0;
+      return Math.min(this.duration, (clock.now - loop.startMs) / 1000);
+    },
+  };
+}
+
+const scorer = new AudioSimulator();
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Score detections against labelled strikes and cue ticks
+ * @param {Object} events - { ticks: number[], impacts: [{ time }] }
+ * @param {Object[]} hits - Detections ({ timestamp })
+ * @param {number} toleranceMs - Match window
+ */
+export function scoreRun(events, hits, toleranceMs) {
+  const falsePositives = scorer.findFalsePositives(events, hits, toleranceMs);
+  const duplicates = scorer.findDuplicateHits(events.impacts, hits, toleranceMs);
+  const errors = scorer.measureTimingErrors(events.impacts, hits, toleranceMs);
+  const truePositives = hits.length - falsePositives.length - duplicates.length;
+
+  return {
+    strikes: events.impacts.length,
+    hits: hits.length,
+    recall: events.impacts.length > 0 ? scorer.calculateAccuracy(events.impacts, hits, toleranceMs) : null,
+    precision: hits.length > 0 ? truePositives / hits.length : null,
+    missed: scorer.findMissedHits(events.impacts, hits, toleranceMs).length,
+    tickFalsePositives: falsePositives.filter(fp => fp.reason === 'near_tick').length,
+    spuriousFalsePositives: falsePositives.filter(fp => fp.reason === 'spurious').length,
+    duplicates: duplicates.length,
+    errors,
+  };
+}
+
+export function summarize(scores) {
+  const errors = scores.flatMap(score => score.errors);
+  const strikes = scores.reduce((sum, s) => sum + s.strikes, 0);
+  const hits = scores.reduce((sum, s) => sum + s.hits, 0);
+  const falsePositives = scores.reduce((sum, s) => sum + s.tickFalsePositives + s.spuriousFalsePositives, 0);
+  const duplicates = scores.reduce((sum, s) => sum + s.duplicates, 0);
+
+  return {
+    strikes,
+    hits,
+    recall: strikes > 0 ? errors.length / strikes : null,
+    precision: hits > 0 ? (hits - falsePositives - duplicates) / hits : null,
+    missed: scores.reduce((sum, s) => sum + s.missed, 0),
+    tickFalsePositives: scores.reduce((sum, s) => sum + s.tickFalsePositives, 0),
+    spuriousFalsePositives: scores.reduce((sum, s) => sum + s.spuriousFalsePositives, 0),
+    duplicates,
+    errors,
+  };
+}
+
+/**
+ * p95 of absolute timing errors (ms), or null without matches
+ */
+export function p95AbsError(score) {
+  return percentile(score.errors.map(Math.abs), 95);
+}
+
+function formatPercent(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(0)}%`;
+}
+
+function formatMs(value) {
+  return value === null ? '-' : `${value.toFixed(0)}ms`;
+}
+
+const COLUMNS = [
+  { title: 'Strikes', width: 7, value: row => row.strikes },
+  { title: 'Hits', width: 5, value: row => row.hits },
+  { title: 'Recall', width: 7, value: row => formatPercent(row.recall) },
+  { title: 'Precision', width: 9, value: row => formatPercent(row.precision) },
+  { title: 'Tick FP', width: 7, value: row => row.tickFalsePositives },
+  { title: 'Spurious', width: 8, value: row => row.spuriousFalsePositives },
+  { title: 'Dupes', width: 5, value: row => row.duplicates },
+  { title: 'Mean err', width: 9, value: row => formatMs(mean(row.errors)) },
+  { title: '|Mean|', width: 7, value: row => formatMs(mean(row.errors.map(Math.abs))) },
+  { title: 'P95 |err|', width: 9, value: row => formatMs(p95AbsError(row)) },
+];
+
+/**
+ * Print one detector's results
+ * @param {string} title - Table heading
+ * @param {string} firstColumn - Heading of the row label column
+ * @param {Object[]} rows - scoreRun()/summarize() results with a label
+ */
+export function printTable(title, firstColumn, rows) {
+  const labelWidth = Math.max(firstColumn.length, ...rows.map(row => row.label.length));
+  const columns = [{ title: firstColumn, width: labelWidth, value: row => row.label, align: 'left' }, ...COLUMNS];
+  const cell = (column, text) => (column.align === 'left'
+    ? String(text).padEnd(column.width)
+    : String(text).padStart(column.width));
+  const line = values => values.join('  ');
+
+  console.log(`\n${title}`);
+  console.log(line(columns.map(column => cell(column, column.title))));
+  console.log(line(columns.map(column => '-'.repeat(column.width))));
+  rows.forEach(row => console.log(line(columns.map(column => cell(column, column.value(row))))));
+}
+
+export function pickById(list, filter, kind) {
+  if (!filter) return list;
+  const ids = filter.split(',').map(id => id.trim());
+  const unknown = ids.filter(id => !list.some(item => item.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${kind}: ${unknown.join(', ')} (choose from ${list.map(item => item.id).join(', ')})`);
+  }
+  return list.filter(item => ids.includes(item.id));
+}
@@ -0,0 +1,78 @@
+/**
+ * Node module hooks for running the app's detector sources offline
+ *
+ * - Resolves extensionless relative imports the way Metro does (.js, .ts, index.js)
+ * - Transpiles .ts sources (e.g. src/audio/strokeRatios.ts) with the project's TypeScript
+ * - Swaps native-only modules for the stand-ins in ./shims
+ */
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import ts from 'typescript';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const SHIM_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'shims');
+
+const MODULE_SHIMS = {
+  'react-native': 'react-native.mjs',
+  'expo-av': 'expo-av.mjs',
+  '@picovoice/react-native-voice-processor': 'voice-processor.mjs',
+};
+
+const FILE_SHIMS = {
+  [path.join(PROJECT_ROOT, 'services/profiles/ProfileManager.js')]: 'profile-manager.mjs',
+};
+
+const EXTENSIONS = ['', '.js', '.ts', '/index.js'];
+
+function shimUrl(file) {
+  return pathToFileURL(path.join(SHIM_DIR, file)).href;
+}
+
+function isProjectSource(filePath) {
+  return filePath.startsWith(PROJECT_ROOT) && !filePath.includes(`${path.sep}node_modules${path.sep}`);
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (MODULE_SHIMS[specifier]) {
+    return { url: shimUrl(MODULE_SHIMS[specifier]), shortCircuit: true };
+  }
+
+  if (specifier.startsWith('.') && context.parentURL?.startsWith('file:')) {
+    const base = path.resolve(path.dirname(fileURLToPath(context.parentURL)), specifier);
+    if (isProjectSource(base)) {
+      for (const extension of EXTENSIONS) {
+        const candidate = base + extension;
+        if (existsSync(candidate) && !candidate.endsWith(path.sep) && path.extname(candidate)) {
+          if (FILE_SHIMS[candidate]) {
+            return { url: shimUrl(FILE_SHIMS[candidate]), shortCircuit: true };
+          }
+          return { url: pathToFileURL(candidate).href, shortCircuit: true };
+        }
+      }
+    }
+  }
+
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:')) {
+    const filePath = fileURLToPath(url);
+
+    if (isProjectSource(filePath) && filePath.endsWith('.ts')) {
+      const { outputText } = ts.transpileModule(readFileSync(filePath, 'utf8'), {
+        compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2020 },
+        fileName: filePath,
+      });
+      return { format: 'module', source: outputText, shortCircuit: true };
+    }
+
+    // App sources are ES modules even though package.json has no "type"
+    if (isProjectSource(filePath) && filePath.endsWith('.js')) {
+      return { format: 'module', source: readFileSync(filePath, 'utf8'), shortCircuit: true };
+    }
+  }
+
+  return nextLoad(url, context);
+}
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Recorded-audio regression runner
+ *
+ * Replays every labelled field recording in the corpus through the detectors
+ * (via the same handleAudioData / handleAudioStreamData / handleFrame entry
+ * points the microphone uses, on a virtual clock) and scores the detections
+ * against the labelled strikes. Exits non-zero when a recording's `expect`
+ * thresholds are not met, so recordings act as regression tests.
+ *
+ * Usage:
+ *   npm run benchmark:recordings -- [--dir scripts/benchmark/recordings]
+ *                                   [--recording garage-01] [--detector videosync]
+ *                                   [--tolerance 150] [--json] [--verbose]
+ */
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+import { readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+register('./loader.mjs', import.meta.url);
+
+const DEFAULT_CORPUS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'recordings');
+const LABELS_SUFFIX = '.labels.json';
+const DEFAULT_TOLERANCE_MS = 150;
+
+const { values: args } = parseArgs({
+  options: {
+    dir: { type: 'string', default: DEFAULT_CORPUS_DIR },
+    recording: { type: 'string' },
+    detector: { type: 'string' },
+    tolerance: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+const {
+  clock,
+  DETECTORS,
+  setVerbose,
+  withConsoleSilenced,
+  scoreRun,
+  summarize,
+  printTable,
+  pickById,
+  p95AbsError,
+} = await import('./harness.mjs');
+const { AudioReplaySource, parseReplayLabels } = await import('../../services/dsp/AudioReplaySource.js');
+const { getStrokeTiming } = await import('../../src/audio/strokeRatios.ts');
+
+/**
+ * Load every <name>.labels.json sidecar (and its WAV) from the corpus directory
+ */
+function loadCorpus(dir, filter) {
+  const names = filter ? filter.split(',').map(name => name.trim()) : null;
+  let files;
+  try {
+    files = readdirSync(dir).filter(file => file.endsWith(LABELS_SUFFIX)).sort();
+  } catch (error) {
+    throw new Error(`Cannot read recordings directory ${dir}: ${error.message}`);
+  }
+
+  return files
+    .map(file => ({ id: file.slice(0, -LABELS_SUFFIX.length), file }))
+    .filter(entry => !names || names.includes(entry.id))
+    .map(({ id, file }) => {
+      const labelsPath = path.join(dir, file);
+      let labels;
+      try {
+        labels = parseReplayLabels(readFileSync(labelsPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+      }
+      const audioPath = path.resolve(path.dirname(labelsPath), labels.audio);
+      const source = AudioReplaySource.fromWav(readFileSync(audioPath));
+      return { id, labels, source };
+    });
+}
+
+/**
+ * Loop playback for the VideoSync adapter (needs labelled loops and tempo)
+ */
+function buildTimeline(labels) {
+  if (!labels.session?.bpm || labels.loops.length === 0) return null;
+  const { bpm, strokeRatio, beatsPerCycle, targetBeat } = labels.session;
+  const timing = getStrokeTiming(bpm, strokeRatio, { beatsPerCycle, targetBeat });
+  return { loopMs: timing.loopMs, loops: labels.loops };
+}
+
+function replayRecording(adapter, recording, timeline) {
+  const hits = [];
+  clock.now = 0;
+
+  const { target } = adapter.create({
+    ticks: recording.labels.ticks,
+    timeline,
+    session: recording.labels.session,
+    onHit: (hit) => hits.push(hit),
+  });
+
+  recording.source.withSampleRate(adapter.sampleRate).replay(target, {
+    method: adapter.replayMethod,
+    chunkMs: adapter.deliveryMs,
+    frameLength: adapter.frameSize,
+    onTime: (ms) => { clock.now = ms; },
+  });
+
+  return hits.map(hit => ({ timestamp: hit.timestamp }));
+}
+
+/**
+ * Compare a score with the recording's expectations for one detector
+ * @returns {string[]} Failure descriptions
+ */
+function checkExpectations(score, expect = {}) {
+  const failures = [];
+  if (expect.minRecall !== undefined && (score.recall ?? 0) < expect.minRecall) {
+    failures.push(`recall ${(score.recall ?? 0).toFixed(2)} < ${expect.minRecall}`);
+  }
+  if (expect.minPrecision !== undefined && (score.precision ?? 1) < expect.minPrecision) {
+    failures.push(`precision ${score.precision.toFixed(2)} < ${expect.minPrecision}`);
+  }
+  if (expect.maxFalsePositives !== undefined) {
+    const falsePositives = score.tickFalsePositives + score.spuriousFalsePositives;
+    if (falsePositives > expect.maxFalsePositives) {
+      failures.push(`${falsePositives} false positives > ${expect.maxFalsePositives}`);
+    }
+  }
+  if (expect.maxP95ErrorMs !== undefined) {
+    const p95 = p95AbsError(score);
+    if (p95 !== null && p95 > expect.maxP95ErrorMs) {
+      failures.push(`p95 timing error ${p95.toFixed(0)}ms > ${expect.maxP95ErrorMs}ms`);
+    }
+  }
+  return failures;
+}
+
+async function main() {
+  setVerbose(args.verbose);
+
+  const detectors = pickById(DETECTORS, args.detector, 'detector');
+  const recordings = loadCorpus(args.dir, args.recording);
+
+  if (recordings.length === 0) {
+    console.log(`No labelled recordings in ${args.dir} (expected <name>${LABELS_SUFFIX} sidecars).`);
+    return;
+  }
+
+  const results = {};
+  const failures = [];
+
+  for (const adapter of detectors) {
+    results[adapter.id] = [];
+    for (const recording of recordings) {
+      const timeline = buildTimeline(recording.labels);
+      if (adapter.requiresLoops && !timeline) continue;
+
+      const toleranceMs = Number(args.tolerance ?? recording.labels.toleranceMs ?? DEFAULT_TOLERANCE_MS);
+      const hits = await withConsoleSilenced(() => replayRecording(adapter, recording, timeline));
+      const score = scoreRun({
+        ticks: recording.labels.ticks,
+        impacts: recording.labels.impacts.map(time => ({ time, type: 'impact' })),
+      }, hits, toleranceMs);
+
+      results[adapter.id].push({ id: recording.id, label: recording.id, toleranceMs, ...score });
+      checkExpectations(score, recording.labels.expect[adapter.id]).forEach(reason => {
+        failures.push(`${recording.id} · ${adapter.label}: ${reason}`);
+      });
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ results, failures }, null, 2));
+  } else {
+    console.log(`Recording replay · ${recordings.length} recording(s) from ${args.dir}`);
+    detectors.forEach(adapter => {
+      const rows = results[adapter.id];
+      if (rows.length === 0) {
+        console.log(`\n${adapter.label}: skipped (recordings need "session" and "loops" labels)`);
+        return;
+      }
+      printTable(adapter.label, 'Recording', [...rows, { label: 'All', ...summarize(rows) }]);
+    });
+
+    if (failures.length > 0) {
+      console.log('\nRegressions:');
+      failures.forEach(failure => console.log(`  ✗ ${failure}`));
+    } else {
+      console.log('\nAll recording expectations met.');
+    }
+  }
+
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+await main();
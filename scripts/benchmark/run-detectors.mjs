@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Offline detector benchmark
+ *
+ * Renders each AudioSimulator scenario, streams it through every detector on a
+ * virtual clock (frames arrive in the same sizes and at the same cadence as on
+ * device) and prints precision / recall / timing-error tables.
+ *
+ * Usage:
+ *   npm run benchmark:detectors -- [--seed 1] [--loops 8] [--tolerance 150]
+ *                                  [--detector acoustic,expo,voice,videosync,videosync-multiband]
+ *                                  [--scenario quiet-room,windy] [--sample-clock] [--jitter 40]
+ *                                  [--json] [--verbose]
+ *
+ * --sample-clock stamps every frame with its own sample time instead of its
+ * chunk's delivery time, separating detector logic from batching effects.
+ * --jitter delays each chunk's delivery by up to that many ms (seeded), like a
+ * busy JS thread does on device.
+ */
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+
+register('./loader.mjs', import.meta.url);
+
+const { values: args } = parseArgs({
+  options: {
+    seed: { type: 'string', default: '1' },
+    loops: { type: 'string' },
+    tolerance: { type: 'string', default: '150' },
+    detector: { type: 'string' },
+    scenario: { type: 'string' },
+    'sample-clock': { type: 'boolean', default: false },
+    jitter: { type: 'string', default: '0' },
+    json: { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+const {
+  clock,
+  DETECTORS,
+  setVerbose,
+  withConsoleSilenced,
+  scoreRun,
+  summarize,
+  printTable,
+  pickById,
+} = await import('./harness.mjs');
+const { SCENARIOS, DEFAULT_SESSION, renderScenario } = await import('./scenarios.mjs');
+const { AudioSimulator } = await import('../../services/dsp/AudioSimulator.js');
+
+/**
+ * Stream a rendered scenario through one detector
+ * @returns {Object[]} Detected hits ({ timestamp } in scenario ms)
+ */
+function runDetector(adapter, rendered, session, { jitterMs = 0, seed = 1 } = {}) {
+  const { buffer, sampleRate, simulator, events, timeline } = rendered;
+  const hits = [];
+  const random = new AudioSimulator(sampleRate, seed + 2).random;
+  let chunkDeliveryMs = null;
+  let chunkDelayMs = 0;
+  clock.now = 0;
+
+  const { feed } = adapter.create({
+    ticks: events.ticks,
+    timeline,
+    session,
+    onHit: (hit) => hits.push(hit),
+  });
+
+  const int16 = simulator.float32ToInt16(buffer);
+  const frameMs = (adapter.frameSize / sampleRate) * 1000;
+  const frameCount = Math.floor(buffer.length / adapter.frameSize);
+
+  for (let i = 0; i < frameCount; i++) {
+    const start = i * adapter.frameSize;
+    const end = start + adapter.frameSize;
+    const frameEndMs = (i + 1) * frameMs;
+
+    if (adapter.deliveryMs > 0 && !args['sample-clock']) {
+      const deliveryMs = Math.ceil(frameEndMs / adapter.deliveryMs - 1e-9) * adapter.deliveryMs;
+      if (deliveryMs !== chunkDeliveryMs) {
+        chunkDeliveryMs = deliveryMs;
+        chunkDelayMs = random() * jitterMs;
+      }
+      clock.now = Math.max(clock.now, deliveryMs + chunkDelayMs);
+    } else {
+      clock.now = frameEndMs;
+    }
+
+    feed({ float32: buffer.subarray(start, end), int16: int16.subarray(start, end) });
+  }
+
+  return hits.map(hit => ({ timestamp: hit.timestamp }));
+}
+
+async function main() {
+  setVerbose(args.verbose);
+
+  const seed = Number(args.seed);
+  const toleranceMs = Number(args.tolerance);
+  const jitterMs = Math.max(0, Number(args.jitter) || 0);
+  const session = { ...DEFAULT_SESSION, ...(args.loops ? { loops: Number(args.loops) } : {}) };
+  const detectors = pickById(DETECTORS, args.detector, 'detector');
+  const scenarios = pickById(SCENARIOS, args.scenario, 'scenario');
+  const results = {};
+
+  for (const adapter of detectors) {
+    results[adapter.id] = [];
+    for (const scenario of scenarios) {
+      const rendered = renderScenario(scenario, { sampleRate: adapter.sampleRate, seed, session });
+      const hits = await withConsoleSilenced(() => runDetector(adapter, rendered, session, { jitterMs, seed }));
+      results[adapter.id].push({
+        id: scenario.id,
+        label: scenario.label,
+        ...scoreRun(rendered.events, hits, toleranceMs),
+      });
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ seed, toleranceMs, sampleClock: args['sample-clock'], jitterMs, session, results }, null, 2));
+    return;
+  }
+
+  const clockMode = args['sample-clock']
+    ? 'sample clock'
+    : `delivery clock${jitterMs > 0 ? ` (+0-${jitterMs}ms jitter)` : ''}`;
+  console.log(`Detector benchmark · seed ${seed} · ${session.loops} loops @ ${session.bpm} BPM · match tolerance ±${toleranceMs}ms · ${clockMode}`);
+  detectors.forEach(adapter => {
+    const rows = results[adapter.id];
+    printTable(adapter.label, 'Scenario', [...rows, { label: 'All', ...summarize(rows) }]);
+  });
+  console.log('\nErrors are detection time minus strike time (negative = early). Tick FP = detection on a cue.');
+}
+
+await main();
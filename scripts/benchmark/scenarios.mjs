@@ -0,0 +1,110 @@
+/**
+ * Benchmark scenario library
+ *
+ * Each scenario replays a Detect-mode practice session: swing loops with the
+ * start/ready/back cues (no impact cue), a putter strike near the target beat
+ * and a 2-second gap between loops, plus whatever makes the scenario hard.
+ */
+import { AudioSimulator } from '../../services/dsp/AudioSimulator.js';
+import { getStrokeTiming, getStrokeCueTimes, getCountInTimes } from '../../src/audio/strokeRatios.ts';
+
+// Matches the app's default practice setup
+export const DEFAULT_SESSION = {
+  bpm: 76,
+  beatsPerCycle: 4,
+  targetBeat: 4,
+  loops: 8,
+  gapMs: 2000,
+  leadInMs: 500,         // Quiet time before the first loop (detectors settle)
+  strikeJitterMs: 60,    // Strikes land within +/- this of the target beat
+};
+
+// Putter strike sound: metallic click plus a body thump (the acoustic detector corroborates on both)
+const DEFAULT_STRIKE = { thump: 0.5 };
+
+export const SCENARIOS = [
+  {
+    id: 'quiet-room',
+    label: 'Quiet room',
+    audio: { noiseLevel: 0.005, tickAmplitude: 0.3 },
+  },
+  {
+    id: 'windy',
+    label: 'Windy',
+    audio: { noiseLevel: 0.01, tickAmplitude: 0.3 },
+    ambience: [{ type: 'wind', amplitude: 0.25 }],
+  },
+  {
+    id: 'loud-tones',
+    label: 'Loud tones',
+    audio: { noiseLevel: 0.005, tickSound: 'tone', tickAmplitude: 0.9 },
+  },
+  {
+    id: 'weak-putter',
+    label: 'Weak putter',
+    audio: { noiseLevel: 0.005, tickAmplitude: 0.3 },
+    strike: { amplitude: 0.15 },
+  },
+  {
+    id: 'double-strike',
+    label: 'Double strike',
+    audio: { noiseLevel: 0.005, tickAmplitude: 0.3 },
+    strike: { amplitude: 0.8, reboundMs: 40 },
+  },
+  {
+    id: 'voice',
+    label: 'Voice',
+    audio: { noiseLevel: 0.005, tickAmplitude: 0.3 },
+    ambience: [{ type: 'voice', amplitude: 0.2 }],
+  },
+];
+
+/**
+ * Lay out loop, cue and strike times for a session
+ * @param {Object} session - DEFAULT_SESSION overrides
+ * @param {Function} random - Seeded random source for strike jitter
+ * @returns {Object} { timing, loopMs, loops: [{ startMs, endMs }], ticks, strikes, durationMs }
+ */
+export function buildTimeline(session, random) {
+  const { bpm, beatsPerCycle, targetBeat, loops, gapMs, leadInMs, strikeJitterMs } = session;
+  const timing = getStrokeTiming(bpm, undefined, { beatsPerCycle, targetBeat });
+
+  // Detect mode plays every cue except the impact
+  const cueOffsets = [...getStrokeCueTimes(timing).slice(0, 3), ...getCountInTimes(timing)];
+
+  const loopList = [];
+  const ticks = [];
+  const strikes = [];
+  for (let i = 0; i < loops; i++) {
+    const startMs = leadInMs + i * (timing.loopMs + gapMs);
+    loopList.push({ startMs, endMs: startMs + timing.loopMs });
+    cueOffsets.forEach(offset => ticks.push(startMs + offset));
+    strikes.push(startMs + timing.impactMs + (random() * 2 - 1) * strikeJitterMs);
+  }
+  ticks.sort((a, b) => a - b);
+
+  const lastLoop = loopList[loopList.length - 1];
+  return { timing, loopMs: timing.loopMs, loops: loopList, ticks, strikes, durationMs: lastLoop.endMs + gapMs };
+}
+
+/**
+ * Render a scenario's audio at one sample rate (same seed = same session)
+ * @param {Object} scenario - Entry from SCENARIOS
+ * @param {Object} options - { sampleRate, seed, session }
+ * @returns {Object} generateTestScenario() result plus { simulator, timeline }
+ */
+export function renderScenario(scenario, { sampleRate, seed, session = DEFAULT_SESSION }) {
+  const simulator = new AudioSimulator(sampleRate, seed);
+  const timeline = buildTimeline(session, new AudioSimulator(sampleRate, seed + 1).random);
+  const duration = timeline.durationMs / 1000;
+
+  const rendered = simulator.generateTestScenario({
+    ...scenario.audio,
+    duration,
+    ticks: timeline.ticks,
+    impacts: timeline.strikes.map(time => ({ time, ...DEFAULT_STRIKE, ...scenario.strike })),
+    ambience: (scenario.ambience || []).map(sound => ({ time: 0, duration, ...sound })),
+  });
+
+  return { ...rendered, simulator, timeline };
+}
@@ -0,0 +1,15 @@
+// Benchmark-only stand-in for expo-av: audio is fed from buffers, never recorded
+const unavailable = () => {
+  throw new Error('Recording is not available in the offline benchmark');
+};
+
+export const Audio = {
+  requestPermissionsAsync: unavailable,
+  setAudioModeAsync: unavailable,
+  Recording: { createAsync: unavailable },
+};
+
+export const InterruptionModeIOS = { DoNotMix: 1, DuckOthers: 2, MixWithOthers: 0 };
+export const InterruptionModeAndroid = { DoNotMix: 1, DuckOthers: 2 };
+
+export default { Audio, InterruptionModeIOS, InterruptionModeAndroid };
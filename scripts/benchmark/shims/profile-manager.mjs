@@ -0,0 +1,9 @@
+// Benchmark-only stand-in for ProfileManager (Firebase-backed): no saved profiles,
+// so detectors run on their acoustic rules alone
+export const profileManager = {
+  initialized: false,
+  getEnabledProfiles: () => ({ target: [], ignore: [] }),
+  checkPutterProfile: () => null,
+};
+
+export default profileManager;
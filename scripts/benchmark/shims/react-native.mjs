@@ -0,0 +1,7 @@
+// Benchmark-only stand-in for react-native (detectors only read Platform)
+export const Platform = {
+  OS: 'ios',
+  select: (options) => options.ios ?? options.default,
+};
+
+export default { Platform };
@@ -0,0 +1,11 @@
+// Benchmark-only stand-in for @picovoice/react-native-voice-processor
+const unavailable = () => {
+  throw new Error('Microphone is not available in the offline benchmark');
+};
+
+export default {
+  addFrameListener: unavailable,
+  removeFrameListener: () => {},
+  start: unavailable,
+  stop: async () => {},
+};
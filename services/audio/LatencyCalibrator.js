@@ -0,0 +1,239 @@
+import { Platform } from 'react-native';
+import { AudioEngine } from '../../src/audio/audioEngine';
+import { nowMs } from '../../src/audio/scheduler';
+import { ANDROID_SCHEDULE_AHEAD_MS } from './SwingLoopPlayer';
+
+// Offset used until the device has been calibrated
+export const DEFAULT_AUDIO_LATENCY_MS = 180;
+
+// Beats the user taps along with (after the count-in)
+export const CALIBRATION_BEATS = 16;
+export const COUNT_IN_BEATS = 4;
+export const CALIBRATION_BPM = 80;
+
+// Fewer usable taps than this gives no estimate
+export const MIN_VALID_TAPS = 8;
+
+// Strikes made on the target beat in strike mode (swing loop in Listen Mode)
+export const CALIBRATION_STRIKES = 8;
+export const MIN_VALID_STRIKES = 6;
+
+// How a calibration was measured: taps cover the speaker only, strikes also the microphone
+export const LATENCY_METHODS = { TAP: 'tap', STRIKE: 'strike' };
+
+// Largest offset we trust; anything beyond is a missed beat, not latency
+export const MAX_LATENCY_MS = 400;
+
+// Taps further than this from the median are treated as stray
+const OUTLIER_MS = 80;
+
+// Strikes further ahead of the target than this are mistimed, not latency
+const MAX_EARLY_STRIKE_MS = 150;
+
+// Lead time before the first count-in beat so the audio engine can queue it
+const START_LEAD_MS = 300;
+
+const CALIBRATION_SPRITE = 'tones';
+const COUNT_IN_CLIP = 'tone2';
+const BEAT_CLIP = 'tone8';
+
+/**
+ * Estimate tap latency from tap times against the scheduled beats
+ *
+ * Each tap is matched to the nearest beat it could be responding to (a tap can
+ * only be late, up to MAX_LATENCY_MS, or slightly early), one tap per beat.
+ * Stray taps are dropped around the median and the mean of the rest is the offset.
+ *
+ * @param {number[]} tapTimes - nowMs() times of the user's taps
+ * @param {number[]} beatTimes - nowMs() times the calibration beats were scheduled
+ * @param {number} beatMs - Beat length in ms
+ * @returns {Object|null} { latencyMs, stdDevMs, sampleCount, errors } or null if too few taps
+ */
+export function estimateLatency(tapTimes, beatTimes, beatMs) {
+  const maxEarlyMs = Math.min(beatMs / 3, 150);
+  const maxLateMs = Math.min(beatMs - maxEarlyMs, MAX_LATENCY_MS);
+  const usedBeats = new Set();
+  const errors = [];
+
+  tapTimes.forEach(tap => {
+    let bestIndex = -1;
+    let bestError = Infinity;
+    beatTimes.forEach((beat, index) => {
+      const error = tap - beat;
+      if (error < -maxEarlyMs || error > maxLateMs || usedBeats.has(index)) return;
+      if (Math.abs(error) < Math.abs(bestError)) {
+        bestError = error;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex >= 0) {
+      usedBeats.add(bestIndex);
+      errors.push(bestError);
+    }
+  });
+
+  return summarizeOffsets(errors, MIN_VALID_TAPS);
+}
+
+/**
+ * Estimate the full detection offset from strikes made on the target beat
+ *
+ * Strikes reach the detector through the microphone, so unlike taps the offset
+ * covers input latency as well as output. Each strike's error is taken before
+ * the offset in use was applied (errorMs + latencyAppliedMs).
+ *
+ * @param {Object[]} hitEvents - Detector strike events (see VideoSyncDetectorV2.buildHitEvent)
+ * @returns {Object|null} See estimateLatency(), or null if too few strikes
+ */
+export function estimateStrikeLatency(hitEvents) {
+  const errors = hitEvents
+    .map(hit => hit.errorMs + (hit.latencyAppliedMs || 0))
+    .filter(error => Number.isFinite(error) && error >= -MAX_EARLY_STRIKE_MS && error <= MAX_LATENCY_MS);
+
+  return summarizeOffsets(errors, MIN_VALID_STRIKES);
+}
+
+/**
+ * Drop stray errors around the median and average the rest
+ * @param {number[]} errors - How late each response landed (ms)
+ * @param {number} minCount - Fewest usable errors that give an estimate
+ * @returns {Object|null} { latencyMs, stdDevMs, sampleCount, errors } or null
+ */
+function summarizeOffsets(errors, minCount) {
+  if (errors.length < minCount) return null;
+
+  const sorted = [...errors].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const inliers = errors.filter(error => Math.abs(error - median) <= OUTLIER_MS);
+  if (inliers.length < minCount) return null;
+
+  const mean = inliers.reduce((a, b) => a + b, 0) / inliers.length;
+  const variance = inliers.reduce((sum, e) => sum + Math.pow(e - mean, 2), 0) / inliers.length;
+
+  return {
+    latencyMs: Math.round(Math.max(0, Math.min(MAX_LATENCY_MS, mean))),
+    stdDevMs: Math.round(Math.sqrt(variance)),
+    sampleCount: inliers.length,
+    errors: inliers,
+  };
+}
+
+/**
+ * LatencyCalibrator - Plays a steady tone for the user to tap along with
+ * and measures how late the taps land relative to the scheduled beats.
+ * Uses the same AudioEngine scheduling and nowMs() clock as the swing loop.
+ * Taps skip the microphone, so this is tap latency; strike mode
+ * (estimateStrikeLatency) measures what the detector sees.
+ */
+export class LatencyCalibrator {
+  constructor({ bpm = CALIBRATION_BPM } = {}) {
+    this.bpm = bpm;
+    this.audioEngine = null;
+    this.beatTimes = [];
+    this.tapTimes = [];
+    this.running = false;
+    this.endTimer = null;
+  }
+
+  get beatMs() {
+    return 60000 / this.bpm;
+  }
+
+  /**
+   * Load audio sprites
+   */
+  async load() {
+    if (this.audioEngine) return;
+
+    this.audioEngine = new AudioEngine();
+    await this.audioEngine.init();
+    if (Platform.OS === 'android') {
+      this.audioEngine.setScheduleAheadMs(ANDROID_SCHEDULE_AHEAD_MS);
+    }
+  }
+
+  /**
+   * Start the count-in and calibration beats
+   * @param {Function} onComplete - Called once the last beat has had time to be tapped
+   * @returns {number} nowMs() time of the first calibration beat
+   */
+  start(onComplete) {
+    if (!this.audioEngine) {
+      throw new Error('Latency calibration audio is not loaded');
+    }
+
+    this.stop();
+    this.tapTimes = [];
+    this.beatTimes = [];
+
+    const firstCountIn = nowMs() + START_LEAD_MS;
+    for (let i = 0; i < COUNT_IN_BEATS + CALIBRATION_BEATS; i++) {
+      const tStartMs = firstCountIn + i * this.beatMs;
+      const isCountIn = i < COUNT_IN_BEATS;
+      if (!isCountIn) {
+        this.beatTimes.push(tStartMs);
+      }
+
+      this.audioEngine.enqueue({
+        id: `calibration-${i}`,
+        sprite: CALIBRATION_SPRITE,
+        clip: isCountIn ? COUNT_IN_CLIP : BEAT_CLIP,
+        tStartMs,
+        gain: isCountIn ? 0.5 : 1,
+      });
+    }
+    this.audioEngine.start();
+    this.running = true;
+
+    const lastBeat = this.beatTimes[this.beatTimes.length - 1];
+    this.endTimer = setTimeout(() => {
+      this.endTimer = null;
+      this.running = false;
+      this.audioEngine?.stop();
+      onComplete?.();
+    }, lastBeat - nowMs() + this.beatMs);
+
+    return this.beatTimes[0];
+  }
+
+  /**
+   * Record a tap (call from onPressIn for the lowest touch latency)
+   * @param {number} timestamp - nowMs() time of the tap
+   */
+  recordTap(timestamp = nowMs()) {
+    if (!this.running) return;
+    this.tapTimes.push(timestamp);
+  }
+
+  /**
+   * Estimate from the taps recorded so far
+   * @returns {Object|null} See estimateLatency()
+   */
+  getResult() {
+    return estimateLatency(this.tapTimes, this.beatTimes, this.beatMs);
+  }
+
+  stop() {
+    if (this.endTimer) {
+      clearTimeout(this.endTimer);
+      this.endTimer = null;
+    }
+    this.running = false;
+
+    if (this.audioEngine) {
+      this.audioEngine.stop();
+      this.audioEngine.clearQueue();
+    }
+  }
+
+  async release() {
+    this.stop();
+    if (this.audioEngine) {
+      await this.audioEngine.destroy();
+      this.audioEngine = null;
+    }
+  }
+}
+
+export default LatencyCalibrator;
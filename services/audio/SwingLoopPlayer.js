@@ -0,0 +1,376 @@
+import { Platform } from 'react-native';
+import { AudioEngine } from '../../src/audio/audioEngine';
+import { nowMs } from '../../src/audio/scheduler';
+import { simpleAccent, musicalSequence, windMode } from '../../src/audio/metronomePatterns';
+import {
+  getStrokeTiming,
+  getStrokeCueTimes,
+  getCountInTimes,
+  DEFAULT_STROKE_RATIO_ID,
+  DEFAULT_BEATS_PER_CYCLE,
+  DEFAULT_TARGET_BEAT,
+} from '../../src/audio/strokeRatios';
+
+// Tone clips used for the stroke cues (start, ready, back, swing)
+const TONE_SEQUENCE = ['tone1', 'tone3', 'tone5', 'tone8'];
+const CUE_COUNT = 4;
+
+// Quieter clips for extra count beats in 5-beat (and longer) cycles
+const COUNT_IN_CLIPS = { metronome: 'tick1', tones: 'tone2', wind: 'click' };
+const COUNT_IN_GAIN = 0.5;
+
+// Lead time before beat 1 so the audio engine can queue it
+const START_LEAD_MS = 120;
+
+// Android audio output needs a longer look-ahead than iOS (see AudioEngine)
+export const ANDROID_SCHEDULE_AHEAD_MS = 200;
+
+const SOUND_TYPES = ['tone', 'beat', 'wind', 'detect'];
+
+/**
+ * Generated swing loop - replaces the prerecorded per-BPM swing bar videos
+ *
+ * Exposes the subset of the expo-video player API used by HomeScreen and
+ * VideoSyncDetectorV2 (currentTime, duration, status, play, pause, replay,
+ * addListener('playingChange' | 'statusChange' | 'sourceChange')) so any BPM, including
+ * fractional values, can drive the timing bar, audio and detector.
+ * Like the videos, one loop is a single stroke and playback stops at the end.
+ */
+export class SwingLoopPlayer {
+  constructor({
+    bpm = 76,
+    soundType = 'tone',
+    strokeRatio = DEFAULT_STROKE_RATIO_ID,
+    beatsPerCycle = DEFAULT_BEATS_PER_CYCLE,
+    targetBeat = DEFAULT_TARGET_BEAT,
+  } = {}) {
+    this.bpm = bpm;
+    this.soundType = soundType;     // 'tone', 'beat', 'wind' or 'detect' (no impact beat)
+    this.strokeRatio = strokeRatio; // Backswing:downswing ratio id (see strokeRatios)
+    this.beatsPerCycle = beatsPerCycle;
+    this.targetBeat = targetBeat;   // 1-based count impact lands on
+
+    this.status = 'idle';
+    this.playing = false;
+    this.loopStartedAt = 0;         // nowMs() time of loop position 0
+    this.pausedPosition = 0;        // Seconds into the loop while not playing
+    this.endTimer = null;
+
+    this.audioEngine = null;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Load audio sprites; status becomes 'readyToPlay' or 'error'
+   */
+  async load() {
+    if (this.audioEngine) return;
+
+    this.setStatus('loading');
+    try {
+      this.audioEngine = new AudioEngine();
+      await this.audioEngine.init();
+      if (Platform.OS === 'android') {
+        this.audioEngine.setScheduleAheadMs(ANDROID_SCHEDULE_AHEAD_MS);
+      }
+      this.refreshSourceStatus();
+    } catch (error) {
+      console.error('❌ Failed to load swing loop audio:', error);
+      this.audioEngine = null;
+      this.setStatus('error', error);
+    }
+  }
+
+  /**
+   * Loop length in seconds
+   */
+  get duration() {
+    return this.getStrokeTiming().loopMs / 1000;
+  }
+
+  /**
+   * Seconds into the current loop
+   */
+  get currentTime() {
+    if (!this.playing) return this.pausedPosition;
+
+    const elapsed = (nowMs() - this.loopStartedAt) / 1000;
+    return Math.max(0, Math.min(this.duration, elapsed));
+  }
+
+  get isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Milliseconds since loop position 0 (negative during the start lead-in)
+   * Lets renderers anchor their own clock to the loop
+   */
+  getElapsedMs() {
+    if (!this.playing) return this.pausedPosition * 1000;
+    return nowMs() - this.loopStartedAt;
+  }
+
+  /**
+   * Stroke cue times for the current tempo and ratio
+   * @returns {Object} StrokeTiming (ms from loop start)
+   */
+  getStrokeTiming() {
+    return getStrokeTiming(this.bpm, this.strokeRatio, {
+      beatsPerCycle: this.beatsPerCycle,
+      targetBeat: this.targetBeat,
+    });
+  }
+
+  /**
+   * Update tempo, sound, stroke ratio or cycle layout; takes effect from the next play/replay
+   * @param {Object} config
+   * @param {number} config.bpm - Beats per minute (fractional allowed)
+   * @param {string} config.soundType - 'tone', 'beat', 'wind' or 'detect'
+   * @param {string} config.strokeRatio - Stroke ratio id
+   * @param {number} config.beatsPerCycle - Beats in one loop
+   * @param {number} config.targetBeat - 1-based count impact lands on
+   */
+  configure({ bpm, soundType, strokeRatio, beatsPerCycle, targetBeat } = {}) {
+    const updates = { bpm, soundType, strokeRatio, beatsPerCycle, targetBeat };
+    const changedKeys = Object.keys(updates)
+      .filter(key => updates[key] !== undefined && updates[key] !== this[key]);
+    if (changedKeys.length === 0) return;
+
+    if (this.playing) {
+      this.pause();
+    }
+    changedKeys.forEach(key => {
+      this[key] = updates[key];
+    });
+    this.pausedPosition = 0;
+
+    this.emit('sourceChange', {
+      bpm: this.bpm,
+      soundType: this.soundType,
+      strokeRatio: this.strokeRatio,
+      beatsPerCycle: this.beatsPerCycle,
+      targetBeat: this.targetBeat,
+    });
+    if (this.audioEngine) {
+      this.refreshSourceStatus();
+    }
+  }
+
+  /**
+   * Check the current sound/tempo combination can actually be played
+   * @returns {Error|null} Why there is no playable source, or null if playable
+   */
+  validateSource() {
+    if (!SOUND_TYPES.includes(this.soundType)) {
+      return new Error(`Unknown sound type "${this.soundType}"`);
+    }
+
+    if (!Number.isFinite(this.bpm) || this.bpm <= 0) {
+      return new Error(`No playable source for ${this.soundType} at ${this.bpm} BPM`);
+    }
+
+    if (!this.audioEngine) {
+      return new Error('Swing loop audio is not loaded');
+    }
+
+    const sprite = this.getSpriteName();
+    const missingClips = this.getBeatPattern()
+      .map(event => event.clip)
+      .concat(COUNT_IN_CLIPS[sprite])
+      .filter(clip => !this.audioEngine.hasClip(sprite, clip));
+    if (missingClips.length > 0) {
+      return new Error(`No playable source for ${this.soundType} at ${this.bpm} BPM: ` +
+        `missing ${sprite} clips ${missingClips.join(', ')}`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Set status from validateSource(); logs loudly when unplayable
+   */
+  refreshSourceStatus() {
+    const error = this.validateSource();
+    if (error) {
+      console.error('❌ Swing loop has no playable source:', error.message);
+      this.setStatus('error', error);
+    } else if (this.status !== 'readyToPlay') {
+      this.setStatus('readyToPlay');
+    }
+  }
+
+  play() {
+    if (this.playing || this.status !== 'readyToPlay') return;
+
+    // Restart if the previous loop ran to the end
+    const startPosition = this.pausedPosition >= this.duration ? 0 : this.pausedPosition;
+    const leadMs = startPosition === 0 ? START_LEAD_MS : 0;
+    this.loopStartedAt = nowMs() + leadMs - startPosition * 1000;
+    this.playing = true;
+
+    this.scheduleBeats(startPosition);
+
+    const remainingMs = (this.duration - startPosition) * 1000 + leadMs;
+    this.endTimer = setTimeout(() => this.handleLoopEnd(), remainingMs);
+
+    this.emit('playingChange', { isPlaying: true });
+  }
+
+  pause() {
+    if (!this.playing) return;
+
+    this.pausedPosition = this.currentTime;
+    this.playing = false;
+    this.clearScheduled();
+
+    this.emit('playingChange', { isPlaying: false });
+  }
+
+  replay() {
+    if (this.playing) {
+      this.playing = false;
+      this.clearScheduled();
+    }
+    this.pausedPosition = 0;
+    this.play();
+  }
+
+  /**
+   * @param {string} eventName - 'playingChange', 'statusChange' or 'sourceChange'
+   * @param {Function} callback - Event handler
+   * @returns {{remove: Function}} Subscription
+   */
+  addListener(eventName, callback) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(callback);
+
+    return {
+      remove: () => {
+        this.listeners.get(eventName)?.delete(callback);
+      }
+    };
+  }
+
+  async release() {
+    this.playing = false;
+    this.clearScheduled();
+    this.listeners.clear();
+
+    if (this.audioEngine) {
+      await this.audioEngine.destroy();
+      this.audioEngine = null;
+    }
+  }
+
+  handleLoopEnd() {
+    this.endTimer = null;
+    this.playing = false;
+    this.pausedPosition = this.duration;
+    this.audioEngine?.stop();
+
+    this.emit('playingChange', { isPlaying: false });
+  }
+
+  /**
+   * Queue the beat sounds from a loop position onwards
+   * @param {number} fromPosition - Seconds into the loop
+   */
+  scheduleBeats(fromPosition) {
+    const pattern = this.getBeatPattern();
+    if (!this.audioEngine || pattern.length === 0) return;
+
+    const sprite = this.getSpriteName();
+    const timing = this.getStrokeTiming();
+    const cueTimes = getStrokeCueTimes(timing);
+    const fromMs = fromPosition * 1000;
+
+    // Extra count beats before the takeaway (cycles longer than the stroke)
+    getCountInTimes(timing).forEach((offsetMs, index) => {
+      if (offsetMs < fromMs) return;
+
+      this.audioEngine.enqueue({
+        id: `swing-count-${index}`,
+        sprite,
+        clip: COUNT_IN_CLIPS[sprite],
+        tStartMs: this.loopStartedAt + offsetMs,
+        gain: COUNT_IN_GAIN,
+      });
+    });
+
+    pattern.forEach(event => {
+      // Start/ready/back/swing cues follow the stroke ratio and target beat
+      const offsetMs = cueTimes[event.beat];
+      if (offsetMs < fromMs) return;
+
+      // Short cycles start the takeaway on beat 1, so the ready cue replaces the start cue
+      if (event.beat === 0 && timing.takeawayMs < timing.beatMs * 0.1) return;
+
+      this.audioEngine.enqueue({
+        id: `swing-beat-${event.beat}`,
+        sprite,
+        clip: event.clip,
+        tStartMs: this.loopStartedAt + offsetMs,
+        gain: Math.pow(10, (event.gainDb || 0) / 20),
+      });
+    });
+
+    this.audioEngine.start();
+  }
+
+  clearScheduled() {
+    if (this.endTimer) {
+      clearTimeout(this.endTimer);
+      this.endTimer = null;
+    }
+
+    if (this.audioEngine) {
+      this.audioEngine.stop();
+      this.audioEngine.clearQueue();
+    }
+  }
+
+  getSpriteName() {
+    if (this.soundType === 'beat') return 'metronome';
+    if (this.soundType === 'wind') return 'wind';
+    return 'tones';
+  }
+
+  getBeatPattern() {
+    switch (this.soundType) {
+      case 'tone':
+        return musicalSequence(TONE_SEQUENCE, CUE_COUNT);
+      case 'detect':
+        // Strike mode cuts off the last (impact) beat so only the putter is heard
+        return musicalSequence(TONE_SEQUENCE, CUE_COUNT).slice(0, -1);
+      case 'beat':
+        return simpleAccent(CUE_COUNT);
+      case 'wind':
+        return windMode(CUE_COUNT);
+      default:
+        return [];
+    }
+  }
+
+  setStatus(status, error = null) {
+    this.status = status;
+    this.emit('statusChange', { status, error });
+  }
+
+  emit(eventName, payload) {
+    const callbacks = this.listeners.get(eventName);
+    if (!callbacks) return;
+
+    callbacks.forEach(callback => {
+      try {
+        callback(payload);
+      } catch (error) {
+        console.error(`SwingLoopPlayer ${eventName} listener error:`, error);
+      }
+    });
+  }
+}
+
+export default SwingLoopPlayer;
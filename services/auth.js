@@ -5,6 +5,10 @@ import * as Application from 'expo-application';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
 
+// Supported tempo range (BPM) - the swing bar and audio are generated, so any value in range works
+export const MIN_BPM = 60;
+export const MAX_BPM = 100;
+
 // Get unique device/app identifier
 export const getDeviceId = async () => {
   try {
@@ -107,9 +111,19 @@ export const authenticateUser = async () => {
       } else {
         // Update last login
         userData = userSnap.data();
+
+        // Keep stats recorded while offline that never reached Firebase
+        const cachedData = cachedUser ? JSON.parse(cachedUser) : null;
+        const hasPendingStats = !!(cachedData?.statsPendingSync && cachedData.stats);
+        if (hasPendingStats) {
+          console.log('📊 Syncing lifetime stats recorded offline');
+          userData.stats = cachedData.stats;
+        }
+
         await setDoc(userRef, {
           lastLoginAt: new Date().toISOString(),
           deviceInfo: deviceInfo, // Update device info in case it changed
+          ...(hasPendingStats ? { stats: userData.stats } : {}),
         }, { merge: true });
       }
       
@@ -162,8 +176,8 @@ export const authenticateUser = async () => {
     if (userData.settings && userData.settings.defaultBPM !== undefined && !userData.settings.bpmPreferences) {
       console.log('🔄 Migrating old defaultBPM setting to bpmPreferences');
       const oldBpm = userData.settings.defaultBPM;
-      // Clamp to valid range (70-80 BPM)
-      const validBpm = Math.max(70, Math.min(80, oldBpm));
+      // Clamp to valid range (60-100 BPM)
+      const validBpm = Math.max(MIN_BPM, Math.min(MAX_BPM, oldBpm));
       console.log(`Old BPM: ${oldBpm}, clamped to valid range: ${validBpm}`);
       userData.settings.bpmPreferences = {
         tone: validBpm,
@@ -189,9 +203,9 @@ export const authenticateUser = async () => {
       const fixed = {};
 
       for (const [type, bpm] of Object.entries(userData.settings.bpmPreferences)) {
-        if (bpm < 70 || bpm > 80) {
+        if (bpm < MIN_BPM || bpm > MAX_BPM) {
           needsFixing = true;
-          fixed[type] = Math.max(70, Math.min(80, bpm));
+          fixed[type] = Math.max(MIN_BPM, Math.min(MAX_BPM, bpm));
           console.log(`⚠️ Fixed invalid BPM for ${type}: ${bpm} → ${fixed[type]}`);
         } else {
           fixed[type] = bpm;
@@ -270,18 +284,103 @@ export const updatePremiumStatus = async (purchaseInfo) => {
 export const updateUserStats = async (stats) => {
   try {
     const userId = await AsyncStorage.getItem('userId');
-    if (!userId) return;
+    if (!userId) return false;
     
     const userRef = doc(db, 'users', userId);
     await setDoc(userRef, {
       stats: stats,
       lastActivityAt: new Date().toISOString(),
     }, { merge: true });
+    return true;
   } catch (error) {
     console.error('Error updating user stats:', error);
+    return false;
   }
 };
 
+const DEFAULT_STATS = {
+  totalSessions: 0,
+  perfectHits: 0,
+  totalHits: 0,
+  bestStreak: 0,
+  practiceTime: 0, // in seconds
+};
+
+// Stats updates read-modify-write the cached user, so run them one at a time
+let statsUpdateQueue = Promise.resolve();
+
+// Load lifetime stats from cached user data
+export const loadUserStats = async () => {
+  try {
+    const cachedUser = await AsyncStorage.getItem('cachedUserData');
+    const userData = cachedUser ? JSON.parse(cachedUser) : {};
+    return { ...DEFAULT_STATS, ...userData.stats };
+  } catch (error) {
+    console.error('Error loading user stats:', error);
+    return { ...DEFAULT_STATS };
+  }
+};
+
+// Add practice activity to lifetime stats - cached first so nothing is lost offline,
+// then synced to Firebase (pending syncs are retried on next authenticateUser)
+export const incrementUserStats = ({ sessions = 0, perfectHits = 0, totalHits = 0, streak = 0, practiceTime = 0 }) => {
+  const update = async () => {
+    try {
+      const cachedUser = await AsyncStorage.getItem('cachedUserData');
+      const userData = cachedUser ? JSON.parse(cachedUser) : {};
+      const current = { ...DEFAULT_STATS, ...userData.stats };
+
+      const stats = {
+        totalSessions: current.totalSessions + sessions,
+        perfectHits: current.perfectHits + perfectHits,
+        totalHits: current.totalHits + totalHits,
+        bestStreak: Math.max(current.bestStreak, streak),
+        practiceTime: current.practiceTime + Math.round(practiceTime),
+      };
+
+      userData.stats = stats;
+      userData.statsPendingSync = true;
+      await AsyncStorage.setItem('cachedUserData', JSON.stringify(userData));
+
+      // Don't hold the queue on Firebase (writes can stall while offline)
+      updateUserStats(stats).then(async (synced) => {
+        if (!synced) {
+          console.log('Stats saved to cache only (offline)');
+          return;
+        }
+        await markStatsSynced(stats);
+      });
+
+      return stats;
+    } catch (error) {
+      console.error('Error incrementing user stats:', error);
+      return null;
+    }
+  };
+
+  statsUpdateQueue = statsUpdateQueue.then(update);
+  return statsUpdateQueue;
+};
+
+// Clear the pending flag if the cache still holds the stats that were synced
+const markStatsSynced = (syncedStats) => {
+  statsUpdateQueue = statsUpdateQueue.then(async () => {
+    try {
+      const cachedUser = await AsyncStorage.getItem('cachedUserData');
+      if (!cachedUser) return;
+
+      const userData = JSON.parse(cachedUser);
+      if (JSON.stringify(userData.stats) === JSON.stringify(syncedStats)) {
+        userData.statsPendingSync = false;
+        await AsyncStorage.setItem('cachedUserData', JSON.stringify(userData));
+      }
+    } catch (error) {
+      console.error('Error marking stats synced:', error);
+    }
+  });
+  return statsUpdateQueue;
+};
+
 // Update user settings
 export const updateUserSettings = async (settings) => {
   try {
@@ -401,4 +500,102 @@ export const saveBpmPreference = async (soundType, bpm) => {
   } catch (error) {
     console.error('Error saving BPM preference:', error);
   }
-};
\ No newline at end of file
+};
+
+// Load a single user setting (cache first, then Firebase, then default)
+export const loadUserSetting = async (key, defaultValue) => {
+  try {
+    const cachedUser = await AsyncStorage.getItem('cachedUserData');
+    if (cachedUser) {
+      const userData = JSON.parse(cachedUser);
+      if (userData.settings?.[key] !== undefined) {
+        return userData.settings[key];
+      }
+    }
+
+    const userId = await AsyncStorage.getItem('userId');
+    if (!userId) return defaultValue;
+
+    try {
+      const userRef = doc(db, 'users', userId);
+      const userSnap = await getDoc(userRef);
+      if (userSnap.exists() && userSnap.data().settings?.[key] !== undefined) {
+        return userSnap.data().settings[key];
+      }
+    } catch (firebaseError) {
+      console.log(`Firebase offline, using default for ${key}`);
+    }
+
+    return defaultValue;
+  } catch (error) {
+    console.error(`Error loading setting ${key}:`, error);
+    return defaultValue;
+  }
+};
+
+// Save a single user setting (Firebase merge + cached user data)
+export const saveUserSetting = async (key, value) => {
+  try {
+    const userId = await AsyncStorage.getItem('userId');
+    if (!userId) {
+      console.warn(`No user ID, cannot save setting ${key}`);
+      return;
+    }
+
+    console.log(`💾 Saving setting ${key}:`, value);
+
+    try {
+      const userRef = doc(db, 'users', userId);
+      await setDoc(userRef, {
+        settings: {
+          [key]: value,
+        },
+      }, { merge: true });
+    } catch (firebaseError) {
+      console.log('Firebase offline, saving to cache only');
+    }
+
+    const cachedUser = await AsyncStorage.getItem('cachedUserData');
+    if (cachedUser) {
+      const userData = JSON.parse(cachedUser);
+      if (!userData.settings) {
+        userData.settings = {};
+      }
+      userData.settings[key] = value;
+      await AsyncStorage.setItem('cachedUserData', JSON.stringify(userData));
+    }
+  } catch (error) {
+    console.error(`Error saving setting ${key}:`, error);
+  }
+};
+
+// Key for per-device-model settings, from the same expo-device info stored in authenticateUser
+export const getDeviceModelKey = () => {
+  const parts = [Device.brand, Device.modelName, Device.osName]
+    .map(part => (part || 'unknown').toString().trim());
+  return parts.join('_').replace(/[^A-Za-z0-9_-]+/g, '-');
+};
+
+// Load the latency calibration for this device model (null if never calibrated)
+export const loadLatencyCalibration = async () => {
+  const calibrations = await loadUserSetting('latencyCalibrations', {});
+  return calibrations?.[getDeviceModelKey()] || null;
+};
+
+// Save a latency calibration for this device model, keeping other models' results
+export const saveLatencyCalibration = async ({ latencyMs, stdDevMs, sampleCount, method = 'tap' }) => {
+  const calibrations = await loadUserSetting('latencyCalibrations', {});
+  const calibration = {
+    latencyMs,
+    stdDevMs,
+    sampleCount,
+    method, // 'tap' (speaker only) or 'strike' (speaker + microphone), see LatencyCalibrator
+    calibratedAt: new Date().toISOString(),
+  };
+
+  await saveUserSetting('latencyCalibrations', {
+    ...(calibrations || {}),
+    [getDeviceModelKey()]: calibration,
+  });
+  return calibration;
+};
@@ -0,0 +1,170 @@
+/**
+ * AudioCaptureBuffer - Rolling capture of microphone audio and detector state
+ *
+ * Keeps the last N seconds of PCM16 plus a per-chunk detector state trace and
+ * notable events (hits, loop playback, listening window), so a session that
+ * "detected wrong" can be exported and replayed offline. Fixed-size ring
+ * buffer: recording costs no allocations after construction.
+ */
+import { REPLAY_LABELS_VERSION } from './AudioReplaySource';
+
+export const DEFAULT_CAPTURE_SECONDS = 30;
+
+export class AudioCaptureBuffer {
+  /**
+   * @param {Object} options
+   * @param {number} options.seconds - Audio to keep (seconds)
+   * @param {number} options.sampleRate - Microphone sample rate (Hz)
+   */
+  constructor({ seconds = DEFAULT_CAPTURE_SECONDS, sampleRate = 44100 } = {}) {
+    this.seconds = seconds;
+    this.sampleRate = sampleRate;
+    this.samples = new Int16Array(Math.round(seconds * sampleRate));
+    this.clear();
+  }
+
+  clear() {
+    this.writeIndex = 0;
+    this.filled = 0;
+    this.lastChunkAt = null;   // performance.now() when the newest chunk arrived
+    this.states = [];
+    this.events = [];
+  }
+
+  get durationMs() {
+    return (this.filled / this.sampleRate) * 1000;
+  }
+
+  /**
+   * performance.now() time of the oldest sample still held
+   */
+  get startMs() {
+    return this.lastChunkAt === null ? null : this.lastChunkAt - this.durationMs;
+  }
+
+  /**
+   * Append a chunk of microphone audio
+   * @param {Int16Array} chunk - PCM16 samples
+   * @param {number} timestamp - performance.now() when the chunk arrived (end of the chunk)
+   */
+  pushAudio(chunk, timestamp) {
+    const capacity = this.samples.length;
+    const source = chunk.length > capacity ? chunk.subarray(chunk.length - capacity) : chunk;
+
+    const firstPart = Math.min(source.length, capacity - this.writeIndex);
+    this.samples.set(source.subarray(0, firstPart), this.writeIndex);
+    if (firstPart < source.length) {
+      this.samples.set(source.subarray(firstPart), 0);
+    }
+
+    this.writeIndex = (this.writeIndex + source.length) % capacity;
+    this.filled = Math.min(capacity, this.filled + source.length);
+    this.lastChunkAt = timestamp;
+    this.prune();
+  }
+
+  /**
+   * Record detector state for the chunk just processed
+   * @param {Object} state - Must include `t` (performance.now())
+   */
+  pushState(state) {
+    this.states.push(state);
+  }
+
+  /**
+   * Record a notable event (hit, playingChange, listening window open/close)
+   * @param {string} type - Event type
+   * @param {number} t - performance.now() of the event
+   * @param {Object} data - Event details
+   */
+  pushEvent(type, t, data = {}) {
+    this.events.push({ type, t, ...data });
+  }
+
+  // Drop state/events that are older than the audio we still hold
+  prune() {
+    const startMs = this.startMs;
+    if (startMs === null) return;
+
+    const firstState = this.states.findIndex(state => state.t >= startMs);
+    this.states = firstState < 0 ? [] : this.states.slice(firstState);
+
+    // Keep the latest playingChange before the window so the loop in progress
+    // at the first sample is still known (its start time goes negative)
+    const firstEvent = this.events.findIndex(event => event.t >= startMs);
+    const kept = firstEvent < 0 ? [] : this.events.slice(firstEvent);
+    const dropped = firstEvent < 0 ? this.events : this.events.slice(0, firstEvent);
+    const lastPlaying = [...dropped].reverse().find(event => event.type === 'playingChange');
+    this.events = lastPlaying ? [lastPlaying, ...kept] : kept;
+  }
+
+  /**
+   * Held audio in order, oldest first
+   * @returns {Int16Array} PCM16 samples
+   */
+  getSamples() {
+    const capacity = this.samples.length;
+    if (this.filled < capacity) {
+      return this.samples.slice(0, this.filled);
+    }
+
+    const ordered = new Int16Array(capacity);
+    ordered.set(this.samples.subarray(this.writeIndex), 0);
+    ordered.set(this.samples.subarray(0, this.writeIndex), capacity - this.writeIndex);
+    return ordered;
+  }
+
+  /**
+   * Capture contents with times relative to the first held sample
+   *
+   * The result is a replay label sidecar (see AudioReplaySource.parseReplayLabels)
+   * with `impacts` left empty for whoever labels the recording; the app's own
+   * detections are included separately so they can be compared.
+   *
+   * @param {Object} meta - { audio, description, device, session, settings }
+   * @returns {Object} { samples, sampleRate, labels }
+   */
+  snapshot(meta = {}) {
+    const startMs = this.startMs ?? 0;
+    const relative = t => Math.round((t - startMs) * 10) / 10;
+
+    // Swing loop playback from playingChange events
+    const loops = [];
+    let openLoop = null;
+    this.events.forEach(event => {
+      if (event.type !== 'playingChange') return;
+      if (event.isPlaying && !openLoop) {
+        openLoop = { startMs: relative(event.t) };
+      } else if (!event.isPlaying && openLoop) {
+        loops.push({ ...openLoop, endMs: relative(event.t) });
+        openLoop = null;
+      }
+    });
+    if (openLoop && this.lastChunkAt !== null) {
+      loops.push({ ...openLoop, endMs: relative(this.lastChunkAt) });
+    }
+
+    const events = this.events.map(event => ({ ...event, t: relative(event.t) }));
+
+    return {
+      samples: this.getSamples(),
+      sampleRate: this.sampleRate,
+      labels: {
+        version: REPLAY_LABELS_VERSION,
+        audio: meta.audio || 'capture.wav',
+        description: meta.description || '',
+        device: meta.device || null,
+        capturedAt: new Date().toISOString(),
+        impacts: [],
+        session: meta.session || null,
+        loops,
+        detections: events.filter(event => event.type === 'hit').map(event => event.t),
+        settings: meta.settings || {},
+        events,
+        detectorState: this.states.map(state => ({ ...state, t: relative(state.t) })),
+      },
+    };
+  }
+}
+
+export default AudioCaptureBuffer;
@@ -0,0 +1,168 @@
+/**
+ * AudioClock - Map stream sample counts to performance.now() time
+ *
+ * Chunks from the native stream reach JS late by a varying amount (whatever else
+ * the JS thread was doing), so their arrival times jitter; the sample count does
+ * not. Each chunk gives one point: (audio time of its last sample, arrival time).
+ * Arrival is never earlier than capture, so the least-delayed chunks trace the true
+ * mapping; the model is the lower envelope of the points, with a least-squares slope
+ * for drift between the audio clock and performance.now().
+ */
+
+// History used for the envelope and drift fit
+const DEFAULT_WINDOW_MS = 10000;
+const MAX_POINTS = 512;
+
+// Need this much audio before the drift slope means anything
+const MIN_DRIFT_SPAN_MS = 2000;
+
+// Arrival this far behind the model means the stream stalled or dropped samples
+const STALL_RESET_MS = 500;
+
+export class AudioClock {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Stream sample rate (Hz)
+   * @param {number} options.windowMs - History kept for the fit (ms of audio)
+   */
+  constructor({ sampleRate = 44100, windowMs = DEFAULT_WINDOW_MS } = {}) {
+    this.sampleRate = sampleRate;
+    this.windowMs = windowMs;
+    this.reset();
+  }
+
+  /**
+   * Forget all history (call when the stream restarts)
+   */
+  reset() {
+    this.totalSamples = 0;
+    this.points = [];             // { audioMs, offsetMs } with offsetMs = arrival - audioMs
+    this.model = null;            // { interceptMs, slope, jitterMs } (lazy)
+  }
+
+  /**
+   * Record a chunk that has just arrived
+   * @param {number} sampleCount - Samples in the chunk
+   * @param {number} arrivalTime - performance.now() when it arrived
+   * @returns {number} Index of the chunk's first sample
+   */
+  addChunk(sampleCount, arrivalTime) {
+    const firstSample = this.totalSamples;
+    this.totalSamples += sampleCount;
+
+    const audioMs = this.samplesToMs(this.totalSamples);
+    const offsetMs = arrivalTime - audioMs;
+
+    if (this.points.length > 0) {
+      const { interceptMs, slope } = this.getModel();
+      if (offsetMs - (interceptMs + slope * audioMs) > STALL_RESET_MS) {
+        // Samples went missing (or a long stall): rebuild the mapping from here
+        this.points = [];
+      }
+    }
+
+    this.points.push({ audioMs, offsetMs });
+    while (this.points.length > MAX_POINTS || audioMs - this.points[0].audioMs > this.windowMs) {
+      this.points.shift();
+    }
+    this.model = null;
+
+    return firstSample;
+  }
+
+  /**
+   * performance.now() time of a sample (as if delivered without JS-thread delay)
+   * @param {number} sampleIndex - Sample index since the last reset
+   * @returns {number|null} Time in ms, or null before the first chunk
+   */
+  timeAtSample(sampleIndex) {
+    if (this.points.length === 0) return null;
+
+    const { interceptMs, slope } = this.getModel();
+    const audioMs = this.samplesToMs(sampleIndex);
+    return audioMs + interceptMs + slope * audioMs;
+  }
+
+  /**
+   * Sample index at a performance.now() time (inverse of timeAtSample)
+   * @param {number} time - Time in ms
+   * @returns {number|null} Fractional sample index, or null before the first chunk
+   */
+  sampleAtTime(time) {
+    if (this.points.length === 0) return null;
+
+    const { interceptMs, slope } = this.getModel();
+    const audioMs = (time - interceptMs) / (1 + slope);
+    return (audioMs / 1000) * this.sampleRate;
+  }
+
+  /**
+   * Time of the newest sample received
+   * @returns {number|null}
+   */
+  now() {
+    return this.timeAtSample(this.totalSamples);
+  }
+
+  /**
+   * Clock drift of the audio stream against performance.now()
+   * @returns {number} Parts per million (positive = audio clock runs slow)
+   */
+  getDriftPpm() {
+    return this.points.length > 0 ? this.getModel().slope * 1e6 : 0;
+  }
+
+  /**
+   * Mean arrival delay above the model (how much JS-thread jitter was removed)
+   * @returns {number} Milliseconds
+   */
+  getJitterMs() {
+    return this.points.length > 0 ? this.getModel().jitterMs : 0;
+  }
+
+  getStats() {
+    return {
+      samples: this.totalSamples,
+      points: this.points.length,
+      driftPpm: this.getDriftPpm(),
+      jitterMs: this.getJitterMs(),
+    };
+  }
+
+  samplesToMs(samples) {
+    return (samples / this.sampleRate) * 1000;
+  }
+
+  /**
+   * Fit offsetMs = interceptMs + slope * audioMs under the points
+   */
+  getModel() {
+    if (this.model) return this.model;
+
+    const points = this.points;
+    const spanMs = points[points.length - 1].audioMs - points[0].audioMs;
+    let slope = 0;
+
+    if (spanMs >= MIN_DRIFT_SPAN_MS) {
+      const meanX = points.reduce((sum, p) => sum + p.audioMs, 0) / points.length;
+      const meanY = points.reduce((sum, p) => sum + p.offsetMs, 0) / points.length;
+      let covariance = 0;
+      let variance = 0;
+      points.forEach(p => {
+        covariance += (p.audioMs - meanX) * (p.offsetMs - meanY);
+        variance += (p.audioMs - meanX) * (p.audioMs - meanX);
+      });
+      slope = variance > 0 ? covariance / variance : 0;
+    }
+
+    // Lower envelope: the least-delayed chunk sets the intercept
+    const residuals = points.map(p => p.offsetMs - slope * p.audioMs);
+    const interceptMs = Math.min(...residuals);
+    const jitterMs = residuals.reduce((sum, r) => sum + (r - interceptMs), 0) / residuals.length;
+
+    this.model = { interceptMs, slope, jitterMs };
+    return this.model;
+  }
+}
+
+export default AudioClock;
@@ -0,0 +1,223 @@
+/**
+ * AudioReplaySource - Replay recorded audio into detectors
+ *
+ * Delivers audio the way the native stream does: fixed-length chunks as
+ * base64 PCM16 payloads (handleAudioData / handleAudioStreamData) or raw Int16
+ * frames (handleFrame). A clock callback runs before each delivery so callers
+ * can drive performance.now() from the audio position instead of wall time.
+ */
+import { decodeWav, resample } from './WavDecoder';
+
+export const REPLAY_LABELS_VERSION = 1;
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode bytes as base64 (no btoa/Buffer dependency)
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} Base64 string
+ */
+export function bytesToBase64(bytes) {
+  let output = '';
+  let i = 0;
+
+  for (; i + 2 < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+    output += BASE64_ALPHABET[(n >> 18) & 63] + BASE64_ALPHABET[(n >> 12) & 63] +
+      BASE64_ALPHABET[(n >> 6) & 63] + BASE64_ALPHABET[n & 63];
+  }
+
+  const remaining = bytes.length - i;
+  if (remaining === 1) {
+    const n = bytes[i] << 16;
+    output += BASE64_ALPHABET[(n >> 18) & 63] + BASE64_ALPHABET[(n >> 12) & 63] + '==';
+  } else if (remaining === 2) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8);
+    output += BASE64_ALPHABET[(n >> 18) & 63] + BASE64_ALPHABET[(n >> 12) & 63] +
+      BASE64_ALPHABET[(n >> 6) & 63] + '=';
+  }
+
+  return output;
+}
+
+function toInt16(samples) {
+  const int16 = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const clamped = Math.max(-1, Math.min(1, samples[i]));
+    int16[i] = Math.round(clamped * 32767);
+  }
+  return int16;
+}
+
+function toSortedTimes(values, field) {
+  if (values === undefined) return [];
+  if (!Array.isArray(values)) {
+    throw new Error(`Replay labels: "${field}" must be an array of times in ms`);
+  }
+
+  return values.map((value, index) => {
+    const time = typeof value === 'number' ? value : value?.time;
+    if (!Number.isFinite(time) || time < 0) {
+      throw new Error(`Replay labels: ${field}[${index}] is not a valid time in ms`);
+    }
+    return time;
+  }).sort((a, b) => a - b);
+}
+
+function toRanges(values, field) {
+  if (values === undefined) return [];
+  if (!Array.isArray(values)) {
+    throw new Error(`Replay labels: "${field}" must be an array of { startMs, endMs }`);
+  }
+
+  return values.map((range, index) => {
+    if (!Number.isFinite(range?.startMs) || !Number.isFinite(range?.endMs) || range.endMs <= range.startMs) {
+      throw new Error(`Replay labels: ${field}[${index}] needs startMs < endMs`);
+    }
+    return { startMs: range.startMs, endMs: range.endMs };
+  }).sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Validate and normalize a recording's label sidecar (<recording>.labels.json)
+ *
+ * {
+ *   "version": 1,
+ *   "audio": "session-01.wav",            // WAV file, relative to the sidecar
+ *   "description": "Garage, carpet, Club putter",
+ *   "device": "iPhone 13",
+ *   "impacts": [2897.5, 7985.0],           // Labelled strike times (ms from file start)
+ *   "ticks": [500, 1290],                  // Optional: metronome/cue times (ms)
+ *   "session": { "bpm": 76, "beatsPerCycle": 4, "targetBeat": 4 },  // Optional
+ *   "loops": [{ "startMs": 500, "endMs": 3658 }],                   // Optional: swing loop playback
+ *   "toleranceMs": 150,                    // Optional: match tolerance
+ *   "expect": { "videosync": { "minRecall": 0.9, "minPrecision": 0.9, "maxP95ErrorMs": 120 } }
+ * }
+ *
+ * @param {Object|string} json - Parsed sidecar or its JSON text
+ * @returns {Object} Normalized labels
+ */
+export function parseReplayLabels(json) {
+  const labels = typeof json === 'string' ? JSON.parse(json) : json;
+
+  if (!labels || typeof labels !== 'object') {
+    throw new Error('Replay labels: expected a JSON object');
+  }
+  if (labels.version !== REPLAY_LABELS_VERSION) {
+    throw new Error(`Replay labels: unsupported version ${labels.version} (expected ${REPLAY_LABELS_VERSION})`);
+  }
+  if (typeof labels.audio !== 'string' || labels.audio.length === 0) {
+    throw new Error('Replay labels: "audio" must name the recording file');
+  }
+  if (!Array.isArray(labels.impacts)) {
+    throw new Error('Replay labels: "impacts" is required (use [] for recordings with no strikes)');
+  }
+
+  return {
+    version: labels.version,
+    audio: labels.audio,
+    description: labels.description || '',
+    device: labels.device || null,
+    impacts: toSortedTimes(labels.impacts, 'impacts'),
+    ticks: toSortedTimes(labels.ticks, 'ticks'),
+    session: labels.session ? { ...labels.session } : null,
+    loops: toRanges(labels.loops, 'loops'),
+    toleranceMs: Number.isFinite(labels.toleranceMs) ? labels.toleranceMs : null,
+    expect: labels.expect || {},
+  };
+}
+
+export class AudioReplaySource {
+  /**
+   * @param {Object} options
+   * @param {Float32Array} options.samples - Mono samples (-1..1)
+   * @param {number} options.sampleRate - Sample rate (Hz)
+   */
+  constructor({ samples, sampleRate }) {
+    this.samples = samples;
+    this.sampleRate = sampleRate;
+    this.int16 = toInt16(samples);
+  }
+
+  /**
+   * Build a source from WAV file bytes
+   * @param {Uint8Array|ArrayBuffer} bytes - WAV file contents
+   * @param {Object} options - { sampleRate } to resample to (defaults to the file's rate)
+   * @returns {AudioReplaySource}
+   */
+  static fromWav(bytes, { sampleRate } = {}) {
+    const wav = decodeWav(bytes);
+    const targetRate = sampleRate || wav.sampleRate;
+    return new AudioReplaySource({
+      samples: resample(wav.samples, wav.sampleRate, targetRate),
+      sampleRate: targetRate,
+    });
+  }
+
+  get durationMs() {
+    return (this.samples.length / this.sampleRate) * 1000;
+  }
+
+  /**
+   * Same audio at another sample rate
+   * @param {number} sampleRate - Target rate (Hz)
+   * @returns {AudioReplaySource}
+   */
+  withSampleRate(sampleRate) {
+    if (sampleRate === this.sampleRate) return this;
+    return new AudioReplaySource({
+      samples: resample(this.samples, this.sampleRate, sampleRate),
+      sampleRate,
+    });
+  }
+
+  /**
+   * Native stream payload for a range of samples (matches expo-audio-stream's AudioDataEvent)
+   * @param {number} start - First sample
+   * @param {number} end - Sample after the last
+   * @returns {Object} { data, position, fileUri, eventDataSize, totalSize }
+   */
+  createPayload(start, end) {
+    const chunk = this.int16.subarray(start, end);
+    const bytes = new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    return {
+      data: bytesToBase64(bytes),
+      position: (start / this.sampleRate) * 1000,
+      fileUri: '',
+      eventDataSize: bytes.byteLength,
+      totalSize: end * 2,
+    };
+  }
+
+  /**
+   * Replay the whole recording into a detector
+   * @param {Object} target - Detector instance
+   * @param {Object} options
+   * @param {string} options.method - 'handleAudioData', 'handleAudioStreamData' (base64 payloads) or 'handleFrame' (Int16 frames)
+   * @param {number} options.chunkMs - Payload length in ms (native stream interval)
+   * @param {number} options.frameLength - Samples per frame for 'handleFrame'
+   * @param {Function} options.onTime - Called with the delivery time (ms) before each chunk/frame
+   * @returns {number} Chunks/frames delivered
+   */
+  replay(target, { method = 'handleAudioData', chunkMs = 100, frameLength = 256, onTime } = {}) {
+    const isFrames = method === 'handleFrame';
+    const step = isFrames ? frameLength : Math.round((chunkMs / 1000) * this.sampleRate);
+    const count = Math.floor(this.int16.length / step);
+
+    for (let i = 0; i < count; i++) {
+      const start = i * step;
+      const end = start + step;
+      onTime?.((end / this.sampleRate) * 1000);
+
+      if (isFrames) {
+        target.handleFrame(this.int16.subarray(start, end));
+      } else {
+        target[method](this.createPayload(start, end));
+      }
+    }
+
+    return count;
+  }
+}
+
+export default AudioReplaySource;
@@ -3,9 +3,29 @@
  * Allows testing detector logic without real audio input
  */
 export class AudioSimulator {
-  constructor(sampleRate = 16000) {
+  constructor(sampleRate = 16000, seed = null) {
     this.sampleRate = sampleRate;
     this.time = 0;
+    this.random = Math.random;
+
+    if (seed !== null) {
+      this.setSeed(seed);
+    }
+  }
+
+  /**
+   * Make generated noise repeatable (mulberry32 PRNG)
+   * @param {number} seed - Integer seed
+   */
+  setSeed(seed) {
+    let state = seed >>> 0;
+    this.random = () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
   }
 
   /**
@@ -38,7 +58,7 @@ export class AudioSimulator {
     const samples = new Float32Array(numSamples);
     
     for (let i = 0; i < numSamples; i++) {
-      samples[i] = amplitude * (Math.random() * 2 - 1);
+      samples[i] = amplitude * (this.random() * 2 - 1);
     }
     
     return samples;
@@ -58,6 +78,8 @@ export class AudioSimulator {
       amplitude = 0.8,        // Peak amplitude
       decay = 0.95,          // Exponential decay rate
       noiseAmount = 0.3,     // Amount of noise in impact
+      thump = 0,             // Low-frequency body thump (0-1, relative to amplitude)
+      thumpFrequency = 180,  // Thump frequency in Hz
     } = params;
 
     const numSamples = Math.floor(this.sampleRate * duration);
@@ -82,19 +104,22 @@ export class AudioSimulator {
       const harmonic3 = 0.1 * Math.sin(2 * Math.PI * frequency * 3 * t);
       
       // Band-limited noise
-      const noise = (Math.random() * 2 - 1) * noiseAmount;
-      
+      const noise = (this.random() * 2 - 1) * noiseAmount;
+
+      // Body thump (decays more slowly than the click)
+      const body = thump * amplitude * Math.exp(-t * 40) * Math.sin(2 * Math.PI * thumpFrequency * t);
+
       // Combine components
       samples[i] = envelope * (
         tone + 
         harmonic2 + 
         harmonic3 + 
         noise
-      );
+      ) + body;
       
       // Add initial transient (click)
       if (i < 10) {
-        samples[i] += (10 - i) / 10 * amplitude * (Math.random() * 2 - 1);
+        samples[i] += (10 - i) / 10 * amplitude * (this.random() * 2 - 1);
       }
     }
     
@@ -129,6 +154,94 @@ export class AudioSimulator {
     return samples;
   }
 
+  /**
+   * Generate wind noise
+   * Characteristics: Low-frequency rumble with slow gusts
+   * @param {number} duration - Duration in seconds
+   * @param {number} amplitude - Peak amplitude (0-1)
+   * @returns {Float32Array} Audio samples
+   */
+  generateWindNoise(duration, amplitude = 0.2) {
+    const numSamples = Math.floor(this.sampleRate * duration);
+    const samples = new Float32Array(numSamples);
+    const smoothing = Math.exp(-2 * Math.PI * 200 / this.sampleRate); // ~200Hz low-pass
+    const gustRate = 0.3 + this.random() * 0.4;                         // Gusts every 1.5-3s
+    const gustPhase = this.random() * 2 * Math.PI;
+    let lowPassed = 0;
+
+    for (let i = 0; i < numSamples; i++) {
+      const t = i / this.sampleRate;
+      lowPassed = smoothing * lowPassed + (1 - smoothing) * (this.random() * 2 - 1);
+      const gust = 0.5 + 0.5 * Math.sin(2 * Math.PI * gustRate * t + gustPhase);
+      samples[i] = amplitude * 4 * lowPassed * (0.3 + 0.7 * gust);
+    }
+
+    return samples;
+  }
+
+  /**
+   * Generate speech-like sound
+   * Characteristics: Harmonic buzz (~100-200Hz fundamental) in 4Hz syllables
+   * @param {number} duration - Duration in seconds
+   * @param {Object} params - Voice parameters
+   * @returns {Float32Array} Audio samples
+   */
+  generateVoice(duration, params = {}) {
+    const {
+      pitch = 140,           // Fundamental frequency (Hz)
+      amplitude = 0.3,       // Peak amplitude
+      syllableRate = 4,      // Syllables per second
+    } = params;
+
+    const numSamples = Math.floor(this.sampleRate * duration);
+    const samples = new Float32Array(numSamples);
+    const harmonics = [1, 0.6, 0.4, 0.25, 0.15];
+
+    for (let i = 0; i < numSamples; i++) {
+      const t = i / this.sampleRate;
+      const syllable = Math.max(0, Math.sin(Math.PI * syllableRate * t)); // Gaps between syllables
+      const vibrato = 1 + 0.02 * Math.sin(2 * Math.PI * 5 * t);
+
+      let value = 0;
+      harmonics.forEach((gain, h) => {
+        value += gain * Math.sin(2 * Math.PI * pitch * (h + 1) * vibrato * t);
+      });
+
+      samples[i] = amplitude * syllable * (value / 2.4 + 0.05 * (this.random() * 2 - 1));
+    }
+
+    return samples;
+  }
+
+  /**
+   * Generate a sustained metronome tone (like the app's tone sounds)
+   * @param {Object} params - Tone parameters
+   * @returns {Float32Array} Audio samples
+   */
+  generateTone(params = {}) {
+    const {
+      duration = 0.4,        // 400ms tone
+      frequency = 880,       // Tone frequency
+      amplitude = 0.6,       // Volume
+    } = params;
+
+    const numSamples = Math.floor(this.sampleRate * duration);
+    const samples = new Float32Array(numSamples);
+    const attackSamples = Math.max(1, Math.floor(this.sampleRate * 0.005));
+
+    for (let i = 0; i < numSamples; i++) {
+      const t = i / this.sampleRate;
+      const attack = Math.min(1, i / attackSamples);
+      const envelope = attack * Math.exp(-t * 4);
+      samples[i] = amplitude * envelope * (
+        Math.sin(2 * Math.PI * frequency * t) +
+        0.3 * Math.sin(2 * Math.PI * frequency * 2 * t)
+      );
+    }
+
+    return samples;
+  }
+
   /**
    * Add samples to an existing audio buffer at a specific time
    * @param {Float32Array} buffer - Target buffer
@@ -157,9 +270,13 @@ export class AudioSimulator {
     const {
       duration = 10,           // 10 seconds
       bpm = 80,               // Metronome BPM
-      impacts = [],           // Array of impact times in ms
+      impacts = [],           // Impact times in ms, or { time, amplitude, reboundMs, ...generatePutterImpact params }
       addNoise = true,        // Add background noise
       noiseLevel = 0.02,      // Background noise level
+      ticks = null,           // Explicit tick times in ms (default: every beat at bpm)
+      tickSound = 'tick',     // 'tick' (short click) or 'tone' (sustained tone)
+      tickAmplitude = 0.5,    // Tick/tone volume
+      ambience = [],          // Extra sounds: { type: 'wind'|'voice'|'tone', time, duration, amplitude }
     } = scenario;
 
     const numSamples = Math.floor(this.sampleRate * duration);
@@ -173,22 +290,56 @@ export class AudioSimulator {
       }
     }
     
+    // Add background sounds (not events - anything detected here is a false positive)
+    for (const sound of ambience) {
+      const soundDuration = sound.duration ?? duration;
+      let samples;
+      if (sound.type === 'wind') {
+        samples = this.generateWindNoise(soundDuration, sound.amplitude);
+      } else if (sound.type === 'voice') {
+        samples = this.generateVoice(soundDuration, sound);
+      } else {
+        samples = this.generateTone({ ...sound, duration: soundDuration });
+      }
+      this.addSamplesToBuffer(buffer, samples, sound.time || 0);
+    }
+
     // Add metronome ticks
     const tickInterval = 60000 / bpm; // ms between ticks
     const tickTimes = [];
-    for (let t = 0; t < duration * 1000; t += tickInterval) {
-      const tick = this.generateMetronomeTick();
+    if (ticks) {
+      tickTimes.push(...ticks);
+    } else {
+      for (let t = 0; t < duration * 1000; t += tickInterval) {
+        tickTimes.push(t);
+      }
+    }
+    for (const t of tickTimes) {
+      const tick = tickSound === 'tone'
+        ? this.generateTone({ amplitude: tickAmplitude })
+        : this.generateMetronomeTick({ amplitude: tickAmplitude });
       this.addSamplesToBuffer(buffer, tick, t);
-      tickTimes.push(t);
     }
     
     // Add impacts
     const impactEvents = [];
-    for (const impactTime of impacts) {
+    for (const entry of impacts) {
+      const { time: impactTime, amplitude, reboundMs, ...impactParams } = typeof entry === 'number' ? { time: entry } : entry;
       const impact = this.generatePutterImpact({
-        amplitude: 0.6 + Math.random() * 0.4, // Vary strength
+        ...impactParams,
+        amplitude: amplitude ?? (0.6 + this.random() * 0.4), // Vary strength
       });
       this.addSamplesToBuffer(buffer, impact, impactTime);
+
+      // Double strike: a weaker second contact shortly after (still one stroke)
+      if (reboundMs) {
+        const rebound = this.generatePutterImpact({
+          ...impactParams,
+          amplitude: 0.5 * (amplitude ?? 0.8),
+        });
+        this.addSamplesToBuffer(buffer, rebound, impactTime + reboundMs);
+      }
+
       impactEvents.push({
         time: impactTime,
         type: 'impact'
@@ -337,9 +488,44 @@ export class AudioSimulator {
         missed.push(expectedHit);
       }
     }
-    
+
     return missed;
   }
+
+  /**
+   * Find extra detections of an impact that was already detected
+   * (e.g. a double strike reported as two hits)
+   */
+  findDuplicateHits(expected, detected, toleranceMs = 50) {
+    const duplicates = [];
+
+    for (const expectedHit of expected) {
+      const matches = detected.filter(d =>
+        Math.abs(d.timestamp - expectedHit.time) < toleranceMs
+      );
+      duplicates.push(...matches.slice(1));
+    }
+
+    return duplicates;
+  }
+
+  /**
+   * Timing error (ms, detected - expected) of the first detection of each impact
+   */
+  measureTimingErrors(expected, detected, toleranceMs = 50) {
+    const errors = [];
+
+    for (const expectedHit of expected) {
+      const match = detected.find(d =>
+        Math.abs(d.timestamp - expectedHit.time) < toleranceMs
+      );
+      if (match) {
+        errors.push(match.timestamp - expectedHit.time);
+      }
+    }
+
+    return errors;
+  }
 }
 
 export default AudioSimulator;
\ No newline at end of file
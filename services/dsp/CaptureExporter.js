@@ -0,0 +1,61 @@
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { encodeWav } from './WavEncoder';
+import { getDeviceModelKey } from '../auth';
+
+/**
+ * CaptureExporter - Share a detector capture as a WAV + labels JSON bundle
+ *
+ * Files are written to the cache directory and offered through the share sheet
+ * one after the other (WAV first). The JSON is a replay label sidecar, so the
+ * pair drops straight into scripts/benchmark/recordings once the real strikes
+ * have been labelled.
+ */
+
+function writeCacheFile(name, content, encoding) {
+  const file = new File(Paths.cache, name);
+  file.create({ overwrite: true });
+  file.write(content, encoding ? { encoding } : {});
+  return file;
+}
+
+/**
+ * Export a capture snapshot through the share sheet
+ * @param {Object} detector - VideoSyncDetectorV2 with capture enabled
+ * @param {Object} options
+ * @param {string} options.description - Free text describing what looked wrong
+ * @returns {Promise<Object|null>} { wavUri, labelsUri } or null when nothing was captured
+ */
+export async function shareDetectorCapture(detector, { description = '' } = {}) {
+  const baseName = `puttiq-capture-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const wavName = `${baseName}.wav`;
+
+  const snapshot = detector?.getCaptureSnapshot({
+    audio: wavName,
+    description,
+    device: getDeviceModelKey(),
+  });
+  if (!snapshot) return null;
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const wavFile = writeCacheFile(wavName, encodeWav(snapshot.samples, snapshot.sampleRate));
+  const labelsFile = writeCacheFile(`${baseName}.labels.json`, JSON.stringify(snapshot.labels, null, 2), 'utf8');
+
+  await Sharing.shareAsync(wavFile.uri, {
+    mimeType: 'audio/wav',
+    UTI: 'com.microsoft.waveform-audio',
+    dialogTitle: 'Share captured audio',
+  });
+  await Sharing.shareAsync(labelsFile.uri, {
+    mimeType: 'application/json',
+    UTI: 'public.json',
+    dialogTitle: 'Share detector labels',
+  });
+
+  return { wavUri: wavFile.uri, labelsUri: labelsFile.uri };
+}
+
+export default shareDetectorCapture;
@@ -0,0 +1,275 @@
+/**
+ * Multi-band onset detection
+ *
+ * The band-split pipeline behind PutterDetectorAcoustic, shared with Listen Mode's
+ * multi-band strike classifier. Each frame is split into a high band (2.5-8kHz
+ * click/ting) and a low band (120-300Hz thump); smoothed RMS envelopes are tracked
+ * against MultiBandThreshold baselines. An event starts on a sharp high-band rise
+ * above threshold and ends once the high band has decayed 20dB from its peak (or
+ * back below threshold, for strikes that barely cleared it), or at maxDurationMs.
+ * PutterDetectorAcoustic's original rule (back under half the threshold) is kept
+ * as the 'threshold' eventEndRule.
+ */
+
+import { BiquadFilter, FilterChain } from './BiquadFilter';
+import { MultiBandThreshold } from './AdaptiveThreshold';
+
+// Event ends when the high-band envelope falls to this fraction of its peak (-20dB).
+// A fixed fraction of the threshold never triggers in steady noise: the noise
+// floor (median) sits above any fraction of median + k·MAD.
+const EVENT_END_PEAK_RATIO = 0.1;
+
+// Legacy end rule: high band back under this fraction of the threshold
+const EVENT_END_THRESHOLD_RATIO = 0.5;
+
+export const EVENT_END_RULES = { PEAK: 'peak', THRESHOLD: 'threshold' };
+
+export class MultiBandOnset {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Audio sample rate (Hz)
+   * @param {number} options.frameLength - Samples per frame
+   * @param {number} options.onsetTimeMs - Maximum rise time for onset (ms)
+   * @param {number} options.maxDurationMs - Maximum event duration (ms)
+   * @param {number} options.baselineWindow - Frames to track for baseline
+   * @param {number} options.highBandMultiplier - Sensitivity for high-band (2.5-8kHz)
+   * @param {number} options.lowBandMultiplier - Sensitivity for low-band (120-300Hz)
+   * @param {boolean} options.requireLowBand - Require low-band confirmation
+   * @param {string} options.eventEndRule - 'peak' (decay from the event peak) or 'threshold' (legacy)
+   */
+  constructor(options = {}) {
+    this.opts = {
+      sampleRate: 44100,
+      frameLength: 256,
+      onsetTimeMs: 20,
+      maxDurationMs: 150,
+      baselineWindow: 100,
+      highBandMultiplier: 4.0,
+      lowBandMultiplier: 3.5,
+      requireLowBand: true,
+      eventEndRule: EVENT_END_RULES.PEAK,
+      ...options
+    };
+
+    this.initFilters();
+
+    this.threshold = new MultiBandThreshold({
+      windowSize: this.opts.baselineWindow,
+      highBandMultiplier: this.opts.highBandMultiplier,
+      lowBandMultiplier: this.opts.lowBandMultiplier
+    });
+
+    this.resetState();
+  }
+
+  /**
+   * Initialize filter chains for multi-band analysis
+   */
+  initFilters() {
+    const sr = this.opts.sampleRate;
+
+    // High-pass filter @ 300Hz to remove rumble/wind
+    const hpf = new BiquadFilter();
+    hpf.setHighPass(sr, 300, 0.707);
+
+    // High-band filter: 2.5-8kHz (putter click/ting)
+    const highBand1 = new BiquadFilter();
+    const highBand2 = new BiquadFilter();
+    highBand1.setBandPass(sr, 5000, 1.5);  // Center at 5kHz, Q=1.5 for ~3.3kHz bandwidth
+    highBand2.setBandPass(sr, 5000, 1.5);  // Second stage for steeper rolloff
+
+    // Low-band filter: 120-300Hz (thump/coupling)
+    const lowBand1 = new BiquadFilter();
+    const lowBand2 = new BiquadFilter();
+    lowBand1.setBandPass(sr, 200, 1.2);   // Center at 200Hz, Q=1.2 for ~167Hz bandwidth
+    lowBand2.setBandPass(sr, 200, 1.2);   // Second stage
+
+    // Build filter chains
+    this.highChain = new FilterChain()
+      .addFilter(hpf)
+      .addFilter(highBand1)
+      .addFilter(highBand2);
+
+    this.lowChain = new FilterChain()
+      .addFilter(lowBand1)
+      .addFilter(lowBand2);
+  }
+
+  resetState() {
+    this.highBandEnvelope = 0;
+    this.lowBandEnvelope = 0;
+    this.prevHighEnvelope = 0;
+    this.prevLowEnvelope = 0;
+    this.inEvent = false;
+    this.eventStartTime = null;
+    this.eventPeakHigh = 0;
+    this.eventPeakLow = 0;
+  }
+
+  /**
+   * Reset thresholds and envelopes (filters keep their state)
+   */
+  reset() {
+    this.threshold.reset();
+    this.resetState();
+  }
+
+  /**
+   * Calculate RMS (Root Mean Square) of a signal buffer
+   * @param {Float32Array} buffer - Signal buffer
+   * @returns {number} RMS value
+   */
+  calculateRMS(buffer) {
+    let sum = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      sum += buffer[i] * buffer[i];
+    }
+    return Math.sqrt(sum / buffer.length);
+  }
+
+  /**
+   * Process a single audio frame
+   * Thresholds keep adapting while detection is gated; an event already in
+   * progress is still tracked to its end.
+   * @param {Float32Array} frame - Audio samples (frameLength size)
+   * @param {number} now - Timestamp of the frame (ms)
+   * @param {boolean} canDetect - Whether a new event may start
+   * @returns {Object|null} Finished event { startTime, endTime, duration, peakHigh, peakLow }
+   */
+  processFrame(frame, now, canDetect = true) {
+    // Apply filters
+    const highFiltered = new Float32Array(frame.length);
+    const lowFiltered = new Float32Array(frame.length);
+
+    this.highChain.processBlock(frame, highFiltered);
+    this.lowChain.processBlock(frame, lowFiltered);
+
+    // Calculate RMS envelopes (energy in each band)
+    const highRMS = this.calculateRMS(highFiltered);
+    const lowRMS = this.calculateRMS(lowFiltered);
+
+    // Smooth envelopes (simple 1-pole LPF with ~5ms time constant)
+    const smoothing = 0.3;
+    this.highBandEnvelope = smoothing * highRMS + (1 - smoothing) * this.highBandEnvelope;
+    this.lowBandEnvelope = smoothing * lowRMS + (1 - smoothing) * this.lowBandEnvelope;
+
+    // Snapshot thresholds before update for spike clamping
+    const preHighThreshold = this.threshold.highBand.getThreshold();
+    const preLowThreshold = this.threshold.lowBand.getThreshold();
+    const preThresholdsReady = preHighThreshold !== Number.MAX_VALUE && preLowThreshold !== Number.MAX_VALUE;
+
+    // Update adaptive thresholds (freeze while an event is active)
+    if (!this.inEvent) {
+      const limitedHigh = preThresholdsReady ? Math.min(this.highBandEnvelope, preHighThreshold) : this.highBandEnvelope;
+      const limitedLow = preThresholdsReady ? Math.min(this.lowBandEnvelope, preLowThreshold) : this.lowBandEnvelope;
+      this.threshold.update(limitedHigh, limitedLow);
+    }
+
+    if (!canDetect && !this.inEvent) {
+      // No active event: skip detection for this frame
+      this.prevHighEnvelope = this.highBandEnvelope;
+      this.prevLowEnvelope = this.lowBandEnvelope;
+      return null;
+    }
+
+    const highThreshold = this.threshold.highBand.getThreshold();
+    const lowThreshold = this.threshold.lowBand.getThreshold();
+    const thresholdsReady = highThreshold !== Number.MAX_VALUE && lowThreshold !== Number.MAX_VALUE;
+
+    // Detect onset (sharp rise in high-band energy)
+    const highDelta = this.highBandEnvelope - this.prevHighEnvelope;
+    const frameTimeMs = (this.opts.frameLength / this.opts.sampleRate) * 1000;
+    const riseRate = highDelta / frameTimeMs; // Change per ms
+
+    // Check for event start (onset)
+    if (!this.inEvent && canDetect && thresholdsReady && this.highBandEnvelope > highThreshold) {
+      const onsetTime = riseRate * this.opts.onsetTimeMs;
+
+      if (onsetTime > 0 && this.highBandEnvelope > this.prevHighEnvelope * 2.0) {
+        // Strong, fast rise - likely a transient event
+        this.inEvent = true;
+        this.eventStartTime = now;
+        this.eventPeakHigh = this.highBandEnvelope;
+        this.eventPeakLow = this.lowBandEnvelope;
+      }
+    }
+
+    let finished = null;
+
+    // Track event if in progress
+    if (this.inEvent) {
+      this.eventPeakHigh = Math.max(this.eventPeakHigh, this.highBandEnvelope);
+      this.eventPeakLow = Math.max(this.eventPeakLow, this.lowBandEnvelope);
+
+      const eventDuration = now - this.eventStartTime;
+
+      // Check for event end (energy decayed from its peak, or back under threshold)
+      const currentHighThreshold = this.threshold.highBand.getThreshold();
+      const endLevel = this.opts.eventEndRule === EVENT_END_RULES.THRESHOLD
+        ? currentHighThreshold * EVENT_END_THRESHOLD_RATIO
+        : Math.max(currentHighThreshold, this.eventPeakHigh * EVENT_END_PEAK_RATIO);
+      const eventEnded = currentHighThreshold !== Number.MAX_VALUE
+        ? this.highBandEnvelope < endLevel
+        : false;
+      const maxDurationReached = eventDuration > this.opts.maxDurationMs;
+
+      if (eventEnded || maxDurationReached) {
+        finished = {
+          startTime: this.eventStartTime,
+          endTime: now,
+          duration: eventDuration,
+          peakHigh: this.eventPeakHigh,
+          peakLow: this.eventPeakLow
+        };
+
+        this.inEvent = false;
+        this.eventStartTime = null;
+        this.eventPeakHigh = 0;
+        this.eventPeakLow = 0;
+      }
+    }
+
+    // Store previous envelopes for delta calculation
+    this.prevHighEnvelope = this.highBandEnvelope;
+    this.prevLowEnvelope = this.lowBandEnvelope;
+
+    return finished;
+  }
+
+  /**
+   * Shape checks for a finished event: short, and corroborated by the low band
+   * (putter has both high click and low thump)
+   * @param {Object} event - Event from processFrame
+   * @returns {string|null} Rejection reason, or null if it looks like a strike
+   */
+  getRejectReason(event) {
+    if (event.duration > this.opts.maxDurationMs) {
+      return `Too long (${event.duration.toFixed(0)}ms > ${this.opts.maxDurationMs}ms)`;
+    }
+
+    if (this.opts.requireLowBand && !this.threshold.lowBand.isAboveThreshold(event.peakLow)) {
+      return 'No low-band corroboration';
+    }
+
+    return null;
+  }
+
+  /**
+   * Calculate quality score for a strike
+   * @param {Object} event - Event from processFrame
+   * @returns {number} Quality score (0-1)
+   */
+  calculateQuality(event) {
+    // Quality based on duration (shorter = better for putter)
+    const durationScore = Math.max(0, 1 - (event.duration / this.opts.maxDurationMs));
+
+    // Quality based on high/low band ratio (putter has strong high-band)
+    const bandRatio = event.peakHigh / (event.peakLow + 0.0001);
+    const ratioScore = Math.min(1, bandRatio / 5); // Putter typically has 3-5x ratio
+
+    // Combined quality
+    return (durationScore * 0.6 + ratioScore * 0.4);
+  }
+}
+
+export default MultiBandOnset;
@@ -0,0 +1,131 @@
+/**
+ * OnsetRefiner - Sample-accurate onset localisation
+ * Pure functions so they run the same in the app and in Node scripts.
+ *
+ * Detectors see audio a chunk at a time, so a spike is only known to lie
+ * somewhere in the chunk that crossed the threshold (or the one before it, when
+ * the hold needs two chunks). The onset is where short-term energy jumps the
+ * most: the sample that maximises energy(after) / energy(before) over a few
+ * milliseconds either side, searched up to the loudest point of the buffer.
+ */
+
+// Energy window either side of a candidate onset
+const DEFAULT_WINDOW_MS = 5;
+
+// Floor for the "before" energy, relative to the loudest window, so near-silence
+// ahead of the strike can't produce huge ratios out of rounding noise
+const PRE_ENERGY_FLOOR = 1e-3;
+
+/**
+ * Find the onset sample in a buffer containing one transient
+ * @param {Float32Array|Int16Array} samples - Audio samples (any scale)
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {Object} [options]
+ * @param {number} [options.windowMs=5] - Energy window either side of the onset
+ * @returns {number|null} Sample index of the onset, or null if the buffer is too
+ *   short or silent
+ */
+export function findOnsetIndex(samples, sampleRate, { windowMs = DEFAULT_WINDOW_MS } = {}) {
+  const window = Math.max(1, Math.round((windowMs / 1000) * sampleRate));
+  if (!samples || samples.length < window * 2) return null;
+
+  // Prefix sums of squared first differences: energy of any span in O(1).
+  // Differencing (pre-emphasis) favours the strike's click over wind and voice.
+  const cumulative = new Float64Array(samples.length + 1);
+  for (let i = 0; i < samples.length; i++) {
+    const diff = i > 0 ? samples[i] - samples[i - 1] : 0;
+    cumulative[i + 1] = cumulative[i] + diff * diff;
+  }
+  const energy = (start, end) => cumulative[end] - cumulative[start];
+
+  // Loudest window bounds the search: the onset can't come after the peak
+  let peakStart = 0;
+  let peakEnergy = 0;
+  for (let start = 0; start + window <= samples.length; start++) {
+    const e = energy(start, start + window);
+    if (e > peakEnergy) {
+      peakEnergy = e;
+      peakStart = start;
+    }
+  }
+  if (peakEnergy === 0) return null;
+
+  const floor = peakEnergy * PRE_ENERGY_FLOOR;
+  const lastCandidate = Math.min(peakStart + window, samples.length - window);
+  let onset = null;
+  let bestRatio = 0;
+
+  for (let i = window; i <= lastCandidate; i++) {
+    const ratio = energy(i, i + window) / (energy(i - window, i) + floor);
+    if (ratio > bestRatio) {
+      bestRatio = ratio;
+      onset = i;
+    }
+  }
+
+  // Transient right at the start of the buffer: no "before" window to compare
+  return onset ?? 0;
+}
+
+/**
+ * Find a second contact in audio that starts at a strike's onset
+ * A rebound shows up as a fresh jump in (pre-emphasised) energy while the first
+ * contact is still ringing down; ringing alone only decays.
+ * @param {Float32Array|Int16Array} samples - Audio from the first onset onwards
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {Object} [options]
+ * @param {number} [options.windowMs=3] - Energy window either side of a candidate
+ * @param {number} [options.skipMs=10] - Ignore the first contact's own attack
+ * @param {number} [options.minRatio=2.5] - Energy jump needed (after / before)
+ * @param {number} [options.minLevel=0.05] - Second contact energy relative to the first
+ * @returns {number|null} Offset of the second onset (ms), or null if there is none
+ */
+export function findSecondOnset(samples, sampleRate, {
+  windowMs = 3,
+  skipMs = 10,
+  minRatio = 2.5,
+  minLevel = 0.05,
+} = {}) {
+  const window = Math.max(1, Math.round((windowMs / 1000) * sampleRate));
+  const skip = Math.max(window, Math.round((skipMs / 1000) * sampleRate));
+  if (!samples || samples.length < skip + window) return null;
+
+  const cumulative = new Float64Array(samples.length + 1);
+  for (let i = 0; i < samples.length; i++) {
+    const diff = i > 0 ? samples[i] - samples[i - 1] : 0;
+    cumulative[i + 1] = cumulative[i] + diff * diff;
+  }
+  const energy = (start, end) => cumulative[end] - cumulative[start];
+
+  // Loudest window of the first contact (its attack, before skipMs)
+  let firstPeak = 0;
+  for (let start = 0; start + window <= Math.min(skip + window, samples.length); start++) {
+    firstPeak = Math.max(firstPeak, energy(start, start + window));
+  }
+  if (firstPeak === 0) return null;
+
+  const floor = firstPeak * PRE_ENERGY_FLOOR;
+  for (let i = skip; i + window <= samples.length; i++) {
+    const after = energy(i, i + window);
+    if (after >= firstPeak * minLevel && after / (energy(i - window, i) + floor) >= minRatio) {
+      return (i / sampleRate) * 1000;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Time of the onset in a buffer whose last sample arrived at endTimestamp
+ * @param {Float32Array|Int16Array} samples - Audio samples
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {number} endTimestamp - Time (ms) at the end of the buffer
+ * @param {Object} [options] - See findOnsetIndex
+ * @returns {number|null} Onset time (ms), or null if none was found
+ */
+export function findOnsetTime(samples, sampleRate, endTimestamp, options) {
+  const index = findOnsetIndex(samples, sampleRate, options);
+  if (index === null) return null;
+
+  return endTimestamp - ((samples.length - index) / sampleRate) * 1000;
+}
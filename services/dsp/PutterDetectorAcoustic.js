@@ -12,8 +12,7 @@
  * - Decay: <150ms for high band
  */
 
-import { BiquadFilter, FilterChain } from './BiquadFilter';
-import { MultiBandThreshold } from './AdaptiveThreshold';
+import { MultiBandOnset } from './MultiBandOnset';
 
 // Import ExpoPlayAudioStream for microphone access
 let ExpoPlayAudioStream = null;
@@ -45,6 +44,7 @@ export class PutterDetectorAcoustic {
       baselineWindow: 100,      // Frames to track for baseline (~1 second)
       highBandMultiplier: 4.0,  // Sensitivity for high-band (2.5-8kHz)
       lowBandMultiplier: 3.5,   // Sensitivity for low-band (120-300Hz)
+      eventEndRule: 'peak',     // MultiBandOnset event end ('threshold' = this detector's original rule)
 
       // Corroboration settings
       requireLowBand: true,     // Require low-band confirmation
@@ -70,33 +70,25 @@ export class PutterDetectorAcoustic {
       ...options
     };
 
-    // Initialize filter chains
-    this.initFilters();
-
-    // Initialize adaptive thresholds
-    this.threshold = new MultiBandThreshold({
-      windowSize: this.opts.baselineWindow,
+    // Band-split filters, envelopes and adaptive thresholds
+    this.onset = new MultiBandOnset({
+      sampleRate: this.opts.sampleRate,
+      frameLength: this.opts.frameLength,
+      onsetTimeMs: this.opts.onsetTimeMs,
+      maxDurationMs: this.opts.maxDurationMs,
+      baselineWindow: this.opts.baselineWindow,
       highBandMultiplier: this.opts.highBandMultiplier,
-      lowBandMultiplier: this.opts.lowBandMultiplier
+      lowBandMultiplier: this.opts.lowBandMultiplier,
+      requireLowBand: this.opts.requireLowBand,
+      eventEndRule: this.opts.eventEndRule
     });
+    this.threshold = this.onset.threshold;
 
     // State tracking
     this.isRunning = false;
     this.lastStrikeAt = 0;
     this.strikeCount = 0;
 
-    // Onset detection state
-    this.highBandEnvelope = 0;
-    this.lowBandEnvelope = 0;
-    this.prevHighEnvelope = 0;
-    this.prevLowEnvelope = 0;
-
-    // Event tracking
-    this.eventStartTime = null;
-    this.eventPeakHigh = 0;
-    this.eventPeakLow = 0;
-    this.inEvent = false;
-
     // Performance tracking
     this.frameCount = 0;
     this.processingTimeTotal = 0;
@@ -109,52 +101,6 @@ export class PutterDetectorAcoustic {
     this.lastGateReason = '';
   }
 
-  /**
-   * Initialize filter chains for multi-band analysis
-   */
-  initFilters() {
-    const sr = this.opts.sampleRate;
-
-    // High-pass filter @ 300Hz to remove rumble/wind
-    const hpf = new BiquadFilter();
-    hpf.setHighPass(sr, 300, 0.707);
-
-    // High-band filter: 2.5-8kHz (putter click/ting)
-    const highBand1 = new BiquadFilter();
-    const highBand2 = new BiquadFilter();
-    highBand1.setBandPass(sr, 5000, 1.5);  // Center at 5kHz, Q=1.5 for ~3.3kHz bandwidth
-    highBand2.setBandPass(sr, 5000, 1.5);  // Second stage for steeper rolloff
-
-    // Low-band filter: 120-300Hz (thump/coupling)
-    const lowBand1 = new BiquadFilter();
-    const lowBand2 = new BiquadFilter();
-    lowBand1.setBandPass(sr, 200, 1.2);   // Center at 200Hz, Q=1.2 for ~167Hz bandwidth
-    lowBand2.setBandPass(sr, 200, 1.2);   // Second stage
-
-    // Build filter chains
-    this.highChain = new FilterChain()
-      .addFilter(hpf)
-      .addFilter(highBand1)
-      .addFilter(highBand2);
-
-    this.lowChain = new FilterChain()
-      .addFilter(lowBand1)
-      .addFilter(lowBand2);
-  }
-
-  /**
-   * Calculate RMS (Root Mean Square) of a signal buffer
-   * @param {Float32Array} buffer - Signal buffer
-   * @returns {number} RMS value
-   */
-  calculateRMS(buffer) {
-    let sum = 0;
-    for (let i = 0; i < buffer.length; i++) {
-      sum += buffer[i] * buffer[i];
-    }
-    return Math.sqrt(sum / buffer.length);
-  }
-
   /**
    * Process a single audio frame
    * @param {Float32Array} frame - Audio samples (frameLength size)
@@ -165,38 +111,6 @@ export class PutterDetectorAcoustic {
     const frameStart = performance.now();
     const now = frameStart;
 
-    // Apply filters
-    const highFiltered = new Float32Array(frame.length);
-    const lowFiltered = new Float32Array(frame.length);
-
-    this.highChain.processBlock(frame, highFiltered);
-    this.lowChain.processBlock(frame, lowFiltered);
-
-    // Calculate RMS envelopes (energy in each band)
-    const highRMS = this.calculateRMS(highFiltered);
-    const lowRMS = this.calculateRMS(lowFiltered);
-
-    // Smooth envelopes (simple 1-pole LPF with ~5ms time constant)
-    const smoothing = 0.3;
-    this.highBandEnvelope = smoothing * highRMS + (1 - smoothing) * this.highBandEnvelope;
-    this.lowBandEnvelope = smoothing * lowRMS + (1 - smoothing) * this.lowBandEnvelope;
-
-    // Snapshot thresholds before update for spike clamping
-    const preHighThreshold = this.threshold.highBand.getThreshold();
-    const preLowThreshold = this.threshold.lowBand.getThreshold();
-    const preThresholdsReady = preHighThreshold !== Number.MAX_VALUE && preLowThreshold !== Number.MAX_VALUE;
-
-    // Update adaptive thresholds (freeze while an event is active)
-    if (!this.inEvent) {
-      const limitedHigh = preThresholdsReady ? Math.min(this.highBandEnvelope, preHighThreshold) : this.highBandEnvelope;
-      const limitedLow = preThresholdsReady ? Math.min(this.lowBandEnvelope, preLowThreshold) : this.lowBandEnvelope;
-      this.threshold.update(limitedHigh, limitedLow);
-    }
-
-    const highThreshold = this.threshold.highBand.getThreshold();
-    const lowThreshold = this.threshold.lowBand.getThreshold();
-    const thresholdsReady = highThreshold !== Number.MAX_VALUE && lowThreshold !== Number.MAX_VALUE;
-
     // Listening zone gating
     const zoneStatus = this.getListeningZoneStatus(now);
     if (this.opts.useListeningZone) {
@@ -219,15 +133,6 @@ export class PutterDetectorAcoustic {
       }
 
       this.lastGateReason = gate.reason;
-
-      if (!this.inEvent) {
-        // No active event: skip detection for this frame
-        this.prevHighEnvelope = this.highBandEnvelope;
-        this.prevLowEnvelope = this.lowBandEnvelope;
-        this.frameCount++;
-        this.processingTimeTotal += performance.now() - frameStart;
-        return;
-      }
     } else if (this.lastGateReason && gate.canDetect) {
       if (this.opts.debugMode) {
         console.log('✅ Detection re-enabled');
@@ -235,60 +140,19 @@ export class PutterDetectorAcoustic {
       this.lastGateReason = '';
     }
 
-    // Detect onset (sharp rise in high-band energy)
-    const highDelta = this.highBandEnvelope - this.prevHighEnvelope;
-    const frameTimeMs = (this.opts.frameLength / this.opts.sampleRate) * 1000;
-    const riseRate = highDelta / frameTimeMs; // Change per ms
+    // Band-split onset tracking (thresholds keep adapting while gated)
+    const wasInEvent = this.onset.inEvent;
+    const event = this.onset.processFrame(frame, now, gate.canDetect);
 
-    // Check for event start (onset)
-    if (!this.inEvent && gate.canDetect && thresholdsReady && this.highBandEnvelope > highThreshold) {
-      // Sharp onset detected
-      const onsetTime = riseRate * this.opts.onsetTimeMs;
-
-      if (onsetTime > 0 && this.highBandEnvelope > this.prevHighEnvelope * 2.0) {
-        // Strong, fast rise - likely a transient event
-        this.inEvent = true;
-        this.eventStartTime = now;
-        this.eventPeakHigh = this.highBandEnvelope;
-        this.eventPeakLow = this.lowBandEnvelope;
-
-        if (this.opts.debugMode) {
-          console.log(`🔔 Event START - High: ${this.highBandEnvelope.toFixed(6)}, Rate: ${riseRate.toFixed(6)}`);
-        }
-      }
+    if (this.opts.debugMode && !wasInEvent && this.onset.inEvent) {
+      console.log(`🔔 Event START - High: ${this.onset.highBandEnvelope.toFixed(6)}`);
     }
 
-    // Track event if in progress
-    if (this.inEvent) {
-      // Update peak values
-      this.eventPeakHigh = Math.max(this.eventPeakHigh, this.highBandEnvelope);
-      this.eventPeakLow = Math.max(this.eventPeakLow, this.lowBandEnvelope);
-
-      const eventDuration = now - this.eventStartTime;
-
-      // Check for event end (energy drops below threshold)
-      const currentHighThreshold = this.threshold.highBand.getThreshold();
-      const eventEnded = currentHighThreshold !== Number.MAX_VALUE
-        ? this.highBandEnvelope < currentHighThreshold * 0.5
-        : false;
-      const maxDurationReached = eventDuration > this.opts.maxDurationMs;
-
-      if (eventEnded || maxDurationReached) {
-        // Event finished - evaluate if it's a putter strike
-        this.evaluateEvent(now, eventDuration);
-
-        // Reset event state
-        this.inEvent = false;
-        this.eventStartTime = null;
-        this.eventPeakHigh = 0;
-        this.eventPeakLow = 0;
-      }
+    if (event) {
+      // Event finished - evaluate if it's a putter strike
+      this.evaluateEvent(now, event);
     }
 
-    // Store previous envelopes for delta calculation
-    this.prevHighEnvelope = this.highBandEnvelope;
-    this.prevLowEnvelope = this.lowBandEnvelope;
-
     // Update frame count and timing
     this.frameCount++;
     this.processingTimeTotal += performance.now() - frameStart;
@@ -300,7 +164,7 @@ export class PutterDetectorAcoustic {
       const lowThreshLog = this.threshold.lowBand.getThreshold();
       const hiDisplay = hiThreshLog !== Number.MAX_VALUE ? hiThreshLog.toFixed(6) : '∞';
       const lowDisplay = lowThreshLog !== Number.MAX_VALUE ? lowThreshLog.toFixed(6) : '∞';
-      console.log(`📊 [${uptime}s] Frames: ${this.frameCount}, High: ${this.highBandEnvelope.toFixed(6)}, Low: ${this.lowBandEnvelope.toFixed(6)}, Thresh: ${hiDisplay}/${lowDisplay}`);
+      console.log(`📊 [${uptime}s] Frames: ${this.frameCount}, High: ${this.onset.highBandEnvelope.toFixed(6)}, Low: ${this.onset.lowBandEnvelope.toFixed(6)}, Thresh: ${hiDisplay}/${lowDisplay}`);
       this.lastStatsTime = now;
     }
   }
@@ -308,9 +172,9 @@ export class PutterDetectorAcoustic {
   /**
    * Evaluate if detected event is a valid putter strike
    * @param {number} now - Current timestamp
-   * @param {number} duration - Event duration in ms
+   * @param {Object} event - Finished event from MultiBandOnset.processFrame
    */
-  evaluateEvent(now, duration) {
+  evaluateEvent(now, event) {
     // Check debounce (minimum time since last strike)
     const timeSinceLastStrike = now - this.lastStrikeAt;
     if (timeSinceLastStrike < this.opts.debounceMs) {
@@ -318,22 +182,13 @@ export class PutterDetectorAcoustic {
       return;
     }
 
-    // Check duration (reject long events like voice/wind)
-    if (duration > this.opts.maxDurationMs) {
-      console.log(`⏭️ Event REJECTED - Too long (${duration.toFixed(0)}ms > ${this.opts.maxDurationMs}ms)`);
+    // Check duration (voice/wind) and low-band corroboration
+    const rejectReason = this.onset.getRejectReason(event);
+    if (rejectReason) {
+      console.log(`⏭️ Event REJECTED - ${rejectReason}`);
       return;
     }
 
-    // Check low-band corroboration (putter has both high click and low thump)
-    if (this.opts.requireLowBand) {
-      const lowBandPresent = this.threshold.lowBand.isAboveThreshold(this.eventPeakLow);
-
-      if (!lowBandPresent) {
-        console.log(`⏭️ Event REJECTED - No low-band corroboration`);
-        return;
-      }
-    }
-
     // Check metronome tick guard (ignore events near metronome ticks)
     if (this.isNearMetronomeTick(now)) {
       console.log(`⏭️ Event REJECTED - Near metronome tick`);
@@ -341,7 +196,7 @@ export class PutterDetectorAcoustic {
     }
 
     // Calculate quality metrics
-    const quality = this.calculateQuality(duration);
+    const quality = this.onset.calculateQuality(event);
 
     // Valid putter strike detected!
     this.lastStrikeAt = now;
@@ -349,9 +204,9 @@ export class PutterDetectorAcoustic {
 
     const strikeEvent = {
       timestamp: now,
-      energy: this.eventPeakHigh,
-      lowBandEnergy: this.eventPeakLow,
-      duration,
+      energy: event.peakHigh,
+      lowBandEnergy: event.peakLow,
+      duration: event.duration,
       quality,
       strikeNumber: this.strikeCount
     };
@@ -360,7 +215,7 @@ export class PutterDetectorAcoustic {
       console.log(`✅ PUTTER STRIKE #${this.strikeCount}`, {
         energy: strikeEvent.energy.toFixed(6),
         lowEnergy: strikeEvent.lowBandEnergy.toFixed(6),
-        duration: duration.toFixed(1) + 'ms',
+        duration: event.duration.toFixed(1) + 'ms',
         quality: quality.toFixed(2)
       });
     }
@@ -369,22 +224,6 @@ export class PutterDetectorAcoustic {
     this.opts.onStrike(strikeEvent);
   }
 
-  /**
-   * Calculate quality score for detected strike
-   * @param {number} duration - Event duration in ms
-   * @returns {number} Quality score (0-1)
-   */
-  calculateQuality(duration) {
-    // Quality based on duration (shorter = better for putter)
-    const durationScore = Math.max(0, 1 - (duration / this.opts.maxDurationMs));
-
-    // Quality based on high/low band ratio (putter has strong high-band)
-    const bandRatio = this.eventPeakHigh / (this.eventPeakLow + 0.0001);
-    const ratioScore = Math.min(1, bandRatio / 5); // Putter typically has 3-5x ratio
-
-    // Combined quality
-    return (durationScore * 0.6 + ratioScore * 0.4);
-  }
   /**
    * Convert base64 string to Int16Array
    * @param {string} base64 - Base64 encoded audio data
@@ -591,15 +430,11 @@ export class PutterDetectorAcoustic {
     this.processingTimeTotal = 0;
     this.lastStrikeAt = 0;
     this.lastStatsTime = 0;
-    this.threshold.reset();
+    this.onset.reset();
     const now = performance.now();
     this.detectingDisabledUntil = now + (this.opts.baselineSettleMs || 0);
     this.lastBaselineResetAt = now;
     this.wasInZone = false;
-    this.inEvent = false;
-    this.eventStartTime = null;
-    this.eventPeakHigh = 0;
-    this.eventPeakLow = 0;
 
     console.log('🎯 Acoustic detector starting...', {
       sampleRate: this.opts.sampleRate + 'Hz',
@@ -660,6 +495,13 @@ export class PutterDetectorAcoustic {
     Object.assign(this.opts, params);
 
     // Update threshold sensitivity if changed
+    // Onset shape settings live on the shared band-split pipeline
+    ['onsetTimeMs', 'maxDurationMs', 'requireLowBand'].forEach(key => {
+      if (params[key] !== undefined) {
+        this.onset.opts[key] = params[key];
+      }
+    });
+
     if (params.highBandMultiplier !== undefined) {
       this.threshold.highBand.setMultiplier(params.highBandMultiplier);
     }
@@ -700,8 +542,8 @@ export class PutterDetectorAcoustic {
       frameCount: this.frameCount,
       avgProcessingTimeMs: avgProcessingTime.toFixed(3),
       currentEnvelope: {
-        high: this.highBandEnvelope.toFixed(6),
-        low: this.lowBandEnvelope.toFixed(6)
+        high: this.onset.highBandEnvelope.toFixed(6),
+        low: this.onset.lowBandEnvelope.toFixed(6)
       },
       thresholds: this.threshold.getStats(),
       lastStrikeAt: this.lastStrikeAt
@@ -712,17 +554,9 @@ export class PutterDetectorAcoustic {
    * Reset detector state
    */
   reset() {
-    this.threshold.reset();
+    this.onset.reset();
     this.lastStrikeAt = 0;
     this.strikeCount = 0;
-    this.highBandEnvelope = 0;
-    this.lowBandEnvelope = 0;
-    this.prevHighEnvelope = 0;
-    this.prevLowEnvelope = 0;
-    this.inEvent = false;
-    this.eventStartTime = null;
-    this.eventPeakHigh = 0;
-    this.eventPeakLow = 0;
     this.wasInZone = false;
     this.lastGateReason = '';
     const now = performance.now();
@@ -492,7 +492,7 @@ export class PutterDetectorExpo {
       }
       
       // Compute spectrum
-      const spectrum = spectralAnalysis.computeSpectrum(concatenated);
+      const spectrum = spectralAnalysis.computeSpectrum(concatenated, this.opts.sampleRate);
       return spectrum;
     } catch (error) {
       console.error('Failed to compute spectrum:', error);
@@ -1,8 +1,23 @@
 /**
  * SpectralAnalysis - FFT and spectral template matching for sound profiles
  * Used for creating and comparing audio fingerprints
+ *
+ * Templates live on one frequency axis whatever produced them: 128 log-magnitude
+ * bands 62.5Hz apart (0-8kHz, the 256-sample FFT at 16kHz). Audio at another
+ * rate is resampled before analysis, and templates stored with another layout
+ * are converted on load (toProfileAxis), so a profile calibrated through one
+ * pipeline matches live audio from another bin for bin.
  */
 
+import { resample } from './WavDecoder';
+
+// Profile frequency axis: band i is centred on i * PROFILE_BAND_HZ
+export const PROFILE_SAMPLE_RATE = 16000;
+export const PROFILE_FRAME_SIZE = 256;
+export const PROFILE_BAND_HZ = PROFILE_SAMPLE_RATE / PROFILE_FRAME_SIZE;
+export const PROFILE_BAND_COUNT = 128;
+export const PROFILE_FREQUENCY_AXIS = 'linear-62.5hz-128';
+
 /**
  * Fast Fourier Transform implementation
  * Based on Cooley-Tukey radix-2 algorithm
@@ -101,7 +116,7 @@ export class FFT {
  * SpectralAnalysis class for audio fingerprinting
  */
 export class SpectralAnalysis {
-  constructor(frameSize = 256, sampleRate = 16000) {
+  constructor(frameSize = PROFILE_FRAME_SIZE, sampleRate = PROFILE_SAMPLE_RATE) {
     this.frameSize = frameSize;
     this.sampleRate = sampleRate;
     this.fft = new FFT(frameSize);
@@ -128,10 +143,11 @@ export class SpectralAnalysis {
 
   /**
    * Compute log-magnitude spectrum
-   * @param {Float32Array|Int16Array} samples - Audio samples
-   * @returns {Float32Array} Log-magnitude spectrum (128 bins)
+   * @param {Float32Array|Int16Array} samples - Audio samples (the first frame is analysed)
+   * @param {number} [sampleRate] - Rate of the samples (default: the analysis rate)
+   * @returns {Float32Array} Log-magnitude spectrum on the profile axis (128 bands)
    */
-  computeSpectrum(samples) {
+  computeSpectrum(samples, sampleRate = this.sampleRate) {
     // Convert to Float32 if needed
     let floatSamples;
     if (samples instanceof Int16Array) {
@@ -142,6 +158,13 @@ export class SpectralAnalysis {
     } else {
       floatSamples = samples;
     }
+
+    // Bring other rates to the analysis rate (zero-padded if that leaves a short frame)
+    if (sampleRate !== this.sampleRate) {
+      const resampled = resample(floatSamples, sampleRate, this.sampleRate);
+      floatSamples = new Float32Array(Math.max(this.frameSize, resampled.length));
+      floatSamples.set(resampled);
+    }
     
     // Apply window
     const windowed = this.applyWindow(floatSamples);
@@ -157,13 +180,75 @@ export class SpectralAnalysis {
     const magnitude = this.fft.getMagnitude(real, imag);
     
     // Convert to log scale and normalize
-    const logMag = new Float32Array(128); // Use 128 bins for template
-    for (let i = 0; i < 128; i++) {
+    const bins = Math.min(PROFILE_BAND_COUNT, magnitude.length);
+    const logMag = new Float32Array(bins); // Use 128 bins for template
+    for (let i = 0; i < bins; i++) {
       logMag[i] = Math.log10(magnitude[i] + 1e-10); // Add small value to avoid log(0)
     }
     
-    // L2 normalize
-    return this.normalize(logMag);
+    // L2 normalize (and move to the profile axis if this analyser's bins differ)
+    return this.toProfileAxis(this.normalize(logMag), {
+      sampleRate: this.sampleRate,
+      frameSize: this.frameSize
+    });
+  }
+
+  /**
+   * Layout of templates on the profile axis, for storing with a profile
+   * @returns {Object} { frequencyAxis, sampleRate, frameSize }
+   */
+  getProfileAxis() {
+    return {
+      frequencyAxis: PROFILE_FREQUENCY_AXIS,
+      sampleRate: PROFILE_SAMPLE_RATE,
+      frameSize: PROFILE_FRAME_SIZE
+    };
+  }
+
+  /**
+   * Convert a template to the profile frequency axis
+   * Bin i of a template analysed at sampleRate with frameSize samples sits at
+   * i * sampleRate / frameSize Hz. Each profile band averages the source bins
+   * within half a band of its centre, or interpolates between the two nearest
+   * when the source bins are coarser; bands above the source range repeat its
+   * top bin.
+   * @param {Float32Array} template - Normalized log-magnitude template
+   * @param {Object} layout - { frequencyAxis, sampleRate, frameSize } it was made with
+   *   (profiles without frequencyAxis are described by sampleRate/frameSize)
+   * @returns {Float32Array} Template on the profile axis (the input if already there)
+   */
+  toProfileAxis(template, { frequencyAxis, sampleRate, frameSize } = {}) {
+    if (frequencyAxis === PROFILE_FREQUENCY_AXIS) return template;
+
+    const sourceBinHz = (sampleRate || PROFILE_SAMPLE_RATE) / (frameSize || PROFILE_FRAME_SIZE);
+    if (sourceBinHz === PROFILE_BAND_HZ && template.length === PROFILE_BAND_COUNT) {
+      return template;
+    }
+
+    const last = template.length - 1;
+    const converted = new Float32Array(PROFILE_BAND_COUNT);
+    for (let band = 0; band < PROFILE_BAND_COUNT; band++) {
+      const centre = (band * PROFILE_BAND_HZ) / sourceBinHz;
+      const halfWidth = PROFILE_BAND_HZ / sourceBinHz / 2;
+
+      const first = Math.max(0, Math.ceil(centre - halfWidth));
+      const end = Math.min(last, Math.floor(centre + halfWidth - 1e-9));
+      if (end >= first) {
+        let sum = 0;
+        for (let i = first; i <= end; i++) {
+          sum += template[i];
+        }
+        converted[band] = sum / (end - first + 1);
+      } else {
+        const position = Math.min(last, centre);
+        const low = Math.floor(position);
+        const high = Math.min(last, low + 1);
+        const fraction = position - low;
+        converted[band] = template[low] * (1 - fraction) + template[high] * fraction;
+      }
+    }
+
+    return this.normalize(converted);
   }
 
   /**
@@ -216,17 +301,17 @@ export class SpectralAnalysis {
   averageSpectra(spectra) {
     if (spectra.length === 0) return null;
     
-    const avgTemplate = new Float32Array(128);
+    const avgTemplate = new Float32Array(PROFILE_BAND_COUNT);
     
     // Sum all spectra
     for (const spectrum of spectra) {
-      for (let i = 0; i < 128; i++) {
+      for (let i = 0; i < PROFILE_BAND_COUNT; i++) {
         avgTemplate[i] += spectrum[i];
       }
     }
     
     // Average
-    for (let i = 0; i < 128; i++) {
+    for (let i = 0; i < PROFILE_BAND_COUNT; i++) {
       avgTemplate[i] /= spectra.length;
     }
     
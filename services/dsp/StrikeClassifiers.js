@@ -0,0 +1,101 @@
+/**
+ * Strike classifiers for Listen Mode
+ *
+ * VideoSyncDetectorV2 decides when the listening window is open; a strike
+ * classifier decides whether the audio in a stream chunk is a strike. The
+ * built-in 'energy' classifier is the detector's broadband RMS-vs-baseline check
+ * (works on expo-av metering too); the others need PCM from the native stream.
+ *
+ * A classifier implements:
+ *   process(samples: Int16Array, timestamp: number) -> strike | null
+ *     timestamp is performance.now() at the end of the chunk; a strike is
+ *     { timestamp, duration, energy, lowBandEnergy, quality } with timestamp at its onset
+ *   reset() - forget adaptive state (called on start/resume)
+ */
+
+import { MultiBandOnset } from './MultiBandOnset';
+
+export const STRIKE_CLASSIFIERS = [
+  {
+    id: 'energy',
+    label: 'Energy',
+    description: 'Broadband level against the room baseline',
+  },
+  {
+    id: 'multiband',
+    label: 'Multi-band',
+    description: 'Click + thump onsets in separate bands (native audio only)',
+  },
+];
+
+export const DEFAULT_STRIKE_CLASSIFIER_ID = 'energy';
+
+/**
+ * Band-split onset classifier (PutterDetectorAcoustic's pipeline)
+ * Splits stream chunks into frames and reports the strongest strike-shaped event.
+ */
+export class MultiBandStrikeClassifier {
+  /**
+   * @param {Object} options - MultiBandOnset options (sampleRate, frameLength, ...)
+   */
+  constructor(options = {}) {
+    this.onset = new MultiBandOnset(options);
+    this.pending = new Float32Array(0);   // Samples short of a full frame, carried to the next chunk
+  }
+
+  process(samples, timestamp) {
+    const { frameLength, sampleRate } = this.onset.opts;
+    const msPerSample = 1000 / sampleRate;
+
+    const buffer = new Float32Array(this.pending.length + samples.length);
+    buffer.set(this.pending, 0);
+    for (let i = 0; i < samples.length; i++) {
+      buffer[this.pending.length + i] = samples[i] / 32768;
+    }
+
+    // Time at the end of each frame, counting back from the end of the chunk
+    const bufferStartTime = timestamp - buffer.length * msPerSample;
+    const frameCount = Math.floor(buffer.length / frameLength);
+    let best = null;
+
+    for (let i = 0; i < frameCount; i++) {
+      const start = i * frameLength;
+      const frameTime = bufferStartTime + (start + frameLength) * msPerSample;
+      const event = this.onset.processFrame(buffer.subarray(start, start + frameLength), frameTime);
+
+      if (event && !this.onset.getRejectReason(event) && (!best || event.peakHigh > best.energy)) {
+        best = {
+          timestamp: event.startTime,
+          duration: event.duration,
+          energy: event.peakHigh,
+          lowBandEnergy: event.peakLow,
+          quality: this.onset.calculateQuality(event),
+        };
+      }
+    }
+
+    this.pending = buffer.slice(frameCount * frameLength);
+    return best;
+  }
+
+  reset() {
+    this.onset.reset();
+    this.pending = new Float32Array(0);
+  }
+}
+
+/**
+ * Create a classifier by id
+ * @param {string} id - Classifier id (see STRIKE_CLASSIFIERS)
+ * @param {Object} options - { sampleRate }
+ * @returns {Object|null} Classifier, or null for the detector's built-in energy check
+ */
+export function createStrikeClassifier(id, { sampleRate = 44100 } = {}) {
+  switch (id) {
+    case 'multiband':
+      return new MultiBandStrikeClassifier({ sampleRate });
+    case 'energy':
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * StrikeQuality - How solid a putt sounded
+ * Pure functions so they run the same in the app and in Node scripts.
+ *
+ * A strike off the sweet spot transfers less energy and twists the face: it
+ * sounds quieter, duller (lower spectral centroid, different spread) and rings
+ * for a different time than the user's centred strikes. Each strike is measured
+ * from its onset, then compared with a reference built from strikes the user made
+ * with that putter (the calibrated profile, or recent strikes when there is none).
+ */
+
+import { spectralAnalysis } from './SpectralAnalysis';
+import { resample } from './WavDecoder';
+
+// Contact estimate labels, best first
+export const CONTACT_LABELS = {
+  CENTERED: 'Centered',
+  SLIGHTLY_OFF: 'Slightly off',
+  OFF_CENTER: 'Off-center',
+};
+
+// Solidness needed for each contact label
+const CENTERED_MIN_SOLIDNESS = 0.7;
+const SLIGHTLY_OFF_MIN_SOLIDNESS = 0.4;
+
+// Strikes needed before a reference is trusted
+export const MIN_REFERENCE_STRIKES = 5;
+
+// Envelope resolution and the level drop that ends the ring (-20dB)
+const ENVELOPE_BLOCK_MS = 1;
+const DECAY_END_RATIO = 0.1;
+
+// Per-feature weight, and the smallest tolerance (fraction of the reference
+// median) so a very consistent calibration doesn't flag every small variation
+const FEATURES = {
+  centroidHz: { weight: 0.4, minTolerance: 0.08 },
+  spreadHz: { weight: 0.2, minTolerance: 0.1 },
+  decayMs: { weight: 0.25, minTolerance: 0.2 },
+  peakLevel: { weight: 0.15, minTolerance: 0.3 },
+};
+
+// Median absolute deviation -> standard deviation (normal distribution)
+const MAD_SCALE = 1.4826;
+
+/**
+ * Measure a strike from audio starting at its onset
+ * @param {Float32Array} samples - Audio from the onset onwards (-1..1)
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {Object|null} { centroidHz, spreadHz, decayMs, peakLevel }, or null if
+ *   the audio is too short or silent. decayMs is null when the ring outlasts the audio.
+ */
+export function measureStrike(samples, sampleRate) {
+  if (!samples || samples.length === 0) return null;
+
+  let peakLevel = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peakLevel = Math.max(peakLevel, Math.abs(samples[i]));
+  }
+  if (peakLevel === 0) return null;
+
+  // Spectrum of the attack, at the profile analysis rate so values compare
+  // across devices and with the calibration
+  const { frameSize, sampleRate: analysisRate, fft } = spectralAnalysis;
+  const analysis = resample(samples, sampleRate, analysisRate);
+  if (analysis.length < frameSize) return null;
+
+  const real = spectralAnalysis.applyWindow(analysis.subarray(0, frameSize));
+  const imag = new Float32Array(frameSize);
+  fft.forward(real, imag);
+  const magnitude = fft.getMagnitude(real, imag);
+  const centroidHz = spectralAnalysis.spectralCentroid(magnitude);
+  const spreadHz = spectralAnalysis.spectralSpread(magnitude, centroidHz);
+
+  return {
+    centroidHz,
+    spreadHz,
+    decayMs: measureDecay(samples, sampleRate),
+    peakLevel,
+  };
+}
+
+/**
+ * Time from the envelope peak until it has fallen 20dB
+ * @param {Float32Array} samples - Audio from the onset onwards
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {number|null} Decay time (ms), or null if it hasn't decayed by the end
+ */
+function measureDecay(samples, sampleRate) {
+  const block = Math.max(1, Math.round((ENVELOPE_BLOCK_MS / 1000) * sampleRate));
+  const envelope = [];
+  for (let start = 0; start + block <= samples.length; start += block) {
+    let sum = 0;
+    for (let i = start; i < start + block; i++) {
+      sum += samples[i] * samples[i];
+    }
+    envelope.push(Math.sqrt(sum / block));
+  }
+
+  let peakIndex = 0;
+  envelope.forEach((level, i) => {
+    if (level > envelope[peakIndex]) peakIndex = i;
+  });
+
+  const endLevel = envelope[peakIndex] * DECAY_END_RATIO;
+  for (let i = peakIndex + 1; i < envelope.length; i++) {
+    if (envelope[i] < endLevel) {
+      return (i - peakIndex) * ENVELOPE_BLOCK_MS;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a reference from strikes the user made with one putter
+ * @param {Object[]} measurements - Results of measureStrike
+ * @returns {Object|null} Per-feature { median, tolerance } plus count, or null
+ *   with fewer than MIN_REFERENCE_STRIKES measurements
+ */
+export function buildStrikeReference(measurements = []) {
+  const valid = measurements.filter(Boolean);
+  if (valid.length < MIN_REFERENCE_STRIKES) return null;
+
+  const reference = { count: valid.length };
+  Object.keys(FEATURES).forEach(key => {
+    const values = valid.map(m => m[key]).filter(v => v !== null && v !== undefined);
+    if (values.length < MIN_REFERENCE_STRIKES) {
+      reference[key] = null;
+      return;
+    }
+
+    const med = median(values);
+    const mad = median(values.map(v => Math.abs(v - med)));
+    reference[key] = {
+      median: med,
+      tolerance: Math.max(mad * MAD_SCALE, Math.abs(med) * FEATURES[key].minTolerance),
+    };
+  });
+
+  return reference;
+}
+
+/**
+ * Score a strike against a reference
+ * Each feature's distance from the reference median is measured in tolerances;
+ * only quieter-than-usual counts against peak level (a firmer putt is louder).
+ * @param {Object} metrics - Result of measureStrike
+ * @param {Object} reference - Result of buildStrikeReference
+ * @returns {Object|null} { solidness (0-1), contact, deviations }, or null without
+ *   metrics or reference
+ */
+export function scoreStrike(metrics, reference) {
+  if (!metrics || !reference) return null;
+
+  const deviations = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  Object.entries(FEATURES).forEach(([key, { weight }]) => {
+    const value = metrics[key];
+    const ref = reference[key];
+    if (value === null || value === undefined || !ref) return;
+
+    const difference = key === 'peakLevel'
+      ? Math.max(0, ref.median - value)
+      : Math.abs(value - ref.median);
+    const deviation = difference / ref.tolerance;
+
+    deviations[key] = deviation;
+    weighted += weight * deviation * deviation;
+    totalWeight += weight;
+  });
+
+  if (totalWeight === 0) return null;
+
+  const solidness = Math.exp(-0.5 * (weighted / totalWeight));
+  return {
+    solidness,
+    contact: getContactLabel(solidness),
+    deviations,
+  };
+}
+
+/**
+ * Contact estimate for a solidness score
+ * @param {number} solidness - Score from scoreStrike (0-1)
+ * @returns {string} One of CONTACT_LABELS
+ */
+export function getContactLabel(solidness) {
+  if (solidness >= CENTERED_MIN_SOLIDNESS) return CONTACT_LABELS.CENTERED;
+  if (solidness >= SLIGHTLY_OFF_MIN_SOLIDNESS) return CONTACT_LABELS.SLIGHTLY_OFF;
+  return CONTACT_LABELS.OFF_CENTER;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
@@ -9,10 +9,26 @@
  * - Per-loop baseline reset (prevents video audio pollution)
  * - Target at 4th beat (100% of video)
  * - Millisecond-based accuracy calculation
+ * - Audio-clock timing: hits are placed in the cycle from stream sample counts
+ *   against one loop-start anchor, not from polled video position
+ * - Per-loop classification: strike, double hit, late noise or practice stroke
+ * - Strike quality: solidness and contact estimate against the putter profile
+ * - Adaptive profiles: confirmed strikes refine the putter profile's template
  */
 
 import { Audio, InterruptionModeIOS, InterruptionModeAndroid } from 'expo-av';
 import { Platform } from 'react-native';
+import { getStrokeTiming, DEFAULT_STROKE_RATIO_ID } from '../../src/audio/strokeRatios';
+import { getScoringBands, getAccuracy, getBandLabel, PERFECT_LABEL } from '../sessions/AccuracyBands';
+import { AudioCaptureBuffer } from './AudioCaptureBuffer';
+import { spectralAnalysis } from './SpectralAnalysis';
+import { resample } from './WavDecoder';
+import { profileManager } from '../profiles/ProfileManager';
+import { profileHealth } from '../profiles/ProfileHealth';
+import { createStrikeClassifier, DEFAULT_STRIKE_CLASSIFIER_ID } from './StrikeClassifiers';
+import { findOnsetTime, findSecondOnset } from './OnsetRefiner';
+import { AudioClock } from './AudioClock';
+import { measureStrike, buildStrikeReference, scoreStrike } from './StrikeQuality';
 
 let ExpoPlayAudioStream = null;
 try {
@@ -23,14 +39,65 @@ try {
   ExpoPlayAudioStream = null;
 }
 
+// Stream chunks kept for the spectral gate and onset refinement; a held spike's
+// transient may be in the previous chunk
+const RECENT_PCM_CHUNKS = 2;
+
+// Clean strikes kept as the quality reference when no calibrated profile has one
+const RECENT_STRIKES_FOR_REFERENCE = 20;
+
+/**
+ * Start index of the loudest frame in a buffer (hop of a quarter frame)
+ * @param {Float32Array} samples - Audio samples
+ * @param {number} frameSize - Frame length
+ * @returns {number} Start index
+ */
+function findLoudestFrame(samples, frameSize) {
+  const hop = Math.max(1, Math.floor(frameSize / 4));
+  let bestStart = 0;
+  let bestEnergy = -1;
+
+  for (let start = 0; start + frameSize <= samples.length; start += hop) {
+    let energy = 0;
+    for (let i = start; i < start + frameSize; i++) {
+      energy += samples[i] * samples[i];
+    }
+    if (energy > bestEnergy) {
+      bestEnergy = energy;
+      bestStart = start;
+    }
+  }
+
+  return bestStart;
+}
+
+// Longest listen delay as a fraction of the Beat 3 -> Beat 4 downswing
+const MAX_LISTEN_DELAY_FRACTION = 0.65;
+
+// Event types reported through onHitDetected (hitEvent.type)
+export const HIT_TYPES = {
+  STRIKE: 'strike',                   // The loop's strike, clean
+  DOUBLE_HIT: 'doubleHit',            // The loop's strike, with a second contact right after it
+  LATE_NOISE: 'lateNoise',            // Another sound later in the loop (not scored)
+  PRACTICE_STROKE: 'practiceStroke',  // Loop listened to without any strike (no timing)
+};
+
+// Types that carry a scored strike (timing, accuracy, band)
+export const SCORED_HIT_TYPES = [HIT_TYPES.STRIKE, HIT_TYPES.DOUBLE_HIT];
+
 export class VideoSyncDetectorV2 {
   constructor(options = {}) {
     // Configuration
     this.opts = {
       bpm: 70,                          // Beats per minute
-      videoPlayer: null,                // Video player reference
+      videoPlayer: null,                // Loop position source (expo-video player or SwingLoopPlayer)
       sampleRate: 44100,                // Audio sample rate
       beatsInVideo: 4,                  // Number of beats in video (default 4)
+      targetBeat: 4,                    // 1-based beat impact should land on (default Beat 4)
+      strokeRatio: DEFAULT_STROKE_RATIO_ID, // Backswing:downswing ratio id (moves the "back" cue)
+      windowOpenMs: null,               // Open listening this long before the target (null = listenDelayMs after the "back" cue)
+      windowCloseMs: null,              // Close listening this long after the target (null = end of video)
+      scoringBands: null,               // { perfect, great, good, ok } ms limits (null = default preset)
 
       // Detection parameters
       energyThreshold: 1.3,             // Multiplier above baseline for detection (lowered for weak putter hits)
@@ -49,9 +116,16 @@ export class VideoSyncDetectorV2 {
       singleFrameBypassRatio: 1.0,     // Allow single-frame detections when ratio exceeds this multiplier
       listeningTailMs: 200,             // Keep window open after closure to absorb audio latency
       listeningEntryGuardMs: 0,         // Ignore detections for N ms after window opens
+      captureSeconds: 0,                // Keep the last N seconds of mic audio + detector state for bug reports (0 = off, native stream only)
+      spectralGate: false,              // Reject spikes that don't sound like the enabled putter profile (native stream only)
+      spectralGateThreshold: 0.85,      // Minimum cosine similarity to the putter profile
+      strikeClassifier: DEFAULT_STRIKE_CLASSIFIER_ID, // 'energy' (RMS vs baseline) or 'multiband' (band-split onsets, native stream only)
+      doubleHitWindowMs: 150,           // A second contact this soon after the strike makes it a double hit
+      putterId: null,                   // Putter in use (hit events and the strike-quality reference follow it)
+      adaptiveProfile: false,           // Fold confirmed strikes into the putter profile template (native stream only)
 
       // Callbacks
-      onHitDetected: () => {},          // Called when hit detected
+      onHitDetected: () => {},          // Called with each classified event (see HIT_TYPES)
       onAudioLevel: () => {},           // Called every 100ms with current audio level
 
       // Debug
@@ -68,6 +142,15 @@ export class VideoSyncDetectorV2 {
     this.audioStreamSubscription = null;
     this.isAudioStreamActive = false;
 
+    // Bug-report capture (rolling PCM + state trace)
+    this.capture = null;
+    this.setCaptureSeconds(this.opts.captureSeconds);
+
+    // Pluggable strike classifier (null = built-in energy check)
+    this.strikeClassifier = null;
+    this.strikeClassifierId = null;
+    this.setStrikeClassifier(this.opts.strikeClassifier);
+
     // State
     this.isRunning = false;
     this.isPaused = false;              // NEW: Pause state (keeps recording alive)
@@ -82,6 +165,19 @@ export class VideoSyncDetectorV2 {
     this.spikeCount = 0;              // Track ALL spikes over 4x (for debugging)
     this.lastSpikeAt = 0;             // Debounce spikes
     this.consecutiveSpikeFrames = 0;  // Track consecutive frames above threshold while listening
+    this.recentPcm = [];              // Latest stream chunks, for the spectral gate and onset refinement
+    this.audioClock = new AudioClock({ sampleRate: this.opts.sampleRate }); // Stream sample count -> performance.now()
+    this.cycleStartTime = null;       // performance.now() of loop position 0 (null = use the player's position)
+
+    // Per-loop classification
+    this.loopStrike = null;           // This loop's strike (held until its double-hit window has passed)
+    this.loopListened = false;        // Listening window opened this loop (no strike = practice stroke)
+    this.loopEndedAt = 0;             // When playback stopped; the loop is classified after the tail
+    this.followUpArmed = false;       // Level fell back after the strike, so the next spike is a new sound
+    this.lastFollowUpAt = 0;
+    this.recentStrikeMetrics = [];    // Latest clean strikes' measurements (quality reference fallback)
+    this.spectralRejectCount = 0;     // Spikes rejected because they didn't match the putter profile
+    this.profileRefineCount = 0;      // Strikes folded into the putter profile (adaptive mode)
 
     // Normalize configurable thresholds
     this.opts.spikeHoldFrames = Math.max(1, Math.floor(this.opts.spikeHoldFrames || 1));
@@ -146,40 +242,60 @@ export class VideoSyncDetectorV2 {
    */
   getBeatTiming() {
     const beatDurationMs = (60 / this.opts.bpm) * 1000;  // 70 BPM = 857ms per beat
-    const beat3Position = 2 / this.opts.beatsInVideo;    // Beat 3 at 2/4 = 0.50
-    const beat4Position = 3 / this.opts.beatsInVideo;    // Beat 4 at 3/4 = 0.75
 
-    // Calculate video duration
-    const videoDuration = beatDurationMs * this.opts.beatsInVideo;  // e.g., 3,428ms at 70 BPM
+    // Beat 4 is the target (impact) beat: 3/4 = 0.75 by default
+    const stroke = getStrokeTiming(this.opts.bpm, this.opts.strokeRatio, {
+      beatsPerCycle: this.opts.beatsInVideo,
+      targetBeat: this.opts.targetBeat,
+    });
+    const videoDuration = stroke.loopMs;                 // e.g., 3,428ms at 70 BPM (4 beats)
+    const beat4Position = stroke.impactMs / videoDuration;
+
+    // Beat 3 is the top-of-backswing ("back") cue, one downswing before impact
+    // Even ratio: 2/4 = 0.50; longer backswing ratios move it closer to Beat 4
+    const beat3Position = stroke.topMs / videoDuration;
 
     // Fixed delay after Beat 3 to avoid detecting the tone (configurable via listenDelayMs)
     const configuredDelayMs = typeof this.opts.listenDelayMs === 'number'
       ? this.opts.listenDelayMs
       : 540;
 
-    // Ensure we stay before Beat 4 with a small safety buffer
+    // Ensure we stay before Beat 4 with a small safety buffer, and keep part of
+    // short (high-ratio) downswings open so early strikes can still be heard
     const timeBetweenBeat3And4 = (beat4Position - beat3Position) * videoDuration;
     const safetyBufferMs = 10;
-    const maxDelayBeforeBeat4 = Math.max(0, timeBetweenBeat3And4 - safetyBufferMs);
+    const maxDelayBeforeBeat4 = Math.max(0, Math.min(
+      timeBetweenBeat3And4 - safetyBufferMs,
+      timeBetweenBeat3And4 * MAX_LISTEN_DELAY_FRACTION
+    ));
     const listenDelayMs = Math.max(0, Math.min(configuredDelayMs, maxDelayBeforeBeat4));
 
     const listenDelayAsVideoPercent = videoDuration > 0 ? (listenDelayMs / videoDuration) : 0;
     const rawStartPercent = beat3Position + listenDelayAsVideoPercent;
     const maxStartPercent = beat4Position - (safetyBufferMs / Math.max(videoDuration, 1));
-    const listenStartPercent = Math.max(
+    let listenStartPercent = Math.max(
       beat3Position,
       Math.min(maxStartPercent, rawStartPercent)
     );
 
+    // Drill overrides: window opens/closes a fixed time either side of the target
+    if (typeof this.opts.windowOpenMs === 'number') {
+      listenStartPercent = Math.max(0, Math.min(maxStartPercent, beat4Position - (this.opts.windowOpenMs / videoDuration)));
+    }
+    const listenEndPercent = typeof this.opts.windowCloseMs === 'number'
+      ? Math.min(1.0, beat4Position + (Math.max(safetyBufferMs, this.opts.windowCloseMs) / videoDuration))
+      : 1.0;
+
     return {
       beatDurationMs,
-      beatsInVideo: this.opts.beatsInVideo,
+      beatsInVideo: stroke.beatsPerCycle,
+      targetBeat: stroke.targetBeat,
       videoDuration,            // Total video duration in ms
-      beat3Position,            // 0.50
-      beat4Position,            // 0.75
+      beat3Position,            // 0.50 at an even stroke ratio
+      beat4Position,            // Target position, 0.75 by default
       listenDelayMs,            // Effective delay (default 540ms) after Beat 3, clamped before Beat 4
       listenStartPercent,       // Listening window start percent (~62-63% with default delay)
-      listenEndPercent: 1.0     // Listen until end of video (100%)
+      listenEndPercent          // Listen until end of video (100%) unless windowCloseMs is set
     };
   }
 
@@ -212,9 +328,14 @@ export class VideoSyncDetectorV2 {
     this.isFirstLoop = true;           // Allow baseline building in next loop
     this.consecutiveSpikeFrames = 0;
     this.pendingHits = [];
+    this.loopStrike = null;
+    this.loopListened = false;
+    this.loopEndedAt = 0;
+    this.followUpArmed = false;
     this.listeningGraceUntil = 0;
     this.listeningStartedAt = 0;
     this.scheduleBaselineSettle(reason);
+    this.captureEvent('baselineReset', performance.now(), { reason });
 
     if (this.opts.debugMode) {
       console.log(`🔄 Baseline reset (${reason})`);
@@ -234,7 +355,7 @@ export class VideoSyncDetectorV2 {
     const player = this.opts.videoPlayer;
     if (!player.duration || player.duration === 0) return false;
 
-    const position = player.currentTime / player.duration;
+    const position = this.getCyclePositionAt(performance.now());
     const beatTiming = this.getBeatTiming();
 
     const inWindow = position >= beatTiming.listenStartPercent &&
@@ -265,6 +386,52 @@ export class VideoSyncDetectorV2 {
     return player.currentTime / player.duration;
   }
 
+  /**
+   * Loop position at an earlier moment, assuming playback ran since then
+   * @param {number} timestamp - performance.now() of the moment
+   * @returns {number} Position (0-1), clamped at the loop start
+   */
+  getVideoPositionAt(timestamp) {
+    const position = this.getVideoPosition();
+    const durationMs = (this.opts.videoPlayer?.duration || 0) * 1000;
+    if (durationMs === 0) return position;
+
+    const elapsedMs = Math.max(0, performance.now() - timestamp);
+    return Math.max(0, position - elapsedMs / durationMs);
+  }
+
+  /**
+   * Loop position at a moment, measured from the cycle anchor
+   * Falls back to the player's (polled) position until playback has been anchored.
+   * @param {number} timestamp - performance.now() of the moment
+   * @returns {number} Position (0-1)
+   */
+  getCyclePositionAt(timestamp) {
+    const durationMs = (this.opts.videoPlayer?.duration || 0) * 1000;
+    if (this.cycleStartTime === null || durationMs === 0) {
+      return this.getVideoPositionAt(timestamp);
+    }
+
+    return Math.max(0, Math.min(1, (timestamp - this.cycleStartTime) / durationMs));
+  }
+
+  /**
+   * Pin loop position 0 to a single timestamp (on play and loop restart)
+   * SwingLoopPlayer reports its scheduled start exactly; video players are read once.
+   */
+  anchorCycle() {
+    const player = this.opts.videoPlayer;
+    if (!player) {
+      this.cycleStartTime = null;
+      return;
+    }
+
+    const elapsedMs = typeof player.getElapsedMs === 'function'
+      ? player.getElapsedMs()
+      : (player.currentTime || 0) * 1000;
+    this.cycleStartTime = performance.now() - elapsedMs;
+  }
+
   /**
    * Calculate timing accuracy relative to target position
    * @param {number} hitPosition - Position where hit was detected (0-1)
@@ -285,17 +452,11 @@ export class VideoSyncDetectorV2 {
     const adjustedPosition = Math.max(0, Math.min(1, hitPosition - latencyFraction));
     const errorMs = (adjustedPosition - targetPosition) * videoDurationMs;
 
-    // Accuracy based on absolute error in milliseconds
-    // Perfect = within 50ms, good = within 200ms
-    const absErrorMs = Math.abs(errorMs);
-    let accuracy;
-    if (absErrorMs <= 50) {
-      accuracy = 1.0;  // Perfect - Bright Green
-    } else if (absErrorMs <= 200) {
-      accuracy = 1.0 - ((absErrorMs - 50) / 150);  // Scale from 1.0 to 0.0
-    } else {
-      accuracy = 0.0;  // Poor - Red
-    }
+    // Accuracy based on absolute error in milliseconds (shared scoring bands)
+    // Perfect band = 1.0, scaling down to 0.0 at the edge of the OK band
+    const bands = this.opts.scoringBands || getScoringBands();
+    const accuracy = getAccuracy(errorMs, bands);
+    const band = getBandLabel(errorMs, bands);
 
     // Map hitPosition to full-width display with center at Beat 4
     // Early (before Beat 4) should render to the RIGHT (1.0..0.5)
@@ -304,7 +465,7 @@ export class VideoSyncDetectorV2 {
     try {
       const listenStart = beatTiming.listenStartPercent ?? 0.5; // ~0.529 at 70 BPM
       const b4 = beatTiming.beat4Position ?? 0.75;
-      const end = 1.0;
+      const end = beatTiming.listenEndPercent ?? 1.0;
       if (adjustedPosition <= b4) {
         // Early region: map [listenStart..b4] -> [1.0..0.5]
         const t = Math.max(0, Math.min(1, (adjustedPosition - listenStart) / Math.max(1e-6, (b4 - listenStart))));
@@ -325,9 +486,10 @@ export class VideoSyncDetectorV2 {
       targetPosition,
       errorMs,
       accuracy,
+      band,                     // Band label (PERFECT!, Great, Good, OK, Too Early, Too Late)
       isEarly: errorMs < 0,
       isLate: errorMs > 0,
-      isPerfect: absErrorMs < 50
+      isPerfect: band === PERFECT_LABEL
     };
   }
 
@@ -342,7 +504,9 @@ export class VideoSyncDetectorV2 {
       if (this.opts.debugMode) {
         console.log('🔁 Loop detected! Resetting baseline...');
       }
+      this.finishLoop();
       this.resetBaseline('loop-detected');
+      this.anchorCycle();   // Players that loop natively never report playingChange
     }
 
     this.lastVideoPosition = currentPosition;
@@ -352,8 +516,10 @@ export class VideoSyncDetectorV2 {
    * Handle a metering sample (linear volume) and perform detection logic
    * @param {number} meteringLinear - Linear audio level (0-1)
    * @param {number} sampleTimestamp - Timestamp associated with the sample
+   * @param {Object|null} [strike] - Strike classifier result for this chunk; when given
+   *   it replaces the RMS spike/hold check (undefined on the expo-av metering path)
    */
-  handleMeteringSample(meteringLinear, sampleTimestamp = performance.now()) {
+  handleMeteringSample(meteringLinear, sampleTimestamp = performance.now(), strike = undefined) {
     if (!this.isRunning || this.isPaused) {
       return;
     }
@@ -370,7 +536,8 @@ export class VideoSyncDetectorV2 {
     // Check for energy spike above threshold
     const baseThreshold = this.baselineEnergy * this.opts.energyThreshold;
     const threshold = Math.min(Math.max(0.01, baseThreshold), 0.5);
-    const isSpike = adjustedLevel > threshold;
+    const classifierActive = strike !== undefined;
+    const isSpike = classifierActive ? !!strike : adjustedLevel > threshold;
 
     // Track spikes over 4x for debugging (helps identify putter hits)
     const ratio = adjustedLevel / (this.baselineEnergy + 0.0001);
@@ -414,7 +581,23 @@ export class VideoSyncDetectorV2 {
     const holdFramesMet = this.consecutiveSpikeFrames >= this.opts.spikeHoldFrames;
     const singleFrameBypassRatio = this.opts.singleFrameBypassRatio > 0 ? this.opts.singleFrameBypassRatio : 0;
     const singleFrameBypass = !holdFramesMet && singleFrameBypassRatio > 0 && ratio >= singleFrameBypassRatio;
-    const detectionReady = detectionWindowActive && (holdFramesMet || singleFrameBypass);
+    const detectionReady = classifierActive
+      ? detectionWindowActive && !!strike
+      : detectionWindowActive && (holdFramesMet || singleFrameBypass);
+
+    this.capture?.pushState({
+      t: sampleTimestamp,
+      level: adjustedLevel,
+      baseline: this.baselineEnergy,
+      threshold,
+      ratio,
+      listening: listeningWindowActive,
+      detecting: detectionWindowActive,
+      inGap: this.isInGap,
+      settling: isSettling,
+      strike: classifierActive ? !!strike : undefined,
+      position: this.getVideoPosition(),
+    });
 
     if (this.opts.onAudioLevel) {
       this.opts.onAudioLevel({
@@ -447,7 +630,7 @@ export class VideoSyncDetectorV2 {
     // Log ALL significant audio activity
     if (adjustedLevel > this.baselineEnergy * 1.5) {
       const wouldDetect = isSpike && debounceOk && detectionReady && !isSettling;
-      const rejectedReason = !isSpike ? 'Too quiet' :
+      const rejectedReason = !isSpike ? (classifierActive ? 'No strike onset' : 'Too quiet') :
                              !debounceOk ? 'Debounce' :
                              isSettling ? 'Settling' :
                              !listeningWindowActive ? 'Listening window closed' :
@@ -479,10 +662,35 @@ export class VideoSyncDetectorV2 {
       });
     }
 
-    if (isSpike && debounceOk && detectionReady && !isSettling) {
+    // After this loop's strike, listen on for its second contact or later noise
+    this.trackFollowUp(isSpike, strike, sampleTimestamp, { audioLevel: adjustedLevel, ratio });
+
+    const isCandidate = isSpike && debounceOk && detectionReady && !isSettling;
+    const profileMatch = isCandidate ? this.checkSpectralGate() : null;
+
+    if (profileMatch?.rejected) {
+      // Sounds unlike the putter (cough, clap, ball in the cup): require a fresh hold
+      this.spectralRejectCount++;
+      this.consecutiveSpikeFrames = 0;
+      profileHealth.recordMatch(profileMatch);
+      this.captureEvent('spectralReject', sampleTimestamp, {
+        profile: profileMatch.profile,
+        similarity: profileMatch.similarity,
+        ratio,
+      });
+
+      if (this.opts.debugMode) {
+        console.log(`🚫 SPIKE REJECTED: ${(profileMatch.similarity * 100).toFixed(1)}% similar to ${profileMatch.profile} (need ${(this.opts.spectralGateThreshold * 100).toFixed(0)}%)`);
+      }
+    }
+
+    if (isCandidate && !profileMatch?.rejected) {
       // Capture position IMMEDIATELY (synchronously with spike detection)
-      const captureTimestamp = performance.now();
-      const capturedPosition = this.getVideoPosition();
+      // Date the hit back to its onset: classifier strikes carry it, energy spikes are
+      // located in the recent stream PCM (expo-av metering has neither)
+      const onsetTimestamp = strike ? strike.timestamp : this.locateOnset(sampleTimestamp);
+      const captureTimestamp = onsetTimestamp ?? performance.now();
+      const capturedPosition = this.getCyclePositionAt(captureTimestamp);
       const videoTimestamp = this.opts.videoPlayer?.currentTime || 0;
 
       // Update state
@@ -490,16 +698,27 @@ export class VideoSyncDetectorV2 {
       this.hitCount++;
       this.hitDetectedThisLoop = true;  // Mark hit detected, stop listening for rest of loop
 
-      // Store in pending hits buffer for accurate processing
-      this.pendingHits.push({
+      // Store in pending hits buffer until its double-hit window has passed
+      const hit = {
+        type: HIT_TYPES.STRIKE,
         captureTimestamp,
         videoPosition: capturedPosition,
         videoTimestamp,
         audioLevel: adjustedLevel,
         baseline: this.baselineEnergy,
         ratio,
+        profileMatch,
+        strike: strike || null,
+        onsetRefined: onsetTimestamp !== null,
+        audioClockTiming: this.cycleStartTime !== null && this.recentPcm.length > 0,
+        followPcm: this.startFollowPcm(onsetTimestamp),
+        spectrum: this.getRefinementSpectrum(),
+        reboundMs: null,
         hitNumber: this.hitCount
-      });
+      };
+      this.pendingHits.push(hit);
+      this.loopStrike = hit;
+      this.followUpArmed = false;
 
       if (this.opts.debugMode) {
         console.log(`🎯 HIT #${this.hitCount} CAPTURED at ${(capturedPosition * 100).toFixed(1)}% (will process in ${this.opts.hitProcessingDelayMs}ms)`, {
@@ -509,7 +728,7 @@ export class VideoSyncDetectorV2 {
         });
       }
 
-      // Process immediately when possible to reduce UI latency
+      // Process as soon as possible to reduce UI latency (held for the double-hit window)
       this.processPendingHits();
     }
 
@@ -521,6 +740,117 @@ export class VideoSyncDetectorV2 {
     this.frameCount++;
   }
 
+  /**
+   * Compare the candidate spike with the user's enabled putter profile
+   * Runs on the latest stream chunks, resampled to the profile's analysis rate,
+   * whenever profiles are loaded (the match also feeds profile health); only
+   * rejects with the gate on.
+   * @returns {Object|null} { profile, profileId, similarity, threshold, rejected }, or
+   *   null when profiles aren't loaded, there is no PCM (expo-av metering) or no
+   *   putter profile is enabled
+   */
+  checkSpectralGate() {
+    if (this.recentPcm.length === 0 || !profileManager.initialized) {
+      return null;
+    }
+
+    try {
+      const spectrum = this.computeCandidateSpectrum();
+      const match = profileManager.checkPutterProfile(spectrum);
+      if (!match) return null;
+
+      return {
+        ...match,
+        rejected: !!this.opts.spectralGate && match.similarity < this.opts.spectralGateThreshold,
+      };
+    } catch (error) {
+      if (this.opts.debugMode) {
+        console.warn('Spectral gate failed, accepting spike:', error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Latest stream chunks as one buffer
+   * @returns {Float32Array} Samples (-1..1), oldest first
+   */
+  getRecentPcm() {
+    const totalLength = this.recentPcm.reduce((sum, chunk) => sum + chunk.length, 0);
+    const pcm = new Float32Array(totalLength);
+    let offset = 0;
+    this.recentPcm.forEach(chunk => {
+      for (let i = 0; i < chunk.length; i++) {
+        pcm[offset + i] = chunk[i] / 32768;
+      }
+      offset += chunk.length;
+    });
+    return pcm;
+  }
+
+  /**
+   * Sample-accurate onset of the spike in the latest stream chunks
+   * @param {number} chunkTimestamp - performance.now() when the newest chunk arrived
+   * @returns {number|null} Onset time, or null without stream PCM (expo-av metering)
+   */
+  locateOnset(chunkTimestamp) {
+    if (this.recentPcm.length === 0) return null;
+
+    return findOnsetTime(this.getRecentPcm(), this.opts.sampleRate, chunkTimestamp);
+  }
+
+  /**
+   * Spectrum of a new strike, kept until it is confirmed for profile refinement
+   * @returns {Float32Array|null} null when adaptive mode is off or there is no stream PCM
+   */
+  getRefinementSpectrum() {
+    if (!this.opts.adaptiveProfile || this.recentPcm.length === 0 || !profileManager.initialized) {
+      return null;
+    }
+
+    try {
+      return this.computeCandidateSpectrum();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fold a confirmed clean strike into the putter profile (adaptive mode)
+   * Double hits are left out: the rebound colours the spectrum.
+   * @param {Object} hit - Processed hit
+   */
+  refineProfile(hit) {
+    const { spectrum } = hit;
+    hit.spectrum = null;
+    if (!spectrum || hit.type !== HIT_TYPES.STRIKE) return;
+
+    const result = profileManager.refineProfile(spectrum);
+    if (result.accepted) {
+      this.profileRefineCount++;
+    }
+
+    if (this.opts.debugMode) {
+      console.log(result.accepted
+        ? `🧬 Profile ${result.profile} refined (${(result.similarity * 100).toFixed(1)}% similar)`
+        : `🧬 Profile not refined: ${result.reason}`);
+    }
+  }
+
+  /**
+   * Spectrum of the loudest frame in the latest stream chunks
+   * @returns {Float32Array|null} Normalized log-magnitude spectrum (profile template layout)
+   */
+  computeCandidateSpectrum() {
+    const pcm = this.getRecentPcm();
+    const { frameSize, sampleRate } = spectralAnalysis;
+    const samples = resample(pcm, this.opts.sampleRate, sampleRate);
+    if (samples.length < frameSize) return null;
+
+    const start = findLoudestFrame(samples, frameSize);
+    return spectralAnalysis.computeSpectrum(samples.subarray(start, start + frameSize));
+  }
+
   /**
    * Process audio recording status and detect hits
    */
@@ -565,50 +895,53 @@ export class VideoSyncDetectorV2 {
 
   /**
    * Process pending hits after capture delay
+   * A strike is held until its double-hit window has passed (and, with stream PCM,
+   * that audio has arrived) so it can be reported once with its final type.
+   * @param {boolean} force - Process everything now (the loop is over)
    */
-  processPendingHits() {
+  processPendingHits(force = false) {
     if (this.pendingHits.length === 0) return;
 
     const now = performance.now();
     const processDelay = this.opts.hitProcessingDelayMs || 50;
+    const windowSamples = this.getDoubleHitWindowSamples();
 
     // Find hits that are ready to process
-    const hitsToProcess = this.pendingHits.filter(
-      hit => (now - hit.captureTimestamp) >= processDelay
-    );
+    const hitsToProcess = this.pendingHits.filter(hit => {
+      if (force) return true;
+      const age = now - hit.captureTimestamp;
+      const followPcmReady = !hit.followPcm || hit.followPcm.length >= windowSamples;
+      return age >= processDelay && age >= this.opts.doubleHitWindowMs && followPcmReady;
+    });
 
     if (hitsToProcess.length === 0) return;
 
     // Process each hit
     hitsToProcess.forEach(hit => {
-      const beatTiming = this.getBeatTiming();
-      // Default target is Beat 4 center pass (0.75)
-      const targetPos = this.opts.targetPosition ?? beatTiming.beat4Position;
-
-      // Calculate timing using CAPTURED position (not current position)
-      const timing = this.calculateTiming(hit.videoPosition);
-      const audioLatencyMs = this.opts.audioLatencyMs || 0;
-
-      const hitEvent = {
-        timestamp: hit.captureTimestamp - audioLatencyMs,
-        position: hit.videoPosition,
-        videoTimestamp: hit.videoTimestamp,
-        audioLevel: hit.audioLevel,
-        baseline: hit.baseline,
-        ratio: hit.ratio,
-        ...timing,
-        latencyAppliedMs: audioLatencyMs,
-        hitNumber: hit.hitNumber
-      };
-
-      // Send to callback
-      if (this.opts.onHitDetected) {
-        this.opts.onHitDetected(hitEvent);
+      // A second onset in the audio right after the strike: double hit
+      if (hit.type === HIT_TYPES.STRIKE && hit.followPcm) {
+        const reboundMs = findSecondOnset(hit.followPcm, this.opts.sampleRate);
+        if (reboundMs !== null) {
+          hit.type = HIT_TYPES.DOUBLE_HIT;
+          hit.reboundMs = reboundMs;
+        }
+      }
+      hit.quality = this.assessStrikeQuality(hit);
+      hit.followPcm = null;
+      if (hit.type === HIT_TYPES.STRIKE) {
+        profileHealth.recordMatch(hit.profileMatch);
       }
+      this.refineProfile(hit);
+      hit.processed = true;
+
+      const hitEvent = this.buildHitEvent(hit);
+      this.emitHitEvent(hitEvent);
 
       // Debug log
       if (this.opts.debugMode) {
-        console.log(`✅ HIT #${hit.hitNumber} PROCESSED (${(now - hit.captureTimestamp).toFixed(0)}ms after capture)`, {
+        const beatTiming = this.getBeatTiming();
+        const targetPos = this.opts.targetPosition ?? beatTiming.beat4Position;
+        console.log(`✅ HIT #${hit.hitNumber} PROCESSED as ${hit.type} (${(now - hit.captureTimestamp).toFixed(0)}ms after capture)`, {
           energy: hit.audioLevel.toFixed(6),
           baseline: hit.baseline.toFixed(6),
           ratio: hit.ratio.toFixed(0) + 'x',
@@ -616,8 +949,12 @@ export class VideoSyncDetectorV2 {
           target: (targetPos * 100).toFixed(1) + '%',
           beat3: (beatTiming.beat3Position * 100).toFixed(1) + '%',
           beat4: (beatTiming.beat4Position * 100).toFixed(1) + '%',
-          errorMs: timing.errorMs.toFixed(0) + 'ms',
-          accuracy: (timing.accuracy * 100).toFixed(0) + '%'
+          errorMs: hitEvent.errorMs.toFixed(0) + 'ms',
+          accuracy: (hitEvent.accuracy * 100).toFixed(0) + '%',
+          reboundMs: hit.reboundMs !== null ? hit.reboundMs.toFixed(0) + 'ms' : 'none',
+          solidness: typeof hit.quality?.solidness === 'number'
+            ? `${(hit.quality.solidness * 100).toFixed(0)}% (${hit.quality.contact}, ${hit.quality.reference} reference)`
+            : 'n/a'
         });
       }
     });
@@ -628,6 +965,233 @@ export class VideoSyncDetectorV2 {
     );
   }
 
+  /**
+   * Hit event for onHitDetected, scored against the target
+   * @param {Object} hit - Captured hit (see handleMeteringSample)
+   * @returns {Object} Hit event
+   */
+  buildHitEvent(hit) {
+    // Calculate timing using CAPTURED position (not current position)
+    const timing = this.calculateTiming(hit.videoPosition);
+    const audioLatencyMs = this.opts.audioLatencyMs || 0;
+
+    return {
+      type: hit.type,
+      timestamp: hit.captureTimestamp - audioLatencyMs,
+      position: hit.videoPosition,
+      videoTimestamp: hit.videoTimestamp,
+      audioLevel: hit.audioLevel,
+      baseline: hit.baseline,
+      ratio: hit.ratio,
+      profileMatch: hit.profileMatch
+        ? { profile: hit.profileMatch.profile, similarity: hit.profileMatch.similarity }
+        : null,
+      putterId: this.opts.putterId,
+      strikeQuality: hit.quality ?? null,   // Solidness / contact estimate (stream PCM only)
+      classifierQuality: hit.strike?.quality ?? null,
+      reboundMs: hit.reboundMs ?? null,     // Gap to the second contact (double hits)
+      onsetRefined: hit.onsetRefined,       // Timed from the PCM onset rather than the detecting chunk
+      audioClockTiming: hit.audioClockTiming, // Placed from stream samples + cycle anchor (not video polling)
+      clockDriftPpm: this.audioClock.getDriftPpm(),
+      ...timing,
+      latencyAppliedMs: audioLatencyMs,
+      hitNumber: hit.hitNumber
+    };
+  }
+
+  /**
+   * Measure a held strike from its follow-up PCM and score it against the
+   * putter profile's reference (or the user's recent clean strikes)
+   * @param {Object} hit - Captured hit with followPcm
+   * @returns {Object|null} { centroidHz, spreadHz, decayMs, peakLevel, solidness,
+   *   contact, reference }, or null without stream PCM. solidness and contact are
+   *   null until there is a reference.
+   */
+  assessStrikeQuality(hit) {
+    if (!hit.followPcm) return null;
+
+    const metrics = measureStrike(hit.followPcm, this.opts.sampleRate);
+    if (!metrics) return null;
+
+    const profileReference = profileManager.initialized
+      ? profileManager.getStrikeReference(hit.profileMatch?.profile)
+      : null;
+    const score = scoreStrike(metrics, profileReference || buildStrikeReference(this.recentStrikeMetrics));
+
+    // Rebounds would skew the reference; only clean strikes feed it
+    if (hit.type === HIT_TYPES.STRIKE) {
+      this.recentStrikeMetrics.push(metrics);
+      if (this.recentStrikeMetrics.length > RECENT_STRIKES_FOR_REFERENCE) {
+        this.recentStrikeMetrics.shift();
+      }
+    }
+
+    return {
+      ...metrics,
+      solidness: score ? score.solidness : null,
+      contact: score ? score.contact : null,
+      reference: score ? (profileReference ? 'profile' : 'recent') : null,
+    };
+  }
+
+  /**
+   * Send a classified event to onHitDetected (and the capture trace)
+   * @param {Object} hitEvent - Event with a HIT_TYPES type
+   */
+  emitHitEvent(hitEvent) {
+    const { type } = hitEvent;
+    const eventTime = hitEvent.timestamp + (hitEvent.latencyAppliedMs || 0);
+
+    // Scored strikes are the capture's detections; the rest are trace events
+    this.captureEvent(SCORED_HIT_TYPES.includes(type) ? 'hit' : type, eventTime, {
+      type,
+      position: hitEvent.position,
+      ratio: hitEvent.ratio,
+      errorMs: hitEvent.errorMs,
+      band: hitEvent.band,
+    });
+
+    if (this.opts.onHitDetected) {
+      this.opts.onHitDetected(hitEvent);
+    }
+  }
+
+  /**
+   * Double-hit window in stream samples
+   */
+  getDoubleHitWindowSamples() {
+    return Math.round((this.opts.doubleHitWindowMs / 1000) * this.opts.sampleRate);
+  }
+
+  /**
+   * Stream PCM from a strike's onset, kept to look for a second contact
+   * @param {number|null} onsetTimestamp - Onset time of the strike
+   * @returns {Float32Array|null} Samples from the onset, or null without stream PCM
+   */
+  startFollowPcm(onsetTimestamp) {
+    if (onsetTimestamp === null || this.recentPcm.length === 0) return null;
+
+    const pcm = this.getRecentPcm();
+    const firstSample = this.audioClock.totalSamples - pcm.length;
+    const onsetSample = Math.round(this.audioClock.sampleAtTime(onsetTimestamp) - firstSample);
+    const start = Math.max(0, Math.min(pcm.length, onsetSample));
+    return pcm.slice(start, start + this.getDoubleHitWindowSamples());
+  }
+
+  /**
+   * Extend the held strike's follow-up PCM with a new stream chunk
+   * @param {Int16Array} samples - PCM16 samples
+   */
+  appendFollowPcm(samples) {
+    const hit = this.loopStrike;
+    if (!hit?.followPcm || hit.processed) return;
+
+    const needed = this.getDoubleHitWindowSamples() - hit.followPcm.length;
+    if (needed <= 0) return;
+
+    const count = Math.min(needed, samples.length);
+    const extended = new Float32Array(hit.followPcm.length + count);
+    extended.set(hit.followPcm, 0);
+    for (let i = 0; i < count; i++) {
+      extended[hit.followPcm.length + i] = samples[i] / 32768;
+    }
+    hit.followPcm = extended;
+  }
+
+  /**
+   * After the loop's strike, a fresh spike is its second contact (within the
+   * double-hit window, while the strike is still held) or late noise
+   * @param {boolean} isSpike - Chunk is above threshold (or the classifier found a strike)
+   * @param {Object|null|undefined} strike - Classifier result for the chunk
+   * @param {number} sampleTimestamp - Chunk time
+   * @param {Object} levels - { audioLevel, ratio }
+   */
+  trackFollowUp(isSpike, strike, sampleTimestamp, { audioLevel, ratio }) {
+    const primary = this.loopStrike;
+    if (!primary || this.isInGap || this.isSettling(sampleTimestamp)) return;
+
+    if (!isSpike) {
+      this.followUpArmed = true;
+      return;
+    }
+
+    // Energy spikes must fall back below threshold first; classifier strikes are separate events
+    const isNewSound = strike ? strike.timestamp > primary.captureTimestamp : this.followUpArmed;
+    if (!isNewSound) return;
+    this.followUpArmed = false;
+
+    const onsetTimestamp = strike ? strike.timestamp : this.locateOnset(sampleTimestamp);
+    const followUpTimestamp = onsetTimestamp ?? sampleTimestamp;
+    const gapMs = followUpTimestamp - primary.captureTimestamp;
+
+    if (gapMs <= this.opts.doubleHitWindowMs) {
+      if (!primary.processed) {
+        primary.type = HIT_TYPES.DOUBLE_HIT;
+        primary.reboundMs = gapMs;
+      }
+      return;
+    }
+
+    if (sampleTimestamp - this.lastFollowUpAt < this.opts.debounceMs) return;
+    this.lastFollowUpAt = sampleTimestamp;
+
+    const hitEvent = this.buildHitEvent({
+      type: HIT_TYPES.LATE_NOISE,
+      captureTimestamp: followUpTimestamp,
+      videoPosition: this.getCyclePositionAt(followUpTimestamp),
+      videoTimestamp: this.opts.videoPlayer?.currentTime || 0,
+      audioLevel,
+      baseline: this.baselineEnergy,
+      ratio,
+      profileMatch: null,
+      strike: strike || null,
+      onsetRefined: onsetTimestamp !== null,
+      audioClockTiming: this.cycleStartTime !== null && this.recentPcm.length > 0,
+      hitNumber: primary.hitNumber,      // The strike it followed
+    });
+    this.emitHitEvent(hitEvent);
+
+    if (this.opts.debugMode) {
+      console.log(`🔈 LATE NOISE ${gapMs.toFixed(0)}ms after HIT #${primary.hitNumber} at ${(hitEvent.position * 100).toFixed(1)}%`);
+    }
+  }
+
+  /**
+   * Classify the loop once playback has stopped and the listening tail has passed
+   * @param {number} now - Current time
+   */
+  checkLoopEnd(now) {
+    if (this.loopEndedAt === 0) return;
+
+    const tailMs = Math.max(this.opts.listeningTailMs || 0, this.opts.doubleHitWindowMs);
+    if (now - this.loopEndedAt >= tailMs) {
+      this.finishLoop();
+    }
+  }
+
+  /**
+   * Report the loop's outcome: flush its strike, or a practice stroke if none was heard
+   */
+  finishLoop() {
+    this.processPendingHits(true);
+
+    if (this.loopListened && !this.loopStrike) {
+      this.emitHitEvent({
+        type: HIT_TYPES.PRACTICE_STROKE,
+        timestamp: this.loopEndedAt || performance.now(),
+        position: null,
+        hitNumber: null,
+      });
+
+      if (this.opts.debugMode) {
+        console.log('🏌️ PRACTICE STROKE (no strike this loop)');
+      }
+    }
+
+    this.loopListened = false;
+    this.loopEndedAt = 0;
+  }
+
   /**
    * Start recording using the native Expo audio stream module
    * Includes retry logic to handle audio session conflicts (e.g., with expo-video)
@@ -749,8 +1313,7 @@ export class VideoSyncDetectorV2 {
         return;
       }
 
-      const rms = this.computeRms(samples);
-      this.handleMeteringSample(rms, performance.now());
+      this.processStreamSamples(samples, performance.now());
     } catch (error) {
       if (this.opts.debugMode) {
         console.warn('Error processing audio stream data:', error.message);
@@ -758,6 +1321,31 @@ export class VideoSyncDetectorV2 {
     }
   }
 
+  /**
+   * Run one chunk of native stream PCM through capture, classifier and detection
+   * @param {Int16Array} samples - PCM16 samples
+   * @param {number} now - performance.now() when the chunk arrived
+   */
+  processStreamSamples(samples, now) {
+    // Time chunks by their sample count, not by when the JS thread got to them
+    this.audioClock.addChunk(samples.length, now);
+    const chunkTime = this.audioClock.now();
+
+    this.capture?.pushAudio(samples, chunkTime);
+
+    this.recentPcm.push(samples);
+    if (this.recentPcm.length > RECENT_PCM_CHUNKS) {
+      this.recentPcm.shift();
+    }
+
+    this.appendFollowPcm(samples);
+
+    const strike = this.strikeClassifier ? this.strikeClassifier.process(samples, chunkTime) : undefined;
+
+    const rms = this.computeRms(samples);
+    this.handleMeteringSample(rms, chunkTime, strike);
+  }
+
   /**
    * Convert base64 encoded PCM16 audio to Int16Array
    */
@@ -801,84 +1389,130 @@ export class VideoSyncDetectorV2 {
    * Start position monitoring
    */
   startPositionMonitoring() {
-    this.monitoringInterval = setInterval(() => {
-      if (!this.isRunning) return;
+    this.monitoringInterval = setInterval(() => this.monitorPosition(), 100);
+  }
 
-      // Process pending hits (delayed for accuracy) before any state resets
-      this.processPendingHits();
+  /**
+   * One position-monitoring tick (every 100ms while running): process pending
+   * hits, detect loop restarts and open/close the listening window
+   */
+  monitorPosition() {
+    if (!this.isRunning) return;
 
-      // Check for loop restart
-      this.checkForLoopRestart();
+    // Process pending hits (delayed for accuracy) before any state resets
+    this.processPendingHits();
+    this.checkLoopEnd(performance.now());
 
-      const shouldListen = this.shouldBeListening();
+    // Check for loop restart
+    this.checkForLoopRestart();
 
-      // State change: start listening
-      if (shouldListen && !this.isListening) {
-        this.isListening = true;
-        const now = typeof performance !== 'undefined' && typeof performance.now === 'function'
-          ? performance.now()
-          : Date.now();
-        this.listeningStartedAt = now;
-        this.listeningGraceUntil = now + Math.max(0, this.opts.listeningTailMs || 0);
-        const beatTiming = this.getBeatTiming();
-        const positionFraction = this.getVideoPosition();
-        const positionPercent = (positionFraction * 100).toFixed(1);
-        const videoTimeMs = positionFraction * beatTiming.videoDuration;
-        const beat3TimeMs = beatTiming.beat3Position * beatTiming.videoDuration;
-        const timeSinceBeat3Ms = Math.max(0, videoTimeMs - beat3TimeMs);
-
-        console.log('🎧 LISTENING WINDOW OPEN', {
-          bpm: this.opts.bpm,
-          positionPercent: `${positionPercent}%`,
-          delayAfterBeat3Ms: beatTiming.listenDelayMs,
-          timeSinceBeat3Ms: Math.round(timeSinceBeat3Ms),
-          beat3TimeMs: Math.round(beat3TimeMs),
-          beat4TimeMs: Math.round(beatTiming.beat4Position * beatTiming.videoDuration),
-          videoTimeMs: Math.round(videoTimeMs),
-          spikeHoldFrames: this.opts.spikeHoldFrames,
-        });
+    const shouldListen = this.shouldBeListening();
 
-        if (this.opts.debugMode) {
-          console.log(`🎤 LISTENING STARTED at ${positionPercent}% (${beatTiming.listenDelayMs}ms after Beat 3 at 50%)`);
-        }
+    // State change: start listening
+    if (shouldListen && !this.isListening) {
+      this.isListening = true;
+      this.loopListened = true;
+      const now = typeof performance !== 'undefined' && typeof performance.now === 'function'
+        ? performance.now()
+        : Date.now();
+      this.listeningStartedAt = now;
+      this.listeningGraceUntil = now + Math.max(0, this.opts.listeningTailMs || 0);
+      const beatTiming = this.getBeatTiming();
+      const positionFraction = this.getVideoPosition();
+      this.captureEvent('listenOpen', now, { position: positionFraction });
+      const positionPercent = (positionFraction * 100).toFixed(1);
+      const videoTimeMs = positionFraction * beatTiming.videoDuration;
+      const beat3TimeMs = beatTiming.beat3Position * beatTiming.videoDuration;
+      const timeSinceBeat3Ms = Math.max(0, videoTimeMs - beat3TimeMs);
+
+      console.log('🎧 LISTENING WINDOW OPEN', {
+        bpm: this.opts.bpm,
+        positionPercent: `${positionPercent}%`,
+        delayAfterBeat3Ms: beatTiming.listenDelayMs,
+        timeSinceBeat3Ms: Math.round(timeSinceBeat3Ms),
+        beat3TimeMs: Math.round(beat3TimeMs),
+        beat4TimeMs: Math.round(beatTiming.beat4Position * beatTiming.videoDuration),
+        videoTimeMs: Math.round(videoTimeMs),
+        spikeHoldFrames: this.opts.spikeHoldFrames,
+      });
+
+      if (this.opts.debugMode) {
+        console.log(`🎤 LISTENING STARTED at ${positionPercent}% (${beatTiming.listenDelayMs}ms after Beat 3 at ${(beatTiming.beat3Position * 100).toFixed(1)}%)`);
       }
+    }
 
-      // State change: stop listening
-      if (!shouldListen && this.isListening) {
-        this.isListening = false;
-        const now = typeof performance !== 'undefined' && typeof performance.now === 'function'
-          ? performance.now()
-          : Date.now();
-        this.listeningStartedAt = 0;
-        this.listeningGraceUntil = now + Math.max(0, this.opts.listeningTailMs || 0);
-        const beatTiming = this.getBeatTiming();
-        const positionFraction = this.getVideoPosition();
-        const positionPercent = (positionFraction * 100).toFixed(1);
-        const videoTimeMs = positionFraction * beatTiming.videoDuration;
-        const beat3TimeMs = beatTiming.beat3Position * beatTiming.videoDuration;
-        const timeSinceBeat3Ms = Math.max(0, videoTimeMs - beat3TimeMs);
-        const windowStartPercent = (beatTiming.listenStartPercent * 100).toFixed(1);
-        const windowDurationMs = Math.max(0, videoTimeMs - (beatTiming.listenStartPercent * beatTiming.videoDuration));
-
-        console.log('🛑 LISTENING WINDOW CLOSED', {
-          bpm: this.opts.bpm,
-          positionPercent: `${positionPercent}%`,
-          windowStartPercent: `${windowStartPercent}%`,
-          windowDurationMs: Math.round(windowDurationMs),
-          timeSinceBeat3Ms: Math.round(timeSinceBeat3Ms),
-          beat4TimeMs: Math.round(beatTiming.beat4Position * beatTiming.videoDuration),
-          videoTimeMs: Math.round(videoTimeMs),
-          spikeHoldFrames: this.opts.spikeHoldFrames,
-        });
+    // State change: stop listening
+    if (!shouldListen && this.isListening) {
+      this.isListening = false;
+      const now = typeof performance !== 'undefined' && typeof performance.now === 'function'
+        ? performance.now()
+        : Date.now();
+      this.listeningStartedAt = 0;
+      this.listeningGraceUntil = now + Math.max(0, this.opts.listeningTailMs || 0);
+      const beatTiming = this.getBeatTiming();
+      const positionFraction = this.getVideoPosition();
+      this.captureEvent('listenClose', now, { position: positionFraction });
+      const positionPercent = (positionFraction * 100).toFixed(1);
+      const videoTimeMs = positionFraction * beatTiming.videoDuration;
+      const beat3TimeMs = beatTiming.beat3Position * beatTiming.videoDuration;
+      const timeSinceBeat3Ms = Math.max(0, videoTimeMs - beat3TimeMs);
+      const windowStartPercent = (beatTiming.listenStartPercent * 100).toFixed(1);
+      const windowDurationMs = Math.max(0, videoTimeMs - (beatTiming.listenStartPercent * beatTiming.videoDuration));
+
+      console.log('🛑 LISTENING WINDOW CLOSED', {
+        bpm: this.opts.bpm,
+        positionPercent: `${positionPercent}%`,
+        windowStartPercent: `${windowStartPercent}%`,
+        windowDurationMs: Math.round(windowDurationMs),
+        timeSinceBeat3Ms: Math.round(timeSinceBeat3Ms),
+        beat4TimeMs: Math.round(beatTiming.beat4Position * beatTiming.videoDuration),
+        videoTimeMs: Math.round(videoTimeMs),
+        spikeHoldFrames: this.opts.spikeHoldFrames,
+      });
 
-        if (this.opts.debugMode) {
-          console.log(`🔇 LISTENING ENDED at ${positionPercent}% (window start was ${windowStartPercent}%)`);
-        }
+      if (this.opts.debugMode) {
+        console.log(`🔇 LISTENING ENDED at ${positionPercent}% (window start was ${windowStartPercent}%)`);
       }
+    }
 
-      // Poll audio status
-      this.processAudioStatus();
-    }, 100);
+    // Poll audio status
+    this.processAudioStatus();
+  }
+
+  /**
+   * Track loop playback to find the 2-second gap (baseline is only built there)
+   * @param {Object} event - playingChange event ({ isPlaying })
+   */
+  handlePlayingChange(event) {
+    const isVideoPlaying = event.isPlaying;
+    this.captureEvent('playingChange', performance.now(), { isPlaying: isVideoPlaying });
+
+    // Detect video stop (entering 2-second gap)
+    if (this.videoWasPlaying && !isVideoPlaying) {
+      if (this.opts.debugMode) {
+        const { driftPpm, jitterMs } = this.audioClock.getStats();
+        console.log('📹 Video stopped - entering 2-second gap, building baseline ' +
+          `(audio clock drift ${driftPpm.toFixed(0)}ppm, jitter ${jitterMs.toFixed(1)}ms)`);
+      }
+      this.isInGap = true;
+      this.isFirstLoop = false;  // No longer first loop - lock to gap-only baseline updates
+      if (this.loopListened) {
+        this.loopEndedAt = performance.now();  // Classify the loop once the tail has passed
+      }
+      // Clear old baseline to start fresh
+      this.baselineFrames = [];
+    }
+
+    // Detect video start (exiting gap)
+    if (!this.videoWasPlaying && isVideoPlaying) {
+      this.anchorCycle();
+      if (this.opts.debugMode) {
+        console.log('📹 Video started - freezing baseline at ' + this.baselineEnergy.toFixed(6));
+      }
+      this.isInGap = false;
+    }
+
+    this.videoWasPlaying = isVideoPlaying;
   }
 
   /**
@@ -1011,34 +1645,21 @@ export class VideoSyncDetectorV2 {
       this.lastSpikeAt = 0;
       this.lastHitAt = 0;
       this.lastVideoPosition = 0;
+      this.capture?.clear();
+      this.recentPcm = [];
+      this.audioClock.reset();
+      this.strikeClassifier?.reset();
       this.resetBaseline('start');
 
       // Set up video event listener to detect 2-second gap
       const player = this.opts.videoPlayer;
-      this.videoListener = player.addListener('playingChange', (event) => {
-        const isVideoPlaying = event.isPlaying;
-
-        // Detect video stop (entering 2-second gap)
-        if (this.videoWasPlaying && !isVideoPlaying) {
-          if (this.opts.debugMode) {
-            console.log('📹 Video stopped - entering 2-second gap, building baseline');
-          }
-          this.isInGap = true;
-          this.isFirstLoop = false;  // No longer first loop - lock to gap-only baseline updates
-          // Clear old baseline to start fresh
-          this.baselineFrames = [];
-        }
-
-        // Detect video start (exiting gap)
-        if (!this.videoWasPlaying && isVideoPlaying) {
-          if (this.opts.debugMode) {
-            console.log('📹 Video started - freezing baseline at ' + this.baselineEnergy.toFixed(6));
-          }
-          this.isInGap = false;
-        }
+      this.videoListener = player.addListener('playingChange', (event) => this.handlePlayingChange(event));
 
-        this.videoWasPlaying = isVideoPlaying;
-      });
+      // Later loops anchor on playingChange; catch a loop that is already running
+      this.cycleStartTime = null;
+      if (player.playing) {
+        this.anchorCycle();
+      }
 
       // Start monitoring
       this.startPositionMonitoring();
@@ -1080,6 +1701,12 @@ export class VideoSyncDetectorV2 {
   pause() {
     if (!this.isRunning) return;
 
+    // Report a strike still held in its double-hit window now, while the
+    // caller's session is open; a loop the user stopped isn't a practice stroke
+    this.processPendingHits(true);
+    this.loopListened = false;
+    this.loopEndedAt = 0;
+
     this.isPaused = true;
     this.isListening = false;
     this.listeningStartedAt = 0;
@@ -1106,6 +1733,10 @@ export class VideoSyncDetectorV2 {
     if (!this.isRunning) return;
 
     this.isPaused = false;
+    this.capture?.clear();   // Held audio must be contiguous; the pause left a gap
+    this.recentPcm = [];
+    this.audioClock.reset();  // Stream restarts after the pause
+    this.strikeClassifier?.reset();
     this.resetBaseline('resume');
 
     if (this.useAudioStream && this.isAudioStreamActive && this.audioStreamModule?.resumeRecording) {
@@ -1181,6 +1812,111 @@ export class VideoSyncDetectorV2 {
     }
   }
 
+  /**
+   * Enable or resize the rolling bug-report capture
+   * Only the native audio stream provides PCM, so this is a no-op on the expo-av metering path.
+   * @param {number} seconds - Audio to keep (0 disables and discards the capture)
+   */
+  setCaptureSeconds(seconds) {
+    const value = Math.max(0, Number(seconds) || 0);
+    this.opts.captureSeconds = value;
+
+    if (value === 0 || !this.useAudioStream) {
+      this.capture = null;
+      return;
+    }
+
+    if (!this.capture || this.capture.seconds !== value) {
+      this.capture = new AudioCaptureBuffer({ seconds: value, sampleRate: this.opts.sampleRate });
+    }
+  }
+
+  /**
+   * Switch strike classifier (see StrikeClassifiers)
+   * Classifiers other than 'energy' need stream PCM; on the expo-av metering
+   * path the energy check is used regardless.
+   * @param {string} id - Classifier id
+   */
+  setStrikeClassifier(id) {
+    const classifierId = id || DEFAULT_STRIKE_CLASSIFIER_ID;
+    this.opts.strikeClassifier = classifierId;
+    if (classifierId === this.strikeClassifierId) return;
+
+    this.strikeClassifierId = classifierId;
+    this.strikeClassifier = createStrikeClassifier(classifierId, { sampleRate: this.opts.sampleRate });
+  }
+
+  /**
+   * Switch the putter in use
+   * Recent strikes made with another putter are dropped from the quality reference.
+   * @param {string|null} putterId - Putter ID
+   */
+  setPutter(putterId) {
+    const id = putterId || null;
+    if (id === this.opts.putterId) return;
+
+    this.opts.putterId = id;
+    this.recentStrikeMetrics = [];
+  }
+
+  /**
+   * Whether a capture is being kept and holds audio
+   * @returns {boolean}
+   */
+  hasCapture() {
+    return !!this.capture && this.capture.filled > 0;
+  }
+
+  /**
+   * Held audio plus state trace, ready to export (see AudioCaptureBuffer.snapshot)
+   * @param {Object} meta - { audio, description, device }
+   * @returns {Object|null} { samples, sampleRate, labels } or null when nothing is captured
+   */
+  getCaptureSnapshot(meta = {}) {
+    if (!this.hasCapture()) return null;
+
+    const { opts } = this;
+    return this.capture.snapshot({
+      ...meta,
+      session: {
+        bpm: opts.bpm,
+        beatsPerCycle: opts.beatsInVideo,
+        targetBeat: opts.targetBeat,
+        strokeRatio: opts.strokeRatio,
+      },
+      settings: {
+        energyThreshold: opts.energyThreshold,
+        baselineWindow: opts.baselineWindow,
+        baselineSettleMs: opts.baselineSettleMs,
+        debounceMs: opts.debounceMs,
+        listenDelayMs: opts.listenDelayMs,
+        windowOpenMs: opts.windowOpenMs,
+        windowCloseMs: opts.windowCloseMs,
+        micGain: opts.micGain,
+        spikeHoldFrames: opts.spikeHoldFrames,
+        fastStrikeRatio: opts.fastStrikeRatio,
+        singleFrameBypassRatio: opts.singleFrameBypassRatio,
+        listeningTailMs: opts.listeningTailMs,
+        listeningEntryGuardMs: opts.listeningEntryGuardMs,
+        hitProcessingDelayMs: opts.hitProcessingDelayMs,
+        audioLatencyMs: opts.audioLatencyMs,
+        scoringBands: opts.scoringBands,
+        spectralGate: opts.spectralGate,
+        spectralGateThreshold: opts.spectralGateThreshold,
+        strikeClassifier: opts.strikeClassifier,
+        putterId: opts.putterId,
+        adaptiveProfile: opts.adaptiveProfile,
+      },
+    });
+  }
+
+  /**
+   * Add an event to the capture trace (no-op when capture is off)
+   */
+  captureEvent(type, timestamp, data) {
+    this.capture?.pushEvent(type, timestamp, data);
+  }
+
   /**
    * Update detector parameters at runtime
    * @param {Object} params - Partial options to merge
@@ -1205,6 +1941,21 @@ export class VideoSyncDetectorV2 {
         : this.opts.listeningEntryGuardMs;
     }
 
+    if (params.spectralGateThreshold !== undefined) {
+      const gateValue = Number(this.opts.spectralGateThreshold);
+      this.opts.spectralGateThreshold = Number.isFinite(gateValue)
+        ? Math.min(1, Math.max(0, gateValue))
+        : 0.85;
+    }
+
+    if (params.strikeClassifier !== undefined) {
+      this.setStrikeClassifier(params.strikeClassifier);
+    }
+
+    if (params.captureSeconds !== undefined) {
+      this.setCaptureSeconds(params.captureSeconds);
+    }
+
     if (params.debugMode !== undefined) {
       this.opts.debugMode = !!params.debugMode;
     }
@@ -1244,7 +1995,16 @@ export class VideoSyncDetectorV2 {
       entryGuardMs: this.opts.listeningEntryGuardMs,
       micGain: `${this.opts.micGain}x`,
       energyThreshold: this.opts.energyThreshold,
-      spikeHoldFrames: this.opts.spikeHoldFrames
+      spikeHoldFrames: this.opts.spikeHoldFrames,
+      spectralGate: this.opts.spectralGate,
+      strikeClassifier: this.opts.strikeClassifier,
+      putterId: this.opts.putterId,
+      spectralRejectCount: this.spectralRejectCount,
+      adaptiveProfile: this.opts.adaptiveProfile,
+      profileRefineCount: this.profileRefineCount,
+      cycleAnchored: this.cycleStartTime !== null,
+      clockDriftPpm: Math.round(this.audioClock.getDriftPpm()),
+      clockJitterMs: this.audioClock.getJitterMs().toFixed(1)
     };
   }
 
@@ -1258,6 +2018,8 @@ export class VideoSyncDetectorV2 {
     this.hitCount = 0;
     this.spikeCount = 0;
     this.lastSpikeAt = 0;
+    this.spectralRejectCount = 0;
+    this.recentStrikeMetrics = [];
     this.frameCount = 0;
     this.lastVideoPosition = 0;
     this.scheduleBaselineSettle('reset');
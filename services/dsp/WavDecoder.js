@@ -0,0 +1,176 @@
+/**
+ * WavDecoder - Decode RIFF/WAVE files to mono Float32 samples
+ * Pure functions so they run the same in the app and in Node scripts.
+ * Supports integer PCM (8/16/24/32-bit) and 32/64-bit float, any channel count.
+ */
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+function readSample(view, offset, bitsPerSample, isFloat) {
+  if (isFloat) {
+    return bitsPerSample === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+  }
+
+  switch (bitsPerSample) {
+    case 8:
+      return (view.getUint8(offset) - 128) / 128;      // 8-bit PCM is unsigned
+    case 16:
+      return view.getInt16(offset, true) / 32768;
+    case 24: {
+      const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+      return value / 8388608;
+    }
+    case 32:
+      return view.getInt32(offset, true) / 2147483648;
+    default:
+      throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+  }
+}
+
+/**
+ * Decode a WAV file
+ * @param {Uint8Array|ArrayBuffer} data - Raw file bytes
+ * @returns {Object} { sampleRate, channels, bitsPerSample, duration, samples } (samples mixed to mono, -1..1)
+ */
+export function decodeWav(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+
+  // Walk the chunk list (chunks are word aligned)
+  let offset = 12;
+  while (offset + 8 <= bytes.byteLength) {
+    const chunkId = readTag(view, offset);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      let formatTag = view.getUint16(body, true);
+      const bitsPerSample = view.getUint16(body + 14, true);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 40) {
+        formatTag = view.getUint16(body + 24, true);   // First two bytes of the sub-format GUID
+      }
+
+      format = {
+        formatTag,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample,
+      };
+    } else if (chunkId === 'data') {
+      dataOffset = body;
+      dataLength = Math.min(chunkSize, bytes.byteLength - body);  // Tolerate truncated files
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format) throw new Error('WAV file has no fmt chunk');
+  if (dataOffset < 0) throw new Error('WAV file has no data chunk');
+  if (format.formatTag !== WAVE_FORMAT_PCM && format.formatTag !== WAVE_FORMAT_IEEE_FLOAT) {
+    throw new Error(`Unsupported WAV format tag: 0x${format.formatTag.toString(16)}`);
+  }
+  if (format.channels < 1 || format.blockAlign < 1) {
+    throw new Error('Invalid WAV channel layout');
+  }
+
+  const isFloat = format.formatTag === WAVE_FORMAT_IEEE_FLOAT;
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameCount = Math.floor(dataLength / format.blockAlign);
+  const samples = new Float32Array(frameCount);
+
+  // Mix all channels down to mono
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = dataOffset + frame * format.blockAlign;
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += readSample(view, frameOffset + channel * bytesPerSample, format.bitsPerSample, isFloat);
+    }
+    samples[frame] = sum / format.channels;
+  }
+
+  return {
+    sampleRate: format.sampleRate,
+    channels: format.channels,
+    bitsPerSample: format.bitsPerSample,
+    duration: frameCount / format.sampleRate,
+    samples,
+  };
+}
+
+/**
+ * Resample mono audio (box-filter anti-aliasing + linear interpolation)
+ * @param {Float32Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate (Hz)
+ * @param {number} toRate - Output sample rate (Hz)
+ * @returns {Float32Array} Resampled audio
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  let source = samples;
+
+  // Average neighbouring samples before downsampling to limit aliasing
+  if (ratio > 1) {
+    const width = Math.floor(ratio);
+    if (width > 1) {
+      source = new Float32Array(samples.length);
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sum += samples[i];
+        if (i >= width) sum -= samples[i - width];
+        source[i] = sum / Math.min(i + 1, width);
+      }
+    }
+  }
+
+  const outLength = Math.floor(samples.length / ratio);
+  const output = new Float32Array(outLength);
+  for (let i = 0; i < outLength; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const frac = position - index;
+    const next = Math.min(index + 1, source.length - 1);
+    output[i] = source[index] * (1 - frac) + source[next] * frac;
+  }
+
+  return output;
+}
+
+/**
+ * Cut a time range out of decoded audio
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {number} startSec - Range start (seconds)
+ * @param {number} durationSec - Range length (seconds); omit for the rest of the audio
+ * @returns {Float32Array} Samples in range
+ */
+export function sliceSeconds(samples, sampleRate, startSec = 0, durationSec) {
+  const start = Math.max(0, Math.floor(startSec * sampleRate));
+  const end = durationSec === undefined
+    ? samples.length
+    : Math.min(samples.length, start + Math.ceil(durationSec * sampleRate));
+  return samples.subarray(start, Math.max(start, end));
+}
+
+export default decodeWav;
@@ -0,0 +1,45 @@
+/**
+ * WavEncoder - Encode mono PCM16 samples as a RIFF/WAVE file
+ * Counterpart to WavDecoder; pure so it runs in the app and in Node scripts.
+ */
+
+function writeTag(view, offset, tag) {
+  for (let i = 0; i < 4; i++) {
+    view.setUint8(offset + i, tag.charCodeAt(i));
+  }
+}
+
+/**
+ * Encode a mono 16-bit PCM WAV file
+ * @param {Int16Array} samples - PCM16 samples
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {Uint8Array} WAV file bytes
+ */
+export function encodeWav(samples, sampleRate) {
+  const dataLength = samples.length * 2;
+  const bytes = new Uint8Array(44 + dataLength);
+  const view = new DataView(bytes.buffer);
+
+  writeTag(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeTag(view, 8, 'WAVE');
+
+  writeTag(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);               // fmt chunk size
+  view.setUint16(20, 1, true);                // PCM
+  view.setUint16(22, 1, true);                // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);   // Byte rate
+  view.setUint16(32, 2, true);                // Block align
+  view.setUint16(34, 16, true);               // Bits per sample
+
+  writeTag(view, 36, 'data');
+  view.setUint32(40, dataLength, true);
+  for (let i = 0; i < samples.length; i++) {
+    view.setInt16(44 + i * 2, samples[i], true);
+  }
+
+  return bytes;
+}
+
+export default encodeWav;
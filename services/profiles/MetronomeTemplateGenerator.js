@@ -1,10 +1,36 @@
-import { Audio } from 'expo-audio';
+import { Asset } from 'expo-asset';
+import { File } from 'expo-file-system';
 import { spectralAnalysis } from '../dsp/SpectralAnalysis';
-import * as FileSystem from 'expo-file-system';
+import { decodeWav, resample, sliceSeconds } from '../dsp/WavDecoder';
+
+// Bundled sounds the app plays; each sprite clip gets its own ignore template
+const SPRITE_SOURCES = [
+  { name: 'metronome', wav: require('../../src/audio/sprites/metronome.wav'), manifest: require('../../src/audio/sprites/metronome.json') },
+  { name: 'tones', wav: require('../../src/audio/sprites/tones.wav'), manifest: require('../../src/audio/sprites/tones.json') },
+  { name: 'wind', wav: require('../../src/audio/sprites/wind.wav'), manifest: require('../../src/audio/sprites/wind.json') },
+];
+
+// Single-sound files (whole file is one clip)
+const PITCHED_SOURCES = [
+  { name: 'high_note', wav: require('../../src/audio/pitched/high_note.wav') },
+  { name: 'low_note_1', wav: require('../../src/audio/pitched/low_note_1.wav') },
+  { name: 'low_note_2', wav: require('../../src/audio/pitched/low_note_2.wav') },
+  { name: 'tick_1', wav: require('../../src/audio/pitched/tick_1.wav') },
+];
+
+// Bumped when template generation changes so stale cached templates are replaced
+const TEMPLATES_STORAGE_KEY = '@PuttIQ:defaultMetronomeTemplates:v2';
+
+// Frames at or above this fraction of the clip's loudest frame count as the sound
+const ACTIVE_FRAME_RATIO = 0.1;
+
+// The detector fires on the attack, so templates use the first frames after onset
+const MAX_TEMPLATE_FRAMES = 8;
 
 /**
  * MetronomeTemplateGenerator - Generate spectral templates from metronome sounds
- * Used to create default ignore profiles for metronome filtering
+ * Used to create default ignore profiles for metronome filtering. Templates come
+ * from the bundled sprite/pitched WAVs (one per clip), with synthetic ones as fallback
  */
 class MetronomeTemplateGenerator {
   constructor() {
@@ -13,50 +39,159 @@ class MetronomeTemplateGenerator {
   }
 
   /**
-   * Generate template from a sound file
-   * @param {string} soundUri - URI to the sound file
+   * Generate template from a WAV file
+   * @param {string} soundUri - URI to the sound file (local file:// URI)
+   * @param {string} name - Profile name
+   * @param {Object} clip - Optional time range within the file
+   * @param {number} clip.start - Clip start (seconds)
+   * @param {number} clip.duration - Clip length (seconds)
    * @returns {Promise<Object>} Profile template object
    */
-  async generateFromSoundFile(soundUri, name = 'Metronome') {
+  async generateFromSoundFile(soundUri, name = 'Metronome', clip = {}) {
     try {
-      console.log('Generating template from:', soundUri);
-      
-      // Load the sound
-      const { sound } = await Audio.Sound.createAsync(
-        { uri: soundUri },
-        { shouldPlay: false }
+      console.log('Generating template from:', soundUri, clip);
+
+      const decoded = await this.decodeSoundFile(soundUri);
+      const template = this.createTemplateFromSamples(
+        sliceSeconds(decoded.samples, this.sampleRate, clip.start || 0, clip.duration)
       );
-      
-      // Get sound status
-      const status = await sound.getStatusAsync();
-      console.log('Sound duration:', status.durationMillis, 'ms');
-      
-      // For React Native, we can't directly access raw audio data from expo-av
-      // We need to use a different approach or simulate the template
-      
-      // Since we can't extract raw audio in React Native easily,
-      // we'll create a simulated template for the metronome
-      const template = this.createMetronomeTemplate();
-      
-      // Clean up
-      await sound.unloadAsync();
-      
-      return {
-        name,
-        kind: 'ignore',
-        template,
-        threshold: 0.97,  // Ultra-strict to prevent false matches
-        sampleRate: this.sampleRate,
-        frameSize: this.frameSize,
-        isDefault: true,
-        enabled: true
-      };
+
+      return this.createProfile(name, template);
     } catch (error) {
       console.error('Error generating template from sound file:', error);
       throw error;
     }
   }
 
+  /**
+   * Read and decode a WAV file, resampled to the detector's sample rate
+   * @param {string} soundUri - Local file URI
+   * @returns {Promise<Object>} Decoded audio ({ samples, sampleRate, duration })
+   */
+  async decodeSoundFile(soundUri) {
+    const bytes = await new File(soundUri).bytes();
+    const decoded = decodeWav(bytes);
+    console.log(`Decoded ${decoded.duration.toFixed(2)}s at ${decoded.sampleRate}Hz (${decoded.channels}ch, ${decoded.bitsPerSample}-bit)`);
+
+    return {
+      samples: resample(decoded.samples, decoded.sampleRate, this.sampleRate),
+      sampleRate: this.sampleRate,
+      duration: decoded.duration,
+    };
+  }
+
+  /**
+   * Build a spectral template from the attack of a sound
+   * @param {Float32Array} samples - Mono samples at this.sampleRate
+   * @returns {Float32Array} Normalized log-magnitude template (128 bins)
+   */
+  createTemplateFromSamples(samples) {
+    const hop = this.frameSize / 2;
+    const frames = [];
+    for (let start = 0; start + this.frameSize <= samples.length; start += hop) {
+      frames.push(samples.subarray(start, start + this.frameSize));
+    }
+
+    // Very short clips: zero-pad a single frame
+    if (frames.length === 0 && samples.length > 0) {
+      const padded = new Float32Array(this.frameSize);
+      padded.set(samples);
+      frames.push(padded);
+    }
+
+    const energies = frames.map(frame => {
+      let sum = 0;
+      for (let i = 0; i < frame.length; i++) {
+        sum += frame[i] * frame[i];
+      }
+      return Math.sqrt(sum / frame.length);
+    });
+    const peak = energies.reduce((max, e) => Math.max(max, e), 0);
+    if (peak <= 1e-6) {
+      throw new Error('Clip is silent');
+    }
+
+    const onset = energies.findIndex(e => e >= peak * ACTIVE_FRAME_RATIO);
+    const spectra = [];
+    for (let i = onset; i < frames.length && spectra.length < MAX_TEMPLATE_FRAMES; i++) {
+      if (energies[i] >= peak * ACTIVE_FRAME_RATIO) {
+        spectra.push(spectralAnalysis.computeSpectrum(frames[i]));
+      }
+    }
+
+    return spectralAnalysis.averageSpectra(spectra);
+  }
+
+  /**
+   * Wrap a template in the ignore-profile shape used by ProfileManager
+   * @param {string} name - Profile name
+   * @param {Float32Array} template - Spectral template
+   * @returns {Object} Profile template object
+   */
+  createProfile(name, template) {
+    return {
+      name,
+      kind: 'ignore',
+      template,
+      threshold: 0.97,  // Ultra-strict to prevent false matches
+      sampleRate: this.sampleRate,
+      frameSize: this.frameSize,
+      isDefault: true,
+      enabled: true
+    };
+  }
+
+  /**
+   * Generate one template per clip in the bundled sprites and pitched sounds
+   * @returns {Promise<Array<Object>>} Array of metronome profiles
+   */
+  async generateSpriteTemplates() {
+    const templates = [];
+
+    for (const source of SPRITE_SOURCES) {
+      const decoded = await this.decodeSoundFile(await this.getAssetUri(source.wav));
+
+      Object.entries(source.manifest.clips).forEach(([clipName, clip]) => {
+        try {
+          const samples = sliceSeconds(decoded.samples, this.sampleRate, clip.start, clip.duration);
+          templates.push(this.createProfile(
+            `Metronome: ${source.name} ${clipName}`,
+            this.createTemplateFromSamples(samples)
+          ));
+        } catch (error) {
+          console.warn(`Skipping template for ${source.name}/${clipName}:`, error.message);
+        }
+      });
+    }
+
+    for (const source of PITCHED_SOURCES) {
+      try {
+        templates.push(await this.generateFromSoundFile(
+          await this.getAssetUri(source.wav),
+          `Metronome: ${source.name}`
+        ));
+      } catch (error) {
+        console.warn(`Skipping template for ${source.name}:`, error.message);
+      }
+    }
+
+    return templates;
+  }
+
+  /**
+   * Resolve a bundled asset module to a local file URI
+   * @param {number} assetModule - require() result for the asset
+   * @returns {Promise<string>} Local URI
+   */
+  async getAssetUri(assetModule) {
+    const asset = Asset.fromModule(assetModule);
+    await asset.downloadAsync();
+    if (!asset.localUri) {
+      throw new Error(`Failed to download asset ${asset.name}`);
+    }
+    return asset.localUri;
+  }
+
   /**
    * Create a synthetic metronome template
    * Based on typical metronome spectral characteristics
@@ -214,7 +349,7 @@ class MetronomeTemplateGenerator {
     try {
       const AsyncStorage = require('@react-native-async-storage/async-storage').default;
       const json = this.exportToJSON(templates);
-      await AsyncStorage.setItem('@PuttIQ:defaultMetronomeTemplates', json);
+      await AsyncStorage.setItem(TEMPLATES_STORAGE_KEY, json);
       console.log('Saved', templates.length, 'templates to storage');
     } catch (error) {
       console.error('Error saving templates:', error);
@@ -228,7 +363,7 @@ class MetronomeTemplateGenerator {
   async loadTemplatesFromStorage() {
     try {
       const AsyncStorage = require('@react-native-async-storage/async-storage').default;
-      const json = await AsyncStorage.getItem('@PuttIQ:defaultMetronomeTemplates');
+      const json = await AsyncStorage.getItem(TEMPLATES_STORAGE_KEY);
       
       if (!json) {
         return [];
@@ -261,9 +396,20 @@ class MetronomeTemplateGenerator {
         return existing;
       }
       
-      // Generate new templates
+      // Generate new templates from the app's own sounds
       console.log('Generating default metronome templates...');
-      const templates = this.generateDefaultTemplates();
+      let templates = [];
+      try {
+        templates = await this.generateSpriteTemplates();
+      } catch (error) {
+        console.error('Error decoding metronome sounds:', error);
+      }
+
+      // Fall back to synthetic templates if the sounds couldn't be decoded
+      if (templates.length === 0) {
+        console.warn('Using synthetic metronome templates');
+        templates = this.generateDefaultTemplates();
+      }
       
       // Save for future use
       await this.saveTemplatesToStorage(templates);
@@ -1,4 +1,9 @@
-import { spectralAnalysis } from '../dsp/SpectralAnalysis';
+import { spectralAnalysis, PROFILE_BAND_COUNT, PROFILE_FREQUENCY_AXIS } from '../dsp/SpectralAnalysis';
+import { findOnsetIndex } from '../dsp/OnsetRefiner';
+import { measureStrike, buildStrikeReference } from '../dsp/StrikeQuality';
+
+// Audio after each calibration impact's onset used for the strike-quality reference
+const STRIKE_MEASURE_MS = 150;
 
 /**
  * ProfileBuilder - Convert audio recordings to spectral profiles
@@ -62,6 +67,7 @@ class ProfileBuilder {
       enabled: true,
       sampleRate: this.sampleRate,
       frameSize: this.frameSize,
+      frequencyAxis: PROFILE_FREQUENCY_AXIS,
       metadata: {
         transientFramesUsed: spectra.length,
         totalFramesProcessed: audioFrames.length,
@@ -197,7 +203,7 @@ class ProfileBuilder {
    * @returns {Object} Profile result
    */
   async buildFromCalibration(calibrationData) {
-    const { impacts, name, kind = 'target', threshold = 0.5, metadata = {} } = calibrationData;
+    const { impacts, name, kind = 'target', threshold = 0.5, putterId = null, metadata = {} } = calibrationData;
     
     console.log(`Building calibrated profile from ${impacts.length} discrete impacts`);
     
@@ -259,6 +265,9 @@ class ProfileBuilder {
     
     // Calculate quality metrics
     const quality = this.assessCalibrationQuality(validSpectra, impactMetrics);
+
+    // How this putter sounds when struck well (reference for strike quality)
+    const strikeReference = this.buildStrikeReference(impacts);
     
     // Create enhanced profile
     const profile = {
@@ -270,12 +279,15 @@ class ProfileBuilder {
       enabled: true,
       sampleRate: this.sampleRate,
       frameSize: this.frameSize,
+      frequencyAxis: PROFILE_FREQUENCY_AXIS,
       isCalibrated: true,
+      putterId,
       metadata: {
         ...metadata,
         calibrationImpacts: impacts.length,
         validSpectra: validSpectra.length,
         quality,
+        strikeReference,
         createdAt: Date.now(),
         averageEnergy: impactMetrics.reduce((sum, m) => sum + m.energy, 0) / impactMetrics.length,
         energyRange: {
@@ -297,6 +309,27 @@ class ProfileBuilder {
     };
   }
 
+  /**
+   * Strike-quality reference from the calibration impacts' recorded audio
+   * @param {Array} impacts - Calibration impacts (audioData at this.sampleRate)
+   * @returns {Object|null} Reference from StrikeQuality, or null without enough audio
+   */
+  buildStrikeReference(impacts) {
+    const measureSamples = Math.round((STRIKE_MEASURE_MS / 1000) * this.sampleRate);
+    const measurements = impacts
+      .filter(impact => impact.audioData && impact.audioData.length > 0)
+      .map(impact => {
+        const audio = impact.audioData instanceof Int16Array
+          ? this.concatenateFrames([impact.audioData])
+          : impact.audioData;
+        const onset = findOnsetIndex(audio, this.sampleRate);
+        if (onset === null) return null;
+        return measureStrike(audio.subarray(onset, onset + measureSamples), this.sampleRate);
+      });
+
+    return buildStrikeReference(measurements);
+  }
+
   /**
    * Concatenate multiple frames into a single buffer
    * @param {Array} frames - Array of audio frames
@@ -421,8 +454,10 @@ class ProfileBuilder {
     
     if (!profile.template || !(profile.template instanceof Float32Array)) {
       errors.push('Profile must have a valid spectral template');
-    } else if (profile.template.length !== 128) {
-      errors.push('Template must have exactly 128 frequency bins');
+    } else if (profile.template.length !== PROFILE_BAND_COUNT) {
+      errors.push(`Template must have exactly ${PROFILE_BAND_COUNT} frequency bins`);
+    } else if (profile.frequencyAxis && profile.frequencyAxis !== PROFILE_FREQUENCY_AXIS) {
+      errors.push(`Template frequency axis "${profile.frequencyAxis}" is not supported`);
     }
     
     if (typeof profile.threshold !== 'number' || 
@@ -490,6 +525,7 @@ class ProfileBuilder {
       enabled: true,
       sampleRate: this.sampleRate,
       frameSize: this.frameSize,
+      frequencyAxis: PROFILE_FREQUENCY_AXIS,
       metadata: {
         isTest: true,
         createdAt: Date.now()
@@ -0,0 +1,152 @@
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { spectralAnalysis, PROFILE_FREQUENCY_AXIS } from '../dsp/SpectralAnalysis';
+import { profileBuilder } from './ProfileBuilder';
+
+/**
+ * ProfileFile - Sound profiles as portable JSON files
+ *
+ * A coach can hand a tuned profile to a student, or a user can back one up,
+ * outside Firestore. The file is versioned; the template is stored as plain
+ * numbers (not the base64 used in storage) so it reads the same on any platform.
+ * Templates made with another sample rate / frame size are moved to the profile
+ * frequency axis on import:
+ *
+ *   {
+ *     "format": "puttiq-profile",
+ *     "formatVersion": 1,
+ *     "exportedAt": "2026-10-19T12:00:00.000Z",
+ *     "profile": {
+ *       "name", "kind", "threshold",
+ *       "sampleRate", "frameSize",   // analysis the template was made with
+ *       "frequencyAxis",             // template layout (see SpectralAnalysis)
+ *       "template": [128 numbers],
+ *       "metadata": { ... }          // calibration quality, strike reference...
+ *     }
+ *   }
+ */
+
+export const PROFILE_FILE_FORMAT = 'puttiq-profile';
+export const PROFILE_FILE_VERSION = 1;
+
+const PROFILE_FILE_EXTENSION = '.puttiq-profile.json';
+
+// File.pickFileAsync rejects with these when the user backs out (iOS, Android)
+const PICKER_CANCELLED_CODES = ['ERR_FILE_PICKING_CANCELLED', 'ERR_PICKER_CANCELLED'];
+
+/**
+ * Profile as a file object
+ * Device-specific fields (ids, owner, putter, version history) are left out.
+ * @param {Object} profile - Profile with a Float32Array template
+ * @returns {Object} File contents (see module comment)
+ */
+export function serializeProfile(profile) {
+  return {
+    format: PROFILE_FILE_FORMAT,
+    formatVersion: PROFILE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      name: profile.name,
+      kind: profile.kind,
+      threshold: profile.threshold,
+      ...spectralAnalysis.getProfileAxis(),
+      template: Array.from(spectralAnalysis.toProfileAxis(profile.template, profile)),
+      metadata: profile.metadata || {},
+    },
+  };
+}
+
+/**
+ * Read and validate a profile file
+ * @param {string|Object} contents - File text or parsed JSON
+ * @returns {Object} Profile ready to save (Float32Array template, no id)
+ * @throws {Error} When the file isn't a valid profile, with the reasons
+ */
+export function parseProfileFile(contents) {
+  let data;
+  try {
+    data = typeof contents === 'string' ? JSON.parse(contents) : contents;
+  } catch (error) {
+    throw new Error('Not a profile file (invalid JSON)');
+  }
+
+  if (!data || data.format !== PROFILE_FILE_FORMAT || !data.profile) {
+    throw new Error('Not a PuttIQ profile file');
+  }
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion > PROFILE_FILE_VERSION) {
+    throw new Error(`Unsupported profile file version ${data.formatVersion}; update the app to import it`);
+  }
+
+  const { template, sampleRate, frameSize, frequencyAxis, ...fields } = data.profile;
+  if (!frequencyAxis && !(sampleRate > 0 && frameSize > 0)) {
+    throw new Error('Profile file is missing the template\'s sample rate and frame size');
+  }
+
+  const values = Array.isArray(template) && template.length > 1 && template.every(Number.isFinite)
+    ? Float32Array.from(template)
+    : null;
+  const profile = {
+    ...fields,
+    // Unknown axes are left for validateProfile to reject
+    template: values && (!frequencyAxis || frequencyAxis === PROFILE_FREQUENCY_AXIS)
+      ? spectralAnalysis.toProfileAxis(values, { frequencyAxis, sampleRate, frameSize })
+      : values,
+    ...(frequencyAxis && frequencyAxis !== PROFILE_FREQUENCY_AXIS
+      ? { frequencyAxis, sampleRate, frameSize }
+      : spectralAnalysis.getProfileAxis()),
+    metadata: fields.metadata || {},
+  };
+
+  const { valid, errors } = profileBuilder.validateProfile(profile);
+  if (!valid) {
+    throw new Error(`Invalid profile: ${errors.join('; ')}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Export a profile through the share sheet
+ * @param {Object} profile - Profile with a Float32Array template
+ * @returns {Promise<string>} URI of the written file
+ */
+export async function shareProfileFile(profile) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const baseName = (profile.name || 'profile').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+  const file = new File(Paths.cache, `${baseName || 'profile'}${PROFILE_FILE_EXTENSION}`);
+  file.create({ overwrite: true });
+  file.write(JSON.stringify(serializeProfile(profile), null, 2), { encoding: 'utf8' });
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: 'application/json',
+    UTI: 'public.json',
+    dialogTitle: 'Share sound profile',
+  });
+
+  return file.uri;
+}
+
+/**
+ * Pick a profile file and read it
+ * @returns {Promise<Object|null>} Profile ready to save, or null if nothing was picked
+ * @throws {Error} When the picked file isn't a valid profile
+ */
+export async function pickProfileFile() {
+  let picked;
+  try {
+    picked = await File.pickFileAsync(undefined, 'application/json');
+  } catch (error) {
+    if (PICKER_CANCELLED_CODES.includes(error?.code) || /cancel/i.test(error?.message || '')) {
+      return null;
+    }
+    throw error;
+  }
+
+  const file = Array.isArray(picked) ? picked[0] : picked;
+  if (!file) return null;
+
+  return parseProfileFile(await file.text());
+}
@@ -0,0 +1,195 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Match similarities kept per profile; the newer half is "recent"
+const HISTORY_SIZE = 40;
+const RECENT_SIZE = 20;
+
+// Matches needed before a profile is judged
+const MIN_MATCHES = 15;
+
+// Share of recent strikes below the profile threshold that flags the profile
+const LOW_MATCH_RATE = 0.5;
+
+// Calibration consistency below this is called out as the likely cause
+const POOR_CALIBRATION_CONSISTENCY = 0.8;
+
+// Profile health states
+export const PROFILE_HEALTH = {
+  UNKNOWN: 'unknown',
+  HEALTHY: 'healthy',
+  NEEDS_RECALIBRATION: 'needsRecalibration',
+};
+
+/**
+ * ProfileHealth - How well live strikes still match each calibrated profile
+ * Records the similarity of every spike compared with a putter profile during
+ * practice. When most recent strikes fall below the profile's threshold, the
+ * profile no longer describes how the putter sounds (new ball, new surface, new
+ * putter, or a noisy calibration) and the user is asked to recalibrate, with
+ * the most likely reason. History is cached per user in AsyncStorage.
+ */
+class ProfileHealth {
+  constructor() {
+    this.userId = null;
+    this.records = {}; // profileId -> { name, threshold, similarities, total, dismissedAt }
+    this.CACHE_KEY = '@PuttIQ:profileHealth:';
+  }
+
+  /**
+   * Load a user's match history
+   * @param {string} userId - User ID (same as the profile manager's)
+   * @returns {Promise<void>}
+   */
+  async load(userId) {
+    this.userId = userId;
+    try {
+      const cached = await AsyncStorage.getItem(`${this.CACHE_KEY}${userId}`);
+      this.records = cached ? JSON.parse(cached) : {};
+    } catch (error) {
+      console.error('Error reading profile health:', error);
+      this.records = {};
+    }
+  }
+
+  /**
+   * Save the match history (call when a practice session ends)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.userId) return;
+
+    try {
+      await AsyncStorage.setItem(`${this.CACHE_KEY}${this.userId}`, JSON.stringify(this.records));
+    } catch (error) {
+      console.error('Error caching profile health:', error);
+    }
+  }
+
+  /**
+   * Record a live spike's match against a calibrated profile
+   * @param {Object} match - From ProfileManager.checkPutterProfile
+   *   ({ profileId, profile, similarity, threshold, isCalibrated })
+   */
+  recordMatch(match) {
+    if (!match?.profileId || !match.isCalibrated || typeof match.similarity !== 'number') return;
+
+    const record = this.records[match.profileId] || { similarities: [], total: 0, dismissedAt: null };
+    record.name = match.profile;
+    record.threshold = match.threshold;
+    record.similarities = [...record.similarities, match.similarity].slice(-HISTORY_SIZE);
+    record.total++;
+    this.records[match.profileId] = record;
+  }
+
+  /**
+   * Forget a profile's history (its template was replaced, e.g. by a rollback)
+   * @param {string} profileId - Profile ID
+   */
+  resetProfile(profileId) {
+    delete this.records[profileId];
+  }
+
+  /**
+   * Health report for a profile
+   * @param {Object} profile - Profile (id, name, threshold, metadata.quality)
+   * @returns {Object} { status, matches, medianSimilarity, lowMatchRate, threshold,
+   *   calibrationConsistency, calibrationConfidence, reason }
+   */
+  getReport(profile) {
+    const record = this.records[profile.id];
+    const threshold = record?.threshold ?? profile.threshold;
+    const quality = profile.metadata?.quality || null;
+    const report = {
+      profileId: profile.id,
+      status: PROFILE_HEALTH.UNKNOWN,
+      matches: record?.total || 0,
+      medianSimilarity: null,
+      lowMatchRate: null,
+      threshold,
+      calibrationConsistency: quality?.consistency ?? null,
+      calibrationConfidence: quality?.confidence ?? null,
+      reason: null,
+    };
+
+    const similarities = record?.similarities || [];
+    if (similarities.length < MIN_MATCHES) return report;
+
+    const recent = similarities.slice(-RECENT_SIZE);
+    const earlier = similarities.slice(0, -RECENT_SIZE);
+    report.medianSimilarity = median(recent);
+    report.lowMatchRate = recent.filter(s => s < threshold).length / recent.length;
+
+    if (report.lowMatchRate < LOW_MATCH_RATE) {
+      report.status = PROFILE_HEALTH.HEALTHY;
+      return report;
+    }
+
+    report.status = PROFILE_HEALTH.NEEDS_RECALIBRATION;
+    report.reason = getRecalibrationReason(report, earlier, profile.name);
+    return report;
+  }
+
+  /**
+   * Recalibration prompt for the first struggling profile, unless the user
+   * dismissed it and hasn't made a full history of strikes since
+   * @param {Object[]} profiles - Profiles to check (e.g. the active putter's)
+   * @returns {Object|null} Report of the profile to recalibrate, or null
+   */
+  getRecalibrationPrompt(profiles) {
+    for (const profile of profiles) {
+      const report = this.getReport(profile);
+      const dismissedAt = this.records[profile.id]?.dismissedAt;
+      const snoozed = dismissedAt !== null && dismissedAt !== undefined
+        && report.matches - dismissedAt < HISTORY_SIZE;
+
+      if (report.status === PROFILE_HEALTH.NEEDS_RECALIBRATION && !snoozed) {
+        return report;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Don't prompt again for a profile until it has another full history of strikes
+   * @param {string} profileId - Profile ID
+   */
+  dismissPrompt(profileId) {
+    const record = this.records[profileId];
+    if (record) {
+      record.dismissedAt = record.total;
+    }
+  }
+}
+
+/**
+ * Most likely reason live strikes stopped matching a profile
+ * @param {Object} report - Report with medianSimilarity, lowMatchRate, threshold
+ * @param {number[]} earlier - Similarities before the recent ones
+ * @param {string} name - Profile name
+ * @returns {string} Message for the recalibration prompt
+ */
+function getRecalibrationReason(report, earlier, name) {
+  const { medianSimilarity, lowMatchRate, threshold, calibrationConsistency } = report;
+  const percent = value => `${Math.round(value * 100)}%`;
+  const summary = `${percent(lowMatchRate)} of your recent strikes matched "${name}" below its ${percent(threshold)} threshold (typical match ${percent(medianSimilarity)}).`;
+
+  if (earlier.length >= MIN_MATCHES / 2 && median(earlier) >= threshold) {
+    return `Your strikes have started sounding different: ${summary} A new ball, putting surface or putter changes the sound. Recalibrate with what you're using now.`;
+  }
+
+  if (calibrationConsistency !== null && calibrationConsistency < POOR_CALIBRATION_CONSISTENCY) {
+    return `The calibration strikes were inconsistent (${percent(calibrationConsistency)} alike) and ${summary} Recalibrate in a quiet room with steady, centered strikes.`;
+  }
+
+  return `${summary} Recalibrate on the surface and with the ball you practice with.`;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+// Export singleton instance
+export const profileHealth = new ProfileHealth();
+export default profileHealth;
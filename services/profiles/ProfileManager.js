@@ -1,6 +1,19 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { firebaseProfileService } from './FirebaseProfileService';
-import { spectralAnalysis } from '../dsp/SpectralAnalysis';
+import { spectralAnalysis, PROFILE_FREQUENCY_AXIS } from '../dsp/SpectralAnalysis';
+import { profileHealth } from './ProfileHealth';
+
+// Adaptive refinement: each strike is weighted 1/(n+1), with n capped so the
+// template keeps following the putter (a running average over ~this many strikes)
+const REFINE_MAX_WEIGHT = 50;
+
+// Drift protection: strikes less similar than this (or the profile's own
+// threshold, if higher) are not folded in
+const REFINE_MIN_SIMILARITY = 0.9;
+
+// Refined strikes per saved template version, and versions kept for rollback
+const REFINE_VERSION_INTERVAL = 20;
+const MAX_PROFILE_VERSIONS = 10;
 
 /**
  * ProfileManager - Central profile management with Firebase integration
@@ -15,6 +28,9 @@ class ProfileManager {
       ignore: []
     };
     this.defaultProfiles = [];
+    this.activePutterId = null;
+    this.activeProfileId = null; // The active putter's current calibration
+    this.pendingRefinements = new Map(); // profileId -> { count, savedTemplate, version } not yet saved as a version
     this.initialized = false;
     this.unsubscribe = null;
   }
@@ -45,6 +61,9 @@ class ProfileManager {
         this.processProfiles(userProfiles);
       }
       
+      // Live match history for the profile health report
+      await profileHealth.load(userId);
+
       // Subscribe to profile updates
       this.subscribeToUpdates();
       
@@ -61,6 +80,13 @@ class ProfileManager {
    * @param {Array} profiles - Array of profile objects
    */
   processProfiles(profiles) {
+    // In-memory templates with unsaved refinements (the stored ones predate them)
+    const refinedTemplates = new Map();
+    this.pendingRefinements.forEach((pending, profileId) => {
+      const current = this.profiles.get(profileId);
+      if (current) refinedTemplates.set(profileId, current.template);
+    });
+
     // Clear existing
     this.profiles.clear();
     this.enabledProfiles.target = [];
@@ -72,6 +98,13 @@ class ProfileManager {
       if (typeof profile.template === 'string') {
         profile.template = spectralAnalysis.base64ToFloat32(profile.template);
       }
+
+      // Templates made with another sample rate / frame size: match on the profile axis
+      // (saved in the new layout the next time the template is written)
+      if (profile.template && profile.frequencyAxis !== PROFILE_FREQUENCY_AXIS) {
+        profile.template = spectralAnalysis.toProfileAxis(profile.template, profile);
+        Object.assign(profile, spectralAnalysis.getProfileAxis());
+      }
       
       // SIMPLIFIED: Only handle target profiles, skip ignore profiles
       if (profile.kind === 'ignore') {
@@ -84,6 +117,17 @@ class ProfileManager {
         profile.threshold = 0.85; // Standard threshold for putter
       }
       
+      // Keep unsaved refinements of the same stored version; a newer version
+      // (saved elsewhere, or a rollback) replaces them
+      const pending = this.pendingRefinements.get(profile.id);
+      if (pending) {
+        if (refinedTemplates.has(profile.id) && (profile.version || 1) === pending.version) {
+          profile.template = refinedTemplates.get(profile.id);
+        } else {
+          this.pendingRefinements.delete(profile.id);
+        }
+      }
+
       // Store in map
       this.profiles.set(profile.id, profile);
       
@@ -97,6 +141,11 @@ class ProfileManager {
       }
     });
     
+    // Profiles no longer stored have nothing to refine
+    this.pendingRefinements.forEach((pending, profileId) => {
+      if (!this.profiles.has(profileId)) this.pendingRefinements.delete(profileId);
+    });
+
     // SIMPLIFIED: No default profiles needed anymore
   }
 
@@ -224,13 +273,77 @@ class ProfileManager {
     };
   }
 
+  /**
+   * Select the putter in use; only its current profile is matched
+   * @param {string|null} putterId - Putter ID (null = profiles not owned by a putter)
+   * @param {string|null} profileId - The putter's current profile (putter.profileId)
+   */
+  setActivePutter(putterId, profileId = null) {
+    this.activePutterId = putterId || null;
+    this.activeProfileId = putterId ? profileId || null : null;
+  }
+
+  /**
+   * Enabled putter profiles for the active putter
+   * With a putter active that is its current profile only (none until it is
+   * calibrated: other putters' templates never stand in). Without one, the
+   * enabled profiles that don't belong to any putter.
+   * @returns {Array} Target profiles
+   */
+  getPutterProfiles() {
+    const targets = this.enabledProfiles.target;
+    if (!this.activePutterId) {
+      return targets.filter(profile => !profile.putterId);
+    }
+
+    return targets.filter(profile => profile.id === this.activeProfileId);
+  }
+
+  /**
+   * Take a superseded profile out of matching (a putter was recalibrated,
+   * given an imported profile, or removed)
+   * The profile is disabled rather than deleted, so it can still be inspected.
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<void>}
+   */
+  async retireProfile(profileId) {
+    const profile = this.profiles.get(profileId);
+    if (!profile) return;
+
+    this.pendingRefinements.delete(profileId);
+    profile.enabled = false;
+    profile.retiredAt = Date.now();
+    this.enabledProfiles.target = this.enabledProfiles.target.filter(p => p.id !== profileId);
+
+    // Its match history would keep asking for the recalibration that replaced it
+    profileHealth.resetProfile(profileId);
+    await profileHealth.save();
+
+    await this.updateProfile(profileId, { enabled: false, retiredAt: profile.retiredAt });
+  }
+
+  /**
+   * Retire every profile owned by a putter (the putter was removed)
+   * @param {string} putterId - Putter ID
+   * @returns {Promise<void>}
+   */
+  async retirePutterProfiles(putterId) {
+    const owned = this.getAllProfiles().filter(
+      profile => profile.putterId === putterId && profile.enabled
+    );
+    for (const profile of owned) {
+      await this.retireProfile(profile.id);
+    }
+  }
+
   /**
    * SIMPLIFIED: Check only for putter profile match
    * @param {Float32Array} spectrum - Spectral data to check
    * @returns {Object|null} Match result or null
    */
   checkPutterProfile(spectrum) {
-    if (!spectrum || this.enabledProfiles.target.length === 0) {
+    const putterProfiles = this.getPutterProfiles();
+    if (!spectrum || putterProfiles.length === 0) {
       return null;
     }
     
@@ -238,7 +351,7 @@ class ProfileManager {
     let bestMatch = null;
     let bestSimilarity = 0;
     
-    for (const profile of this.enabledProfiles.target) {
+    for (const profile of putterProfiles) {
       const similarity = spectralAnalysis.cosineSimilarity(spectrum, profile.template);
       if (similarity > bestSimilarity) {
         bestMatch = profile;
@@ -249,13 +362,227 @@ class ProfileManager {
     if (bestMatch) {
       return {
         profile: bestMatch.name,
-        similarity: bestSimilarity
+        profileId: bestMatch.id,
+        similarity: bestSimilarity,
+        threshold: bestMatch.threshold,
+        isCalibrated: !!bestMatch.isCalibrated
       };
     }
     
     return null;
   }
 
+  /**
+   * How well live strikes still match a profile (see ProfileHealth)
+   * @param {string} profileId - Profile ID
+   * @returns {Object|null} Health report, or null for an unknown profile
+   */
+  getProfileHealth(profileId) {
+    const profile = this.profiles.get(profileId);
+    return profile ? profileHealth.getReport(profile) : null;
+  }
+
+  /**
+   * Recalibration prompt for the active putter's calibrated profiles
+   * @returns {Object|null} Health report with the reason, or null if none is due
+   */
+  getRecalibrationPrompt() {
+    return profileHealth.getRecalibrationPrompt(
+      this.getPutterProfiles().filter(profile => profile.isCalibrated)
+    );
+  }
+
+  /**
+   * Strike-quality reference recorded with the active putter's profile
+   * @param {string} [profileName] - Preferred profile (e.g. the spectral gate's match)
+   * @returns {Object|null} Reference from StrikeQuality, or null if no enabled
+   *   putter profile has one
+   */
+  getStrikeReference(profileName) {
+    const withReference = this.getPutterProfiles().filter(
+      profile => profile.metadata?.strikeReference
+    );
+    const profile = withReference.find(p => p.name === profileName) || withReference[0];
+    return profile ? profile.metadata.strikeReference : null;
+  }
+
+  /**
+   * Fold a confirmed strike into the best-matching putter profile (adaptive mode)
+   * The template moves by a bounded running average; every REFINE_VERSION_INTERVAL
+   * strikes it is saved as a new version, keeping the previous one for rollback.
+   * @param {Float32Array} spectrum - Strike spectrum (profile template layout)
+   * @returns {Object} { accepted, profile, similarity, reason }
+   */
+  refineProfile(spectrum) {
+    const candidates = this.getPutterProfiles().filter(profile => !profile.isDefault);
+    if (!spectrum || candidates.length === 0) {
+      return { accepted: false, reason: 'No calibrated putter profile' };
+    }
+
+    let best = null;
+    let similarity = 0;
+    candidates.forEach(profile => {
+      const s = spectralAnalysis.cosineSimilarity(spectrum, profile.template);
+      if (s > similarity) {
+        best = profile;
+        similarity = s;
+      }
+    });
+
+    const minSimilarity = Math.max(best?.threshold || 0, REFINE_MIN_SIMILARITY);
+    if (!best || similarity < minSimilarity) {
+      return {
+        accepted: false,
+        profile: best?.name,
+        similarity,
+        reason: `Too different from the profile (${(similarity * 100).toFixed(1)}% < ${(minSimilarity * 100).toFixed(0)}%)`
+      };
+    }
+
+    // Remember the saved template before the first unsaved change (the version to keep)
+    const pending = this.pendingRefinements.get(best.id)
+      || { count: 0, savedTemplate: spectralAnalysis.float32ToBase64(best.template), version: best.version || 1 };
+
+    const strikeCount = (best.refinedStrikes || 0) + pending.count
+      + (best.metadata?.validSpectra || best.metadata?.transientFramesUsed || 0);
+    const weight = 1 / (Math.min(strikeCount, REFINE_MAX_WEIGHT) + 1);
+
+    const template = new Float32Array(best.template.length);
+    for (let i = 0; i < template.length; i++) {
+      template[i] = (1 - weight) * best.template[i] + weight * spectrum[i];
+    }
+    best.template = spectralAnalysis.normalize(template);
+
+    pending.count++;
+    this.pendingRefinements.set(best.id, pending);
+
+    if (pending.count >= REFINE_VERSION_INTERVAL) {
+      this.saveRefinement(best.id).catch(error => {
+        console.error('Error saving refined profile:', error);
+      });
+    }
+
+    return { accepted: true, profile: best.name, similarity };
+  }
+
+  /**
+   * Save a profile's unsaved refinements as a new template version
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<boolean>} True if a version was saved
+   */
+  async saveRefinement(profileId) {
+    const pending = this.pendingRefinements.get(profileId);
+    const profile = this.profiles.get(profileId);
+    if (!pending || !profile || !this.userId) {
+      return false;
+    }
+
+    this.pendingRefinements.delete(profileId);
+
+    const version = (profile.version || 1) + 1;
+    const updates = {
+      template: spectralAnalysis.float32ToBase64(profile.template),
+      version,
+      versionSource: 'refinement',
+      versionSavedAt: Date.now(),
+      refinedStrikes: (profile.refinedStrikes || 0) + pending.count,
+      versions: this.appendVersion(profile, pending.savedTemplate),
+      ...spectralAnalysis.getProfileAxis()
+    };
+
+    Object.assign(profile, { ...updates, template: profile.template });
+    await firebaseProfileService.updateProfile(this.userId, profileId, updates);
+
+    console.log(`Profile "${profile.name}" refined to v${version} (${pending.count} strikes)`);
+    return true;
+  }
+
+  /**
+   * Save all unsaved refinements (e.g. when a practice session ends)
+   * @returns {Promise<void>}
+   */
+  async flushRefinements() {
+    for (const profileId of Array.from(this.pendingRefinements.keys())) {
+      await this.saveRefinement(profileId);
+    }
+  }
+
+  /**
+   * Restore an earlier template version
+   * Saved as a new version, so the rollback itself can be undone; unsaved
+   * refinements are discarded.
+   * @param {string} profileId - Profile ID
+   * @param {number} version - Version to restore
+   * @returns {Promise<void>}
+   */
+  async rollbackProfile(profileId, version) {
+    const profile = this.profiles.get(profileId);
+    const target = profile?.versions?.find(v => v.version === version);
+    if (!target) {
+      throw new Error(`Profile version ${version} not found`);
+    }
+
+    const pending = this.pendingRefinements.get(profileId);
+    this.pendingRefinements.delete(profileId);
+    const currentTemplate = pending
+      ? pending.savedTemplate
+      : spectralAnalysis.float32ToBase64(profile.template);
+
+    const updates = {
+      template: target.template,
+      version: (profile.version || 1) + 1,
+      versionSource: `rollback to v${version}`,
+      versionSavedAt: Date.now(),
+      versions: this.appendVersion(profile, currentTemplate),
+      ...spectralAnalysis.getProfileAxis()
+    };
+
+    Object.assign(profile, { ...updates, template: spectralAnalysis.base64ToFloat32(target.template) });
+    profileHealth.resetProfile(profileId);
+    await firebaseProfileService.updateProfile(this.userId, profileId, updates);
+
+    console.log(`Profile "${profile.name}" rolled back to v${version}`);
+  }
+
+  /**
+   * Version history of a profile, newest first (templates left out)
+   * @param {string} profileId - Profile ID
+   * @returns {Object|null} { version, source, savedAt, refinedStrikes, pendingStrikes, history }
+   */
+  getProfileVersions(profileId) {
+    const profile = this.profiles.get(profileId);
+    if (!profile) {
+      return null;
+    }
+
+    return {
+      version: profile.version || 1,
+      source: profile.versionSource || 'calibration',
+      savedAt: profile.versionSavedAt || profile.metadata?.createdAt || null,
+      refinedStrikes: profile.refinedStrikes || 0,
+      pendingStrikes: this.pendingRefinements.get(profileId)?.count || 0,
+      history: (profile.versions || [])
+        .map(({ template, ...entry }) => entry)
+        .reverse()
+    };
+  }
+
+  /**
+   * Profile's version list with its current saved version appended (bounded)
+   * @param {Object} profile - Profile
+   * @param {string} savedTemplate - The current version's template (base64)
+   * @returns {Array} Versions, oldest first
+   */
+  appendVersion(profile, savedTemplate) {
+    const entry = {
+      version: profile.version || 1,
+      source: profile.versionSource || 'calibration',
+      savedAt: profile.versionSavedAt || profile.metadata?.createdAt || null,
+      template: savedTemplate
+    };
+    return [...(profile.versions || []), entry].slice(-MAX_PROFILE_VERSIONS);
+  }
+
   /**
    * Save a new profile
    * @param {Object} profile - Profile to save
@@ -266,15 +593,44 @@ class ProfileManager {
       throw new Error('ProfileManager not initialized');
     }
     
-    // Convert template to base64 for storage
+    // Convert template to base64 for storage (on the profile frequency axis)
     const profileToSave = {
       ...profile,
-      template: spectralAnalysis.float32ToBase64(profile.template)
+      ...spectralAnalysis.getProfileAxis(),
+      template: spectralAnalysis.float32ToBase64(spectralAnalysis.toProfileAxis(profile.template, profile))
     };
     
     return await firebaseProfileService.saveProfile(this.userId, profileToSave);
   }
 
+  /**
+   * Save a profile read from a profile file (see ProfileFile) as a new profile
+   * It replaces the putter's current profile, which is retired.
+   * @param {Object} profile - Result of parseProfileFile
+   * @param {string|null} putterId - Putter the profile is for
+   * @param {string|null} replacesProfileId - The putter's current profile
+   * @returns {Promise<Object>} Saved profile
+   */
+  async importProfile(profile, putterId = null, replacesProfileId = null) {
+    const imported = {
+      ...profile,
+      id: `imported_${Date.now()}`,
+      enabled: true,
+      isCalibrated: true,
+      putterId,
+      metadata: {
+        ...profile.metadata,
+        importedAt: Date.now()
+      }
+    };
+
+    await this.saveProfile(imported);
+    if (replacesProfileId) {
+      await this.retireProfile(replacesProfileId);
+    }
+    return imported;
+  }
+
   /**
    * Update a profile
    * @param {string} profileId - Profile ID
@@ -0,0 +1,187 @@
+import {
+  collection,
+  doc,
+  setDoc,
+  getDocs,
+  deleteDoc
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Face insert options (changes how a strike sounds, so it is kept with the putter)
+export const INSERT_TYPES = [
+  { id: 'milled', label: 'Milled face' },
+  { id: 'polymer', label: 'Polymer insert' },
+  { id: 'grooved', label: 'Grooved insert' },
+  { id: 'other', label: 'Other' },
+];
+
+export const DEFAULT_INSERT_TYPE_ID = 'milled';
+
+/**
+ * Display name for a putter (its own name, or make + model)
+ * @param {Object|null} putter - Putter entity
+ * @returns {string} Name for lists and chips
+ */
+export function getPutterName(putter) {
+  if (!putter) return 'No putter';
+  return putter.name || [putter.make, putter.model].filter(Boolean).join(' ') || 'Putter';
+}
+
+/**
+ * PutterService - The putters a player practices with
+ * Each putter (make, model, insert type) owns its calibrated sound profiles
+ * (profile.putterId). Putters are cached in AsyncStorage and synced to
+ * users/{uid}/putters in Firestore, under the same id as the profiles.
+ */
+class PutterService {
+  constructor() {
+    this.putters = [];
+    this.CACHE_KEY = '@PuttIQ:putters:';
+  }
+
+  /**
+   * Generate a unique putter ID
+   * @returns {string} Putter ID
+   */
+  generatePutterId() {
+    return 'putter_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Load a user's putters, oldest first
+   * @param {string} userId - User ID (same as the profile manager's)
+   * @returns {Promise<Array>} Putters
+   */
+  async loadPutters(userId) {
+    try {
+      const snapshot = await getDocs(collection(db, 'users', userId, 'putters'));
+      const putters = [];
+      snapshot.forEach((docSnap) => {
+        putters.push(docSnap.data());
+      });
+
+      // Keep putters added offline that haven't reached Firestore yet
+      const remoteIds = new Set(putters.map(p => p.id));
+      const unsynced = (await this.getCachedPutters(userId)).filter(p => !p.synced && !remoteIds.has(p.id));
+
+      this.putters = [...putters, ...unsynced].sort((a, b) => a.createdAt - b.createdAt);
+      await this.cachePutters(userId);
+
+      for (const putter of unsynced) {
+        await this.syncPutter(userId, putter);
+      }
+    } catch (error) {
+      console.log('Firebase offline, using cached putters');
+      this.putters = await this.getCachedPutters(userId);
+    }
+
+    return this.putters;
+  }
+
+  /**
+   * Add or update a putter
+   * @param {string} userId - User ID
+   * @param {Object} putter - { id?, name?, make, model, insertType, profileId? }
+   * @returns {Promise<Object>} Saved putter
+   */
+  async savePutter(userId, putter) {
+    const existing = putter.id ? this.getPutter(putter.id) : null;
+    const saved = {
+      insertType: DEFAULT_INSERT_TYPE_ID,
+      profileId: null,
+      ...existing,
+      ...putter,
+      id: putter.id || this.generatePutterId(),
+      createdAt: existing?.createdAt || Date.now(),
+      synced: false
+    };
+
+    this.putters = existing
+      ? this.putters.map(p => (p.id === saved.id ? saved : p))
+      : [...this.putters, saved];
+    await this.cachePutters(userId);
+    await this.syncPutter(userId, saved);
+
+    console.log('🏌️ Putter saved:', saved.id, getPutterName(saved));
+    return saved;
+  }
+
+  /**
+   * Remove a putter (its profiles and sessions are kept)
+   * @param {string} userId - User ID
+   * @param {string} putterId - Putter ID
+   * @returns {Promise<void>}
+   */
+  async deletePutter(userId, putterId) {
+    this.putters = this.putters.filter(p => p.id !== putterId);
+    await this.cachePutters(userId);
+
+    try {
+      await deleteDoc(doc(db, 'users', userId, 'putters', putterId));
+    } catch (error) {
+      console.error('Error deleting putter:', error);
+    }
+  }
+
+  /**
+   * Get a loaded putter by ID
+   * @param {string} putterId - Putter ID
+   * @returns {Object|null} Putter or null
+   */
+  getPutter(putterId) {
+    return this.putters.find(p => p.id === putterId) || null;
+  }
+
+  /**
+   * Save a putter to Firestore and mark it as synced in the cache
+   * @param {string} userId - User ID
+   * @param {Object} putter - Putter to sync
+   * @returns {Promise<boolean>} True if synced
+   */
+  async syncPutter(userId, putter) {
+    try {
+      await setDoc(doc(db, 'users', userId, 'putters', putter.id), { ...putter, synced: true });
+
+      putter.synced = true;
+      await this.cachePutters(userId);
+      return true;
+    } catch (error) {
+      console.log('Firebase offline, putter kept in cache for later sync:', putter.id);
+      return false;
+    }
+  }
+
+  // Cache Management Methods
+
+  /**
+   * Cache the loaded putters
+   * @param {string} userId - User ID
+   */
+  async cachePutters(userId) {
+    try {
+      await AsyncStorage.setItem(`${this.CACHE_KEY}${userId}`, JSON.stringify(this.putters));
+    } catch (error) {
+      console.error('Error caching putters:', error);
+    }
+  }
+
+  /**
+   * Get cached putters
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Cached putters
+   */
+  async getCachedPutters(userId) {
+    try {
+      const cached = await AsyncStorage.getItem(`${this.CACHE_KEY}${userId}`);
+      return cached ? JSON.parse(cached) : [];
+    } catch (error) {
+      console.error('Error reading cached putters:', error);
+      return [];
+    }
+  }
+}
+
+// Export singleton instance
+export const putterService = new PutterService();
+export default putterService;
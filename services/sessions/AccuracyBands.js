@@ -0,0 +1,129 @@
+/**
+ * AccuracyBands - Shared timing scoring for strikes
+ * One set of millisecond thresholds drives the detector's accuracy score,
+ * the hit colors and the session band counts, so they always agree.
+ */
+
+export const PERFECT_LABEL = 'PERFECT!';
+
+// Band labels in display order
+export const ACCURACY_LABELS = [PERFECT_LABEL, 'Great', 'Good', 'OK', 'Too Early', 'Too Late'];
+
+// Upper limits (absolute error in ms) for each band; anything past `ok` is early/late
+export const SCORING_PRESETS = [
+  { id: 'beginner', label: 'Beginner', bands: { perfect: 80, great: 150, good: 220, ok: 300 } },
+  { id: 'club', label: 'Club', bands: { perfect: 50, great: 100, good: 150, ok: 200 } },
+  { id: 'tour', label: 'Tour', bands: { perfect: 25, great: 50, good: 80, ok: 120 } },
+];
+
+export const CUSTOM_PRESET_ID = 'custom';
+
+// Club matches the original fixed 50/100/150/200 ms thresholds
+export const DEFAULT_SCORING_PRESET_ID = 'club';
+
+export const DEFAULT_SCORING_SETTINGS = {
+  preset: DEFAULT_SCORING_PRESET_ID,
+  customBands: null,
+};
+
+const BAND_KEYS = ['perfect', 'great', 'good', 'ok'];
+const MIN_BAND_GAP_MS = 5;
+
+// Visual treatment per band (hit feedback bar)
+const BAND_STYLES = {
+  [PERFECT_LABEL]: { color: '#00FF00', glow: 'rgba(0, 255, 0, 0.8)', shadowRadius: 12, barWidth: 10 },
+  Great: { color: '#4CD964', glow: 'rgba(76, 217, 100, 0.5)', shadowRadius: 8, barWidth: 8 },
+  Good: { color: '#FFCC00', glow: 'rgba(255, 204, 0, 0.4)', shadowRadius: 6, barWidth: 6 },
+  OK: { color: '#FF9500', glow: 'rgba(255, 149, 0, 0.3)', shadowRadius: 4, barWidth: 6 },
+  Miss: { color: '#FF3B30', glow: 'rgba(255, 59, 48, 0.2)', shadowRadius: 3, barWidth: 4 },
+};
+
+function getPreset(id) {
+  return SCORING_PRESETS.find(p => p.id === id)
+    || SCORING_PRESETS.find(p => p.id === DEFAULT_SCORING_PRESET_ID);
+}
+
+/**
+ * Make custom bands usable: positive, whole ms and strictly increasing
+ * @param {Object} bands - { perfect, great, good, ok } upper limits in ms
+ * @returns {Object} Normalized bands (missing values fall back to the default preset)
+ */
+export function normalizeBands(bands = {}) {
+  const fallback = getPreset(DEFAULT_SCORING_PRESET_ID).bands;
+  const normalized = {};
+  let previous = 0;
+
+  BAND_KEYS.forEach(key => {
+    const value = Number(bands?.[key]);
+    const ms = Number.isFinite(value) ? Math.round(value) : fallback[key];
+    normalized[key] = Math.max(previous + MIN_BAND_GAP_MS, ms);
+    previous = normalized[key];
+  });
+
+  return normalized;
+}
+
+/**
+ * Resolve scoring settings to band limits
+ * @param {Object} settings - { preset, customBands } as saved in user settings
+ * @returns {Object} { perfect, great, good, ok } upper limits in ms
+ */
+export function getScoringBands(settings = DEFAULT_SCORING_SETTINGS) {
+  if (settings?.preset === CUSTOM_PRESET_ID && settings.customBands) {
+    return normalizeBands(settings.customBands);
+  }
+  return { ...getPreset(settings?.preset).bands };
+}
+
+/**
+ * Accuracy score for a timing error
+ * 1.0 inside the perfect band, falling linearly to 0.0 at the edge of the OK band
+ * @param {number} errorMs - Timing error (negative = early, positive = late)
+ * @param {Object} bands - Band limits from getScoringBands()
+ * @returns {number} Accuracy 0-1
+ */
+export function getAccuracy(errorMs, bands = getScoringBands()) {
+  const absErrorMs = Math.abs(errorMs);
+  if (absErrorMs <= bands.perfect) return 1.0;
+  if (absErrorMs >= bands.ok) return 0.0;
+  return 1.0 - ((absErrorMs - bands.perfect) / (bands.ok - bands.perfect));
+}
+
+/**
+ * Band label for a timing error
+ * @param {number} errorMs - Timing error (negative = early, positive = late)
+ * @param {Object} bands - Band limits from getScoringBands()
+ * @returns {string} One of ACCURACY_LABELS
+ */
+export function getBandLabel(errorMs, bands = getScoringBands()) {
+  const absErrorMs = Math.abs(errorMs);
+  if (absErrorMs <= bands.perfect) return PERFECT_LABEL;
+  if (absErrorMs <= bands.great) return 'Great';
+  if (absErrorMs <= bands.good) return 'Good';
+  if (absErrorMs <= bands.ok) return 'OK';
+  return errorMs < 0 ? 'Too Early' : 'Too Late';
+}
+
+/**
+ * Hit feedback colors for a band label
+ * @param {string} label - One of ACCURACY_LABELS
+ * @returns {Object} { label, color, glow, shadowRadius, barWidth }
+ */
+export function getLabelStyle(label) {
+  return {
+    ...(BAND_STYLES[label] || BAND_STYLES.Miss),
+    label,
+  };
+}
+
+/**
+ * Label plus hit feedback colors for a timing error
+ * @param {number} errorMs - Timing error (negative = early, positive = late)
+ * @param {Object} bands - Band limits from getScoringBands()
+ * @returns {Object} { label, color, glow, shadowRadius, barWidth }
+ */
+export function getBandStyle(errorMs, bands = getScoringBands()) {
+  return getLabelStyle(getBandLabel(errorMs, bands));
+}
+
+export default getScoringBands;
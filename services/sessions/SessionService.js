@@ -0,0 +1,311 @@
+import {
+  collection,
+  doc,
+  setDoc,
+  getDocs,
+  query,
+  orderBy,
+  limit
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * SessionService - Records Listen Mode practice sessions
+ * Each session holds the strikes detected between START and STOP and is
+ * cached in AsyncStorage, then synced to users/{uid}/sessions in Firestore
+ */
+class SessionService {
+  constructor() {
+    this.activeSession = null;
+    this.CACHE_KEY = '@PuttIQ:sessions:';
+    this.MAX_CACHED_SESSIONS = 100;
+  }
+
+  /**
+   * Generate a unique session ID
+   * @returns {string} Session ID
+   */
+  generateSessionId() {
+    return 'sess_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Start a new practice session
+   * @param {Object} params - Session parameters
+   * @param {string} params.userId - User ID
+   * @param {number} params.bpm - Tempo in beats per minute
+   * @param {string} params.soundType - 'tone', 'beat', 'wind' or 'detect'
+   * @param {string|null} [params.putterId=null] - Active putter (see PutterService)
+   * @returns {Promise<Object>} The new active session
+   */
+  async startSession({ userId, bpm, soundType, putterId = null }) {
+    // Finish anything left over from a previous run (e.g. app was killed mid-session)
+    if (this.activeSession) {
+      await this.endSession();
+    } else {
+      await this.recoverActiveSession(userId);
+    }
+
+    const now = Date.now();
+    this.activeSession = {
+      id: this.generateSessionId(),
+      userId,
+      bpm,
+      soundType,
+      putterId,
+      startedAt: now,
+      endedAt: null,
+      durationMs: 0,
+      strikes: [],
+      synced: false
+    };
+
+    await this.cacheActiveSession();
+    console.log('📝 Session started:', this.activeSession.id);
+    return this.activeSession;
+  }
+
+  /**
+   * Record a detected strike in the active session
+   * @param {Object} strike - Strike data
+   * @param {number} strike.errorMs - Signed timing error (negative = early)
+   * @param {number} strike.accuracy - Accuracy score (0-1)
+   * @param {string} strike.label - Accuracy band label (e.g. 'PERFECT!', 'Too Late')
+   * @param {string} [strike.type='strike'] - Detector event type ('strike' or 'doubleHit')
+   * @param {number|null} [strike.solidness=null] - Strike quality score (0-1), if measured
+   * @param {string|null} [strike.contact=null] - Contact estimate (StrikeQuality CONTACT_LABELS)
+   * @returns {Promise<Object|null>} Recorded strike or null if no session is active
+   */
+  async recordStrike({ errorMs, accuracy, label, type = 'strike', solidness = null, contact = null }) {
+    if (!this.activeSession) {
+      return null;
+    }
+
+    const strike = {
+      errorMs,
+      accuracy,
+      label,
+      type,
+      solidness,
+      contact,
+      bpm: this.activeSession.bpm,
+      soundType: this.activeSession.soundType,
+      timestamp: Date.now()
+    };
+
+    this.activeSession.strikes.push(strike);
+    await this.cacheActiveSession();
+    return strike;
+  }
+
+  /**
+   * End the active session, persist it locally and sync to Firebase
+   * @param {number} endedAt - End time (defaults to now)
+   * @returns {Promise<Object|null>} Completed session or null if none was active
+   */
+  async endSession(endedAt = Date.now()) {
+    const session = this.activeSession;
+    if (!session) {
+      return null;
+    }
+
+    this.activeSession = null;
+    session.endedAt = endedAt;
+    session.durationMs = session.endedAt - session.startedAt;
+
+    await this.clearActiveSession(session.userId);
+
+    // Sessions without strikes carry no practice data worth keeping
+    if (session.strikes.length === 0) {
+      console.log('📝 Session ended with no strikes, discarding:', session.id);
+      return session;
+    }
+
+    await this.cacheSession(session.userId, session);
+    await this.syncSession(session);
+
+    console.log('📝 Session ended:', session.id, `(${session.strikes.length} strikes)`);
+    return session;
+  }
+
+  /**
+   * Save a session to Firestore and mark it as synced in the cache
+   * @param {Object} session - Session to sync
+   * @returns {Promise<boolean>} True if synced
+   */
+  async syncSession(session) {
+    if (!session.userId) {
+      return false;
+    }
+
+    try {
+      const sessionRef = doc(db, 'users', session.userId, 'sessions', session.id);
+      await setDoc(sessionRef, { ...session, synced: true });
+
+      session.synced = true;
+      await this.cacheSession(session.userId, session);
+      return true;
+    } catch (error) {
+      console.log('Firebase offline, session kept in cache for later sync:', session.id);
+      return false;
+    }
+  }
+
+  /**
+   * Retry syncing cached sessions that never reached Firestore
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of sessions synced
+   */
+  async syncPendingSessions(userId) {
+    const cached = await this.getCachedSessions(userId);
+    const pending = cached.filter(s => !s.synced);
+
+    let syncedCount = 0;
+    for (const session of pending) {
+      if (await this.syncSession(session)) {
+        syncedCount++;
+      }
+    }
+
+    return syncedCount;
+  }
+
+  /**
+   * Load session history for a user, newest first
+   * @param {string} userId - User ID
+   * @param {number} maxSessions - Maximum number of sessions to load
+   * @returns {Promise<Array>} Array of sessions
+   */
+  async loadSessions(userId, maxSessions = this.MAX_CACHED_SESSIONS) {
+    try {
+      await this.syncPendingSessions(userId);
+
+      const sessionsRef = collection(db, 'users', userId, 'sessions');
+      const q = query(sessionsRef, orderBy('startedAt', 'desc'), limit(maxSessions));
+      const snapshot = await getDocs(q);
+
+      const sessions = [];
+      snapshot.forEach((docSnap) => {
+        sessions.push(docSnap.data());
+      });
+
+      // Keep any sessions that are still waiting to sync
+      const cached = await this.getCachedSessions(userId);
+      const remoteIds = new Set(sessions.map(s => s.id));
+      const unsynced = cached.filter(s => !s.synced && !remoteIds.has(s.id));
+
+      const merged = [...unsynced, ...sessions]
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .slice(0, maxSessions);
+
+      await this.cacheAllSessions(userId, merged);
+      return merged;
+    } catch (error) {
+      console.log('Firebase offline, using cached sessions');
+      const cached = await this.getCachedSessions(userId);
+      return cached.slice(0, maxSessions);
+    }
+  }
+
+  /**
+   * Get the active session (if any)
+   * @returns {Object|null} Active session
+   */
+  getActiveSession() {
+    return this.activeSession;
+  }
+
+  /**
+   * Finalize a session that was still active when the app last closed
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Recovered session or null
+   */
+  async recoverActiveSession(userId) {
+    try {
+      const key = `${this.CACHE_KEY}${userId}:active`;
+      const cached = await AsyncStorage.getItem(key);
+      if (!cached) {
+        return null;
+      }
+
+      const session = JSON.parse(cached);
+      const lastStrike = session.strikes[session.strikes.length - 1];
+      this.activeSession = session;
+
+      // Use the last strike rather than "now" so the duration reflects actual practice
+      return await this.endSession(lastStrike ? lastStrike.timestamp : session.startedAt);
+    } catch (error) {
+      console.error('Error recovering active session:', error);
+      return null;
+    }
+  }
+
+  // Cache Management Methods
+
+  /**
+   * Cache the active session so strikes survive an app restart
+   */
+  async cacheActiveSession() {
+    if (!this.activeSession) return;
+
+    try {
+      const key = `${this.CACHE_KEY}${this.activeSession.userId}:active`;
+      await AsyncStorage.setItem(key, JSON.stringify(this.activeSession));
+    } catch (error) {
+      console.error('Error caching active session:', error);
+    }
+  }
+
+  /**
+   * Remove the cached active session
+   */
+  async clearActiveSession(userId) {
+    try {
+      const key = `${this.CACHE_KEY}${userId}:active`;
+      await AsyncStorage.removeItem(key);
+    } catch (error) {
+      console.error('Error clearing active session:', error);
+    }
+  }
+
+  /**
+   * Insert or replace a session in the cached history
+   */
+  async cacheSession(userId, session) {
+    const sessions = await this.getCachedSessions(userId);
+    const filtered = sessions.filter(s => s.id !== session.id);
+    filtered.unshift(session);
+    await this.cacheAllSessions(userId, filtered.slice(0, this.MAX_CACHED_SESSIONS));
+  }
+
+  /**
+   * Cache all sessions for a user
+   */
+  async cacheAllSessions(userId, sessions) {
+    try {
+      const key = `${this.CACHE_KEY}${userId}:all`;
+      await AsyncStorage.setItem(key, JSON.stringify(sessions));
+    } catch (error) {
+      console.error('Error caching sessions:', error);
+    }
+  }
+
+  /**
+   * Get cached sessions
+   */
+  async getCachedSessions(userId) {
+    try {
+      const key = `${this.CACHE_KEY}${userId}:all`;
+      const cached = await AsyncStorage.getItem(key);
+      return cached ? JSON.parse(cached) : [];
+    } catch (error) {
+      console.error('Error getting cached sessions:', error);
+      return [];
+    }
+  }
+}
+
+// Export singleton instance
+export const sessionService = new SessionService();
+export default sessionService;
@@ -0,0 +1,215 @@
+/**
+ * SessionStats - Aggregate timing statistics for practice sessions
+ * Pure functions so they can be shared by summary, stats and history views
+ */
+
+import { ACCURACY_LABELS, PERFECT_LABEL } from './AccuracyBands';
+
+// Accuracy bands in display order (labels from AccuracyBands)
+export const ACCURACY_BANDS = ACCURACY_LABELS;
+
+export { PERFECT_LABEL };
+
+// Mean errors within this range are reported as balanced rather than early/late
+const BIAS_TOLERANCE_MS = 10;
+
+// Strike type of a double hit (HIT_TYPES.DOUBLE_HIT in VideoSyncDetectorV2)
+const DOUBLE_HIT_TYPE = 'doubleHit';
+
+/**
+ * Whether a strike counts as PERFECT (a double hit never does, whatever its timing)
+ * @param {Object} strike - Recorded strike
+ * @returns {boolean}
+ */
+export function isPerfectStrike(strike) {
+  return strike.label === PERFECT_LABEL && strike.type !== DOUBLE_HIT_TYPE;
+}
+
+/**
+ * Mean solidness of the strikes that were scored for quality
+ * @param {Array} strikes - Strikes with optional solidness (0-1)
+ * @returns {Object} { meanSolidness (null if none were scored), solidnessCount }
+ */
+export function computeSolidnessStats(strikes = []) {
+  const scored = strikes.filter(s => typeof s.solidness === 'number');
+  return {
+    meanSolidness: scored.length > 0
+      ? scored.reduce((sum, s) => sum + s.solidness, 0) / scored.length
+      : null,
+    solidnessCount: scored.length
+  };
+}
+
+/**
+ * Compute summary statistics for a list of strikes
+ * @param {Array} strikes - Strikes with errorMs and label (and optional solidness)
+ * @returns {Object} Timing statistics plus mean strike solidness
+ */
+export function computeStrikeStats(strikes = []) {
+  const count = strikes.length;
+
+  const bandCounts = {};
+  ACCURACY_BANDS.forEach(band => {
+    bandCounts[band] = 0;
+  });
+
+  if (count === 0) {
+    return {
+      count: 0,
+      meanErrorMs: 0,
+      meanAbsErrorMs: 0,
+      stdDevMs: 0,
+      bandCounts,
+      bandRates: { ...bandCounts },
+      bias: { earlyCount: 0, lateCount: 0, earlyRate: 0, lateRate: 0, tendency: 'balanced' },
+      longestPerfectStreak: 0,
+      perfectRate: 0,
+      ...computeSolidnessStats()
+    };
+  }
+
+  const errors = strikes.map(s => s.errorMs);
+  const meanErrorMs = errors.reduce((a, b) => a + b, 0) / count;
+  const meanAbsErrorMs = errors.reduce((a, b) => a + Math.abs(b), 0) / count;
+  const variance = errors.reduce((sum, e) => sum + Math.pow(e - meanErrorMs, 2), 0) / count;
+  const stdDevMs = Math.sqrt(variance);
+
+  strikes.forEach(strike => {
+    if (bandCounts[strike.label] !== undefined) {
+      bandCounts[strike.label]++;
+    }
+  });
+
+  const bandRates = {};
+  ACCURACY_BANDS.forEach(band => {
+    bandRates[band] = bandCounts[band] / count;
+  });
+
+  const earlyCount = errors.filter(e => e < 0).length;
+  const lateCount = errors.filter(e => e > 0).length;
+  let tendency = 'balanced';
+  if (meanErrorMs < -BIAS_TOLERANCE_MS) {
+    tendency = 'early';
+  } else if (meanErrorMs > BIAS_TOLERANCE_MS) {
+    tendency = 'late';
+  }
+
+  // Longest run of consecutive PERFECT strikes (band counts above stay pure timing)
+  let longestPerfectStreak = 0;
+  let currentStreak = 0;
+  strikes.forEach(strike => {
+    if (isPerfectStrike(strike)) {
+      currentStreak++;
+      longestPerfectStreak = Math.max(longestPerfectStreak, currentStreak);
+    } else {
+      currentStreak = 0;
+    }
+  });
+
+  return {
+    count,
+    meanErrorMs,
+    meanAbsErrorMs,
+    stdDevMs,
+    bandCounts,
+    bandRates,
+    bias: {
+      earlyCount,
+      lateCount,
+      earlyRate: earlyCount / count,
+      lateRate: lateCount / count,
+      tendency
+    },
+    longestPerfectStreak,
+    perfectRate: strikes.filter(isPerfectStrike).length / count,
+    ...computeSolidnessStats(strikes)
+  };
+}
+
+/**
+ * Compute summary statistics for a session
+ * @param {Object} session - Session from SessionService
+ * @returns {Object} Timing statistics plus session metadata
+ */
+export function computeSessionStats(session) {
+  if (!session) {
+    return null;
+  }
+
+  return {
+    ...computeStrikeStats(session.strikes || []),
+    bpm: session.bpm,
+    durationMs: session.durationMs || 0,
+    startedAt: session.startedAt
+  };
+}
+
+/**
+ * Get the local-time start of the day or week (Monday) containing a timestamp
+ * @param {number} timestamp - Time in ms
+ * @param {string} period - 'day' or 'week'
+ * @returns {number} Period start in ms
+ */
+export function getPeriodStart(timestamp, period = 'day') {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+
+  if (period === 'week') {
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    date.setDate(date.getDate() - daysSinceMonday);
+  }
+
+  return date.getTime();
+}
+
+/**
+ * Group sessions into daily or weekly progress points
+ * @param {Array} sessions - Sessions from SessionService
+ * @param {Object} options
+ * @param {string} options.period - 'day' or 'week'
+ * @param {number} options.count - Number of periods to return (ending with the current one)
+ * @param {number} options.now - Reference time (defaults to now)
+ * @param {string|null} options.putterId - Only sessions with this putter (null = all)
+ * @returns {Array} Points oldest first; metrics are null for periods without practice
+ */
+export function computeProgress(sessions = [], { period = 'day', count = 30, now = Date.now(), putterId = null } = {}) {
+  const points = [];
+  let start = getPeriodStart(now, period);
+
+  for (let i = 0; i < count; i++) {
+    points.unshift({ start, sessions: [] });
+
+    // Step back via the calendar so DST changes don't shift bucket boundaries
+    const previous = new Date(start);
+    previous.setDate(previous.getDate() - (period === 'week' ? 7 : 1));
+    start = previous.getTime();
+  }
+
+  const byStart = new Map(points.map(point => [point.start, point]));
+  sessions.forEach(session => {
+    if (putterId && session.putterId !== putterId) return;
+
+    const point = byStart.get(getPeriodStart(session.startedAt, period));
+    if (point) {
+      point.sessions.push(session);
+    }
+  });
+
+  return points.map(point => {
+    const strikes = point.sessions.reduce((all, s) => all.concat(s.strikes || []), []);
+    const practiceMs = point.sessions.reduce((sum, s) => sum + (s.durationMs || 0), 0);
+    const stats = strikes.length > 0 ? computeStrikeStats(strikes) : null;
+
+    return {
+      start: point.start,
+      sessionCount: point.sessions.length,
+      strikeCount: strikes.length,
+      meanAbsErrorMs: stats ? stats.meanAbsErrorMs : null,
+      perfectRate: stats ? stats.perfectRate : null,
+      meanSolidness: stats ? stats.meanSolidness : null,
+      practiceMinutes: practiceMs / 60000
+    };
+  });
+}
+
+export default computeSessionStats;
@@ -97,6 +97,10 @@ export class AudioEngine {
     return arr;
   }
 
+  hasClip(sprite: SpriteName, clip: string): boolean {
+    return !!this.sprites[sprite]?.map[clip];
+  }
+
   enqueue(evt: ClipEvent) {
     this.queue.push(evt);
   }
@@ -0,0 +1,129 @@
+// strokeRatios.ts — backswing:downswing timing for the putting stroke
+
+export type StrokeRatio = {
+  id: string;
+  label: string;
+  backswing: number;      // relative units, or frames for Tour Tempo presets
+  downswing: number;
+  tourTempo?: boolean;    // frame counts at TOUR_TEMPO_FPS (fixed duration, ignores BPM)
+};
+
+export type CycleConfig = {
+  beatsPerCycle?: number; // beats in one loop (3-5)
+  targetBeat?: number;    // 1-based count impact lands on (2..beatsPerCycle)
+};
+
+export type StrokeTiming = {
+  beatMs: number;         // count-in beat length at the BPM
+  loopMs: number;         // full loop (beatsPerCycle beats)
+  beatsPerCycle: number;
+  targetBeat: number;
+  takeawayMs: number;     // "ready" cue - putter starts back
+  topMs: number;          // "back" cue - top of backswing
+  impactMs: number;       // "swing" cue - impact (target beat, detector target)
+  backswingMs: number;
+  downswingMs: number;
+};
+
+// Tour Tempo frame counts are at video frame rate
+export const TOUR_TEMPO_FPS = 30;
+
+export const STROKE_RATIOS: StrokeRatio[] = [
+  { id: '1:1', label: 'Even', backswing: 1, downswing: 1 },
+  { id: '2:1', label: '2:1', backswing: 2, downswing: 1 },
+  { id: '2.5:1', label: '2.5:1', backswing: 2.5, downswing: 1 },
+  { id: '3:1', label: '3:1', backswing: 3, downswing: 1 },
+  { id: 'tour-18/6', label: 'Tour 18/6', backswing: 18, downswing: 6, tourTempo: true },
+  { id: 'tour-21/7', label: 'Tour 21/7', backswing: 21, downswing: 7, tourTempo: true },
+  { id: 'tour-24/8', label: 'Tour 24/8', backswing: 24, downswing: 8, tourTempo: true },
+];
+
+// Even split keeps the original one-beat backswing / one-beat downswing cycle
+export const DEFAULT_STROKE_RATIO_ID = '1:1';
+
+// Original cycle: 4 beats with impact on beat 4
+export const DEFAULT_BEATS_PER_CYCLE = 4;
+export const DEFAULT_TARGET_BEAT = 4;
+export const BEATS_PER_CYCLE_OPTIONS = [3, 4, 5];
+
+/**
+ * Clamp a cycle config to a playable layout (impact needs a beat before it)
+ */
+export function normalizeCycle(cycle: CycleConfig = {}): Required<CycleConfig> {
+  const beatsPerCycle = Math.max(2, Math.round(cycle.beatsPerCycle ?? DEFAULT_BEATS_PER_CYCLE));
+  const targetBeat = Math.max(2, Math.min(beatsPerCycle, Math.round(cycle.targetBeat ?? DEFAULT_TARGET_BEAT)));
+  return { beatsPerCycle, targetBeat };
+}
+
+export function getStrokeRatio(id?: string): StrokeRatio {
+  return STROKE_RATIOS.find(r => r.id === id)
+    || STROKE_RATIOS.find(r => r.id === DEFAULT_STROKE_RATIO_ID)!;
+}
+
+/**
+ * Stroke cue times within one loop
+ *
+ * Impact lands on the target beat (beat 4 of 4 by default), which is also
+ * the detector target. Ratio presets split the two beats before impact
+ * (ready -> impact) into backswing:downswing; Tour Tempo presets use fixed
+ * frame durations and start the takeaway however long before impact that needs.
+ */
+export function getStrokeTiming(bpm: number, ratioId?: string, cycle: CycleConfig = {}): StrokeTiming {
+  const ratio = getStrokeRatio(ratioId);
+  const { beatsPerCycle, targetBeat } = normalizeCycle(cycle);
+  const beatMs = 60000 / bpm;
+  const impactMs = beatMs * (targetBeat - 1);
+
+  let backswingMs: number;
+  let downswingMs: number;
+  if (ratio.tourTempo) {
+    backswingMs = (ratio.backswing / TOUR_TEMPO_FPS) * 1000;
+    downswingMs = (ratio.downswing / TOUR_TEMPO_FPS) * 1000;
+  } else {
+    const strokeMs = beatMs * 2;
+    const units = ratio.backswing + ratio.downswing;
+    backswingMs = strokeMs * (ratio.backswing / units);
+    downswingMs = strokeMs * (ratio.downswing / units);
+  }
+
+  // Never start the takeaway before the loop does
+  const strokeMs = Math.min(impactMs, backswingMs + downswingMs);
+  const scale = strokeMs / (backswingMs + downswingMs);
+  backswingMs *= scale;
+  downswingMs *= scale;
+
+  return {
+    beatMs,
+    loopMs: beatMs * beatsPerCycle,
+    beatsPerCycle,
+    targetBeat,
+    takeawayMs: impactMs - strokeMs,
+    topMs: impactMs - downswingMs,
+    impactMs,
+    backswingMs,
+    downswingMs,
+  };
+}
+
+/**
+ * Times of the four loop cues (start, ready, back, swing) in ms from loop start
+ */
+export function getStrokeCueTimes(timing: StrokeTiming): number[] {
+  return [0, timing.takeawayMs, timing.topMs, timing.impactMs];
+}
+
+/**
+ * Count beats before the takeaway that no cue already covers (e.g. beat 2 of
+ * a 5-beat cycle), in ms from loop start
+ */
+export function getCountInTimes(timing: StrokeTiming): number[] {
+  const times: number[] = [];
+  const toleranceMs = timing.beatMs * 0.1;
+  for (let beat = 1; beat < timing.beatsPerCycle; beat++) {
+    const t = beat * timing.beatMs;
+    if (t < timing.takeawayMs - toleranceMs) {
+      times.push(t);
+    }
+  }
+  return times;
+}
@@ -32,7 +32,7 @@ A. Yes. On short putts the putter should travel less distance in the same time,
 
 Q. Why is the app defaulted to 76bpm?
 
-A. 76bpm is tour average tempo. The app tempo ranges from 70-80 bpm.
+A. 76bpm is tour average tempo. The app tempo ranges from 60-100 bpm.
 
 
 Q. What’s a 2:1 putting ratio and how does the app help develop that in the putting stroke?
@@ -41,10 +41,10 @@ A. Top putters have a 2:1 tempo ratio, meaning that the backswing takes twice as
 
 In the downswing the putter head is only stationary at one point, when the transition from backswing to downswing occurs. This coupled with the putter head accelerating caused by the putter head finishing the stroke ahead of the point of impact, leads to a 2:1 ratio. 
 
-The app helps lock in this 2:1 ratio as the stroke becomes more synchronised and consistent.
+The app helps lock in this 2:1 ratio as the stroke becomes more synchronised and consistent. You can choose a different ratio (2:1, 2.5:1, 3:1 or Tour Tempo 18/6, 21/7, 24/8) in Practice Settings, and the light bar and tones follow the backswing and downswing timing.
 
 Q. What’s the lightning bolt mode and how does it work?
 
-A. After practicing your putting stroke to tempo you can test yourself using ‘strike mode’. Strike mode cuts off the last beat of the audio and measures your stroke. Your strike will be displayed in the light bar. 
+A. After practicing your putting stroke to tempo you can test yourself using ‘strike mode’. Strike mode cuts off the last beat of the audio and measures your stroke. Your strike will be displayed in the light bar. For drills, Practice Settings lets you use 3, 4 or 5 beats per cycle, choose which beat impact lands on, and narrow the listening window around it. 
 
 With a perfect stroke the strike will be displayed in the middle, directly above the golf ball. If your stroke is too quick for your strike will be displayed to the right of the ball, and if too slow to the left.`;